@@ -0,0 +1,42 @@
+import { mount } from "@vue/test-utils";
+import PreskoForm from "../components/PreskoForm.vue";
+import StubAppSubmit from "./stubs/StubAppSubmit.vue";
+
+/**
+ * Mounts PreskoForm the way an app using `v-model` would: every `update:modelValue`
+ * is fed back as the `modelValue` prop, including updates emitted while the form is
+ * being set up (e.g. computed fields or nested forms completing the model).
+ * @param {Object} [props] - PreskoForm props; `submitComponent` defaults to StubAppSubmit.
+ * @param {Object} [options] - Other mounting options, e.g. `slots` or `attachTo`.
+ * @returns {import("@vue/test-utils").VueWrapper} The mounted form.
+ */
+export const mountPreskoForm = (props = {}, options = {}) => {
+  let wrapper = null;
+  let modelDuringMount;
+  wrapper = mount(PreskoForm, {
+    ...options,
+    props: {
+      submitComponent: StubAppSubmit,
+      "onUpdate:modelValue": (value) => {
+        if (wrapper) wrapper.setProps({ modelValue: value });
+        else modelDuringMount = value;
+      },
+      ...props,
+    },
+  });
+  if (modelDuringMount !== undefined) {
+    wrapper.setProps({ modelValue: modelDuringMount });
+  }
+  return wrapper;
+};
+
+/**
+ * Finds the PreskoFormItem rendering the field at the given full path.
+ * @param {import("@vue/test-utils").VueWrapper} wrapper - The mounted form.
+ * @param {string} fieldPath - The field's full path, e.g. `contacts[0].email`.
+ * @returns {import("@vue/test-utils").VueWrapper | undefined} The form item, if rendered.
+ */
+export const findFormItem = (wrapper, fieldPath) =>
+  wrapper
+    .findAllComponents({ name: "PreskoFormItem" })
+    .find((formItem) => formItem.props("fieldPath") === fieldPath);
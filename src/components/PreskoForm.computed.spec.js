@@ -0,0 +1,154 @@
+import { describe, it, expect, vi, afterEach } from "vitest";
+import { flushPromises } from "@vue/test-utils";
+import { mountPreskoForm, findFormItem } from "../__tests__/mountPreskoForm";
+import StubAppInput from "../__tests__/stubs/StubAppInput.vue";
+
+describe("PreskoForm.vue - computed fields", () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  const mountForm = (fields, modelValue) =>
+    mountPreskoForm({ fields, modelValue });
+
+  const input = (wrapper, fieldPath) =>
+    findFormItem(wrapper, fieldPath).find("input");
+
+  it("computes values from the model and renders them read-only", async () => {
+    const wrapper = mountForm(
+      [
+        { propertyName: "first", component: StubAppInput },
+        { propertyName: "last", component: StubAppInput },
+        {
+          propertyName: "fullName",
+          component: StubAppInput,
+          compute: (model) => `${model.first} ${model.last}`.trim(),
+        },
+      ],
+      { first: "Ada", last: "" }
+    );
+    await flushPromises();
+
+    expect(wrapper.props("modelValue").fullName).toBe("Ada");
+    expect(input(wrapper, "fullName").attributes("readonly")).toBeDefined();
+
+    await input(wrapper, "last").setValue("Lovelace");
+    await flushPromises();
+    expect(wrapper.props("modelValue").fullName).toBe("Ada Lovelace");
+    expect(wrapper.emitted("update:modelValue").at(-1)[0].fullName).toBe(
+      "Ada Lovelace"
+    );
+  });
+
+  it("computes fields that depend on other computed fields in order", async () => {
+    const wrapper = mountForm(
+      [
+        { propertyName: "qty", component: StubAppInput },
+        {
+          propertyName: "total",
+          component: StubAppInput,
+          compute: (model) => model.net * 1.2,
+        },
+        {
+          propertyName: "net",
+          component: StubAppInput,
+          compute: (model) => model.qty * 10,
+        },
+      ],
+      { qty: 2 }
+    );
+    await flushPromises();
+
+    expect(wrapper.props("modelValue")).toMatchObject({ net: 20, total: 24 });
+  });
+
+  it("computes list item fields from the item's own values", async () => {
+    const wrapper = mountForm(
+      [
+        {
+          propertyName: "lines",
+          type: "list",
+          fields: [
+            { propertyName: "qty", component: StubAppInput },
+            { propertyName: "unitPrice", component: StubAppInput },
+            {
+              propertyName: "total",
+              component: StubAppInput,
+              compute: (item) => item.qty * item.unitPrice,
+            },
+          ],
+        },
+        {
+          propertyName: "grandTotal",
+          component: StubAppInput,
+          compute: (model) =>
+            model.lines.reduce((sum, line) => sum + line.total, 0),
+        },
+      ],
+      {
+        lines: [
+          { qty: 2, unitPrice: 5 },
+          { qty: 1, unitPrice: 3 },
+        ],
+      }
+    );
+    await flushPromises();
+
+    expect(wrapper.props("modelValue").lines.map((line) => line.total)).toEqual(
+      [10, 3]
+    );
+    expect(wrapper.props("modelValue").grandTotal).toBe(13);
+
+    await input(wrapper, "lines[1].qty").setValue(4);
+    await flushPromises();
+    expect(wrapper.props("modelValue").lines[1].total).toBe(12);
+    expect(wrapper.props("modelValue").grandTotal).toBe(22);
+  });
+
+  it("stops computing an overridable field once the user edits it", async () => {
+    const wrapper = mountForm(
+      [
+        { propertyName: "first", component: StubAppInput },
+        {
+          propertyName: "nickname",
+          component: StubAppInput,
+          compute: (model) => model.first,
+          overridable: true,
+        },
+      ],
+      { first: "Ada" }
+    );
+    await flushPromises();
+    expect(input(wrapper, "nickname").attributes("readonly")).toBeUndefined();
+
+    await input(wrapper, "nickname").setValue("Countess");
+    await input(wrapper, "first").setValue("Augusta");
+    await flushPromises();
+    expect(wrapper.props("modelValue").nickname).toBe("Countess");
+
+    // Emptying the field hands it back to `compute`.
+    await input(wrapper, "nickname").setValue("");
+    await flushPromises();
+    expect(wrapper.props("modelValue").nickname).toBe("Augusta");
+  });
+
+  it("warns about cycles and leaves the fields in them unchanged", async () => {
+    const warn = vi.spyOn(console, "warn").mockImplementation(() => {});
+    const wrapper = mountForm(
+      [
+        { propertyName: "a", compute: (model) => model.b + 1 },
+        { propertyName: "b", compute: (model) => model.a + 1 },
+        { propertyName: "c", compute: () => "ok" },
+      ],
+      { a: 1, b: 1 }
+    );
+    await flushPromises();
+
+    expect(wrapper.props("modelValue")).toEqual({ a: 1, b: 1, c: "ok" });
+    const cycleWarnings = warn.mock.calls.filter(([text]) =>
+      String(text).startsWith("[PreskoForm]")
+    );
+    expect(cycleWarnings).toHaveLength(1);
+    expect(cycleWarnings[0][0]).toContain("a -> b -> a");
+  });
+});
@@ -0,0 +1,84 @@
+import { describe, it, expect } from "vitest";
+import { flushPromises } from "@vue/test-utils";
+import { mountPreskoForm, findFormItem } from "../__tests__/mountPreskoForm";
+import StubAppInput from "../__tests__/stubs/StubAppInput.vue";
+
+describe("PreskoForm.vue - programmatic errors", () => {
+  const mountForm = () =>
+    mountPreskoForm({
+      fields: [
+        { propertyName: "name", label: "Name", component: StubAppInput },
+        {
+          subForm: "account",
+          fields: [
+            { propertyName: "email", label: "Email", component: StubAppInput },
+          ],
+        },
+      ],
+      modelValue: { name: "Ada", account: { email: "ada@example.com" } },
+    });
+
+  it("shows errors set from outside until the field is edited", async () => {
+    const wrapper = mountForm();
+
+    wrapper.vm.setErrors({ "account.email": "Already registered." });
+    await flushPromises();
+    expect(
+      findFormItem(wrapper, "account.email").props("validityState")
+    ).toEqual({
+      hasErrors: true,
+      errMsg: "Already registered.",
+    });
+
+    // Blurring validates the field, but the error stays.
+    await findFormItem(wrapper, "account.email").find("input").trigger("blur");
+    await flushPromises();
+    expect(wrapper.vm.errors).toEqual({
+      "account.email": "Already registered.",
+    });
+
+    await findFormItem(wrapper, "account.email")
+      .find("input")
+      .setValue("ada@example.org");
+    await flushPromises();
+    expect(
+      findFormItem(wrapper, "account.email").props("validityState").hasErrors
+    ).toBe(false);
+    expect(wrapper.vm.isFormValid).toBe(true);
+  });
+
+  it("keeps sticky errors on edit until they are cleared", async () => {
+    const wrapper = mountForm();
+
+    wrapper.vm.setFieldError("name", "Name is taken.", { sticky: true });
+    await findFormItem(wrapper, "name").find("input").setValue("Grace");
+    await flushPromises();
+    expect(wrapper.vm.getErrors()).toEqual({ name: "Name is taken." });
+
+    wrapper.vm.clearErrors(["name"]);
+    await flushPromises();
+    expect(findFormItem(wrapper, "name").props("validityState").hasErrors).toBe(
+      false
+    );
+  });
+
+  it("clears all errors, including form-wide ones", async () => {
+    const wrapper = mountForm();
+
+    wrapper.vm.setErrors({
+      name: "Name is taken.",
+      "account.email": "Already registered.",
+      _form: "Please try again.",
+    });
+    expect(wrapper.vm.getErrors()).toEqual({
+      name: "Name is taken.",
+      "account.email": "Already registered.",
+      _form: ["Please try again."],
+    });
+
+    wrapper.vm.clearErrors();
+    await flushPromises();
+    expect(wrapper.vm.getErrors()).toEqual({});
+    expect(wrapper.find(".presko-form-errors").exists()).toBe(false);
+  });
+});
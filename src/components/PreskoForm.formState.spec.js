@@ -0,0 +1,144 @@
+import { describe, it, expect, vi, afterEach } from "vitest";
+import { flushPromises } from "@vue/test-utils";
+import { mountPreskoForm } from "../__tests__/mountPreskoForm";
+import StubAppInput from "../__tests__/stubs/StubAppInput.vue";
+
+describe("PreskoForm.vue - form state", () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  const fields = [
+    {
+      propertyName: "name",
+      label: "Name",
+      component: StubAppInput,
+      rules: ["isRequired"],
+    },
+    {
+      subForm: "address",
+      fields: [
+        { propertyName: "city", label: "City", component: StubAppInput },
+      ],
+    },
+    {
+      propertyName: "contacts",
+      type: "list",
+      fields: [{ propertyName: "email", component: StubAppInput }],
+    },
+  ];
+
+  const mountForm = (props = {}) =>
+    mountPreskoForm({
+      fields,
+      modelValue: {
+        name: "Ada",
+        address: { city: "Sofia" },
+        contacts: [{ email: "ada@example.com" }],
+      },
+      ...props,
+    });
+
+  const input = (wrapper, index) => wrapper.findAll("input")[index];
+
+  const editAll = async (wrapper) => {
+    await input(wrapper, 0).setValue("");
+    await input(wrapper, 0).trigger("blur");
+    await input(wrapper, 1).setValue("Varna");
+    await input(wrapper, 1).trigger("blur");
+    await wrapper.find(".presko-list-add-btn").trigger("click");
+    await flushPromises();
+  };
+
+  it("exposes the dirty and touched fields of sub-forms and lists", async () => {
+    const wrapper = mountForm();
+    await editAll(wrapper);
+
+    expect(wrapper.vm.isFormDirty).toBe(true);
+    expect(wrapper.vm.dirtyFields).toEqual(
+      expect.arrayContaining(["name", "address.city", "contacts"])
+    );
+    expect(wrapper.vm.touchedFields).toEqual(["name", "address.city"]);
+  });
+
+  it("resets touched and dirty flags, keeping the values", async () => {
+    const wrapper = mountForm();
+    await editAll(wrapper);
+
+    wrapper.vm.resetTouched();
+    wrapper.vm.resetDirty();
+    await flushPromises();
+
+    expect(wrapper.vm.touchedFields).toEqual([]);
+    expect(wrapper.vm.dirtyFields).toEqual([]);
+    expect(wrapper.emitted("field:dirty")).toContainEqual([
+      { propertyName: "address.city", dirty: false },
+    ]);
+    expect(wrapper.props("modelValue").address.city).toBe("Varna");
+
+    // Dirty checking now compares against the reset values.
+    await input(wrapper, 1).setValue("Sofia");
+    expect(wrapper.vm.dirtyFields).toEqual(["address.city"]);
+  });
+
+  it("reverts the values and clears errors", async () => {
+    const wrapper = mountForm();
+    await editAll(wrapper);
+    const nameItem = wrapper.findAllComponents({ name: "PreskoFormItem" })[0];
+    expect(nameItem.props("validityState").hasErrors).toBe(true);
+
+    wrapper.vm.revertChanges();
+    await flushPromises();
+
+    expect(wrapper.props("modelValue")).toEqual({
+      name: "Ada",
+      address: { city: "Sofia" },
+      contacts: [{ email: "ada@example.com" }],
+    });
+    expect(input(wrapper, 1).element.value).toBe("Sofia");
+    expect(nameItem.props("validityState").hasErrors).toBe(false);
+    expect(wrapper.vm.isFormDirty).toBe(false);
+    expect(wrapper.vm.isFormTouched).toBe(false);
+  });
+
+  it("returns a frozen snapshot from getState", async () => {
+    const wrapper = mountForm();
+    await input(wrapper, 0).setValue("Grace");
+
+    const snapshot = wrapper.vm.getState();
+
+    expect(snapshot.values.name).toBe("Grace");
+    expect(snapshot.isDirty).toBe(true);
+    expect(snapshot.dirtyFields).toEqual(["name"]);
+    expect(Object.isFrozen(snapshot.values)).toBe(true);
+  });
+
+  it("emits a debounced form:state event", async () => {
+    vi.useFakeTimers();
+    const wrapper = mountForm({ stateEventDebounceMs: 100 });
+
+    await input(wrapper, 0).setValue("Grace");
+    await input(wrapper, 0).trigger("blur");
+    await vi.advanceTimersByTimeAsync(99);
+    expect(wrapper.emitted("form:state")).toBeUndefined();
+    await vi.advanceTimersByTimeAsync(1);
+
+    expect(wrapper.emitted("form:state")).toEqual([
+      [
+        {
+          dirty: true,
+          touched: true,
+          pending: false,
+          dirtyFields: ["name"],
+          touchedFields: ["name"],
+        },
+      ],
+    ]);
+
+    // A change undone within the debounce time is not reported.
+    await input(wrapper, 1).setValue("Varna");
+    await input(wrapper, 1).setValue("Sofia");
+    await vi.advanceTimersByTimeAsync(100);
+    expect(wrapper.emitted("form:state")).toHaveLength(1);
+  });
+});
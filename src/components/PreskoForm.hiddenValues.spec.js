@@ -0,0 +1,160 @@
+import { describe, it, expect } from "vitest";
+import { flushPromises } from "@vue/test-utils";
+import { nextTick } from "vue";
+import { mountPreskoForm, findFormItem } from "../__tests__/mountPreskoForm";
+import StubAppInput from "../__tests__/stubs/StubAppInput.vue";
+
+describe("PreskoForm.vue - hiddenValuePolicy", () => {
+  const createWrapper = (props = {}, fieldOverrides = {}) =>
+    mountPreskoForm({
+      fields: [
+        { propertyName: "hasCompany", component: StubAppInput },
+        {
+          propertyName: "company",
+          label: "Company",
+          component: StubAppInput,
+          rules: ["isRequired"],
+          showIf: { field: "hasCompany", value: "yes" },
+          ...fieldOverrides,
+        },
+      ],
+      modelValue: { hasCompany: "yes", company: "Acme" },
+      ...props,
+    });
+
+  const setModel = async (wrapper, changes) => {
+    await wrapper.setProps({
+      modelValue: { ...wrapper.props("modelValue"), ...changes },
+    });
+    await flushPromises();
+  };
+
+  const submittedData = async (wrapper) => {
+    await wrapper.find("form").trigger("submit");
+    await flushPromises();
+    return wrapper.emitted("submit").at(-1)[0];
+  };
+
+  it("keeps the value in the model but omits it on submit by default", async () => {
+    const wrapper = createWrapper();
+
+    await setModel(wrapper, { hasCompany: "no" });
+
+    expect(wrapper.props("modelValue").company).toBe("Acme");
+    expect(await submittedData(wrapper)).toEqual({ hasCompany: "no" });
+  });
+
+  it("submits hidden values with 'keep'", async () => {
+    const wrapper = createWrapper({ hiddenValuePolicy: "keep" });
+
+    await setModel(wrapper, { hasCompany: "no" });
+
+    expect(await submittedData(wrapper)).toEqual({
+      hasCompany: "no",
+      company: "Acme",
+    });
+  });
+
+  it("removes the value with 'clear' and restores it when the field reappears", async () => {
+    const wrapper = createWrapper({ hiddenValuePolicy: "clear" });
+
+    await setModel(wrapper, { hasCompany: "no" });
+    expect(wrapper.props("modelValue").company).toBeUndefined();
+
+    await setModel(wrapper, { hasCompany: "yes" });
+    expect(wrapper.props("modelValue").company).toBe("Acme");
+  });
+
+  it("resets the value to its initial value with a field's own policy", async () => {
+    const wrapper = createWrapper(
+      { hiddenValuePolicy: "keep" },
+      { hiddenValuePolicy: "resetToInitial" }
+    );
+
+    await wrapper.findAll("input")[1].setValue("Globex");
+    await setModel(wrapper, { hasCompany: "no" });
+
+    expect(wrapper.props("modelValue").company).toBe("Acme");
+    expect(await submittedData(wrapper)).toEqual({ hasCompany: "no" });
+  });
+
+  it("resets a field inside a sub-form to its own initial value", async () => {
+    const wrapper = mountPreskoForm({
+      fields: [
+        { propertyName: "city", component: StubAppInput },
+        {
+          subForm: "address",
+          fields: [
+            { propertyName: "hasCity", component: StubAppInput },
+            {
+              propertyName: "city",
+              component: StubAppInput,
+              showIf: { field: "./hasCity", value: "yes" },
+              hiddenValuePolicy: "resetToInitial",
+            },
+          ],
+        },
+      ],
+      modelValue: { city: "TOP", address: { hasCity: "yes", city: "Plovdiv" } },
+    });
+
+    await findFormItem(wrapper, "address.city").find("input").setValue("Varna");
+    await findFormItem(wrapper, "address.hasCity").find("input").setValue("no");
+    await flushPromises();
+
+    expect(wrapper.props("modelValue")).toEqual({
+      city: "TOP",
+      address: { hasCity: "no", city: "Plovdiv" },
+    });
+  });
+
+  it("clears touched, dirty and error state when a field is hidden", async () => {
+    const wrapper = createWrapper();
+
+    await wrapper.findAll("input")[1].setValue("");
+    await wrapper.findAll("input")[1].trigger("blur");
+    await flushPromises();
+    expect(wrapper.find(".presko-error-message").exists()).toBe(true);
+
+    await setModel(wrapper, { hasCompany: "no" });
+    await setModel(wrapper, { hasCompany: "yes" });
+    await nextTick();
+
+    expect(wrapper.find(".presko-error-message").exists()).toBe(false);
+    const company = wrapper.findAllComponents(StubAppInput)[1];
+    expect(company.props("touched")).toBe(false);
+    expect(wrapper.emitted("field:touched").at(-1)[0]).toEqual({
+      propertyName: "company",
+      touched: false,
+    });
+  });
+
+  it("applies the policy to list item fields", async () => {
+    const wrapper = mountPreskoForm({
+      fields: [
+        {
+          propertyName: "contacts",
+          type: "list",
+          fields: [
+            { propertyName: "type", component: StubAppInput },
+            {
+              propertyName: "email",
+              component: StubAppInput,
+              showIf: { field: "./type", value: "email" },
+              hiddenValuePolicy: "clear",
+            },
+          ],
+        },
+      ],
+      modelValue: { contacts: [{ type: "email", email: "a@b.c" }] },
+    });
+
+    await wrapper.findAll("input")[0].setValue("phone");
+    await flushPromises();
+    expect(wrapper.props("modelValue").contacts[0].email).toBeUndefined();
+
+    await wrapper.findAll("input")[0].setValue("email");
+    await flushPromises();
+    expect(wrapper.props("modelValue").contacts[0].email).toBe("a@b.c");
+  });
+});
@@ -0,0 +1,62 @@
+import { describe, it, expect } from "vitest";
+import { nextTick } from "vue";
+import { mountPreskoForm } from "../__tests__/mountPreskoForm";
+import StubAppInput from "../__tests__/stubs/StubAppInput.vue";
+
+describe("PreskoForm.vue - locale", () => {
+  const createWrapper = (props = {}) =>
+    mountPreskoForm({
+      fields: [
+        {
+          propertyName: "name",
+          label: "Name",
+          component: StubAppInput,
+          rules: ["isRequired"],
+        },
+        {
+          propertyName: "contacts",
+          type: "list",
+          fields: [{ propertyName: "email", component: StubAppInput }],
+        },
+      ],
+      modelValue: { name: "", contacts: [] },
+      ...props,
+    });
+
+  it("shows error messages and button texts in the given locale", async () => {
+    const wrapper = createWrapper({ locale: "de" });
+
+    expect(wrapper.find(".presko-list-add-btn").text()).toBe(
+      "Eintrag hinzufügen"
+    );
+    await wrapper.find(".presko-list-add-btn").trigger("click");
+    expect(wrapper.find(".presko-list-remove-btn").text()).toBe("Entfernen");
+
+    await wrapper.vm.submit();
+    await nextTick();
+    expect(wrapper.find(".presko-error-message").text()).toBe(
+      "Das Feld Name ist erforderlich."
+    );
+    expect(wrapper.find(".presko-sr-only").text()).toBe(
+      "Bitte korrigieren Sie das markierte Feld"
+    );
+  });
+
+  it("re-translates existing errors when the locale prop changes", async () => {
+    const wrapper = createWrapper();
+
+    await wrapper.vm.submit();
+    await nextTick();
+    expect(wrapper.find(".presko-error-message").text()).toBe(
+      "Field Name is required."
+    );
+
+    await wrapper.setProps({ locale: "fr" });
+    expect(wrapper.find(".presko-error-message").text()).toBe(
+      "Le champ Name est obligatoire."
+    );
+    expect(wrapper.find(".presko-list-add-btn").text()).toBe(
+      "Ajouter un élément"
+    );
+  });
+});
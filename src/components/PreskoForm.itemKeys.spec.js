@@ -0,0 +1,111 @@
+import { describe, it, expect } from "vitest";
+import { flushPromises } from "@vue/test-utils";
+import { mountPreskoForm, findFormItem } from "../__tests__/mountPreskoForm";
+import StubAppInput from "../__tests__/stubs/StubAppInput.vue";
+
+describe("PreskoForm.vue - list item keys", () => {
+  const mountForm = (modelValue, listOptions = {}) =>
+    mountPreskoForm({
+      fields: [
+        {
+          propertyName: "contacts",
+          type: "list",
+          fields: [
+            {
+              propertyName: "name",
+              label: "Name",
+              component: StubAppInput,
+              rules: ["isRequired"],
+            },
+          ],
+          ...listOptions,
+        },
+      ],
+      modelValue,
+    });
+
+  const rows = (wrapper) =>
+    wrapper.findAll(".presko-list-item").map((row) => row.element);
+
+  const hasError = (wrapper, fieldPath) =>
+    findFormItem(wrapper, fieldPath).props("validityState").hasErrors;
+
+  it("keeps the rendered rows of the remaining items when an item is removed", async () => {
+    const wrapper = mountForm({
+      contacts: [{ name: "Ada" }, { name: "Grace" }, { name: "Linus" }],
+    });
+    await wrapper.findAll("input")[1].setValue("Grace Hopper");
+    const [, second, third] = rows(wrapper);
+
+    await wrapper.findAll(".presko-list-remove-btn")[0].trigger("click");
+
+    expect(rows(wrapper)).toEqual([second, third]);
+    expect(wrapper.findAll("input")[0].element.value).toBe("Grace Hopper");
+  });
+
+  it("moves state along when the parent reorders the items", async () => {
+    const wrapper = mountForm({
+      contacts: [{ name: "" }, { name: "Ada" }],
+    });
+    await wrapper.findAll("input")[0].trigger("blur");
+    await flushPromises();
+
+    const [empty, ada] = wrapper.props("modelValue").contacts;
+    await wrapper.setProps({ modelValue: { contacts: [ada, empty] } });
+    await flushPromises();
+
+    expect(hasError(wrapper, "contacts[1].name")).toBe(true);
+    expect(hasError(wrapper, "contacts[0].name")).toBe(false);
+  });
+
+  it("matches items by their itemKey when the parent replaces them", async () => {
+    const wrapper = mountForm(
+      {
+        contacts: [
+          { id: 1, name: "" },
+          { id: 2, name: "Ada" },
+        ],
+      },
+      { itemKey: "id" }
+    );
+    await wrapper.findAll("input")[0].trigger("blur");
+    await flushPromises();
+    const [first] = rows(wrapper);
+
+    // E.g. a fresh copy loaded from the server, sorted differently.
+    await wrapper.setProps({
+      modelValue: {
+        contacts: [
+          { id: 2, name: "Ada" },
+          { id: 3, name: "Grace" },
+          { id: 1, name: "" },
+        ],
+      },
+    });
+    await flushPromises();
+
+    expect(rows(wrapper)[2]).toBe(first);
+    expect(hasError(wrapper, "contacts[2].name")).toBe(true);
+    expect(hasError(wrapper, "contacts[0].name")).toBe(false);
+    expect(hasError(wrapper, "contacts[1].name")).toBe(false);
+  });
+
+  it("submits paths and values in index form", async () => {
+    const wrapper = mountForm(
+      {
+        contacts: [
+          { id: "a", name: "Ada" },
+          { id: "b", name: "" },
+        ],
+      },
+      { itemKey: (contact) => contact.id }
+    );
+
+    await wrapper.find("form").trigger("submit");
+    await flushPromises();
+
+    expect(wrapper.emitted("submit:reject")[0][0].firstInvalidPath).toBe(
+      "contacts[1].name"
+    );
+  });
+});
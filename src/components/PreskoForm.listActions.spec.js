@@ -0,0 +1,272 @@
+import { describe, it, expect } from "vitest";
+import { flushPromises } from "@vue/test-utils";
+import { mountPreskoForm, findFormItem } from "../__tests__/mountPreskoForm";
+import StubAppInput from "../__tests__/stubs/StubAppInput.vue";
+
+describe("PreskoForm.vue - list item actions", () => {
+  const contactsField = {
+    propertyName: "contacts",
+    type: "list",
+    fields: [
+      {
+        propertyName: "name",
+        label: "Name",
+        component: StubAppInput,
+        rules: ["isRequired"],
+      },
+    ],
+  };
+
+  const ordersField = {
+    propertyName: "orders",
+    type: "list",
+    fields: [
+      {
+        propertyName: "lines",
+        type: "list",
+        minItems: 1,
+        fields: [
+          {
+            propertyName: "qty",
+            label: "Quantity",
+            component: StubAppInput,
+            rules: ["isRequired"],
+          },
+        ],
+      },
+    ],
+  };
+
+  const mountForm = (modelValue, { fields = [contactsField], slots } = {}) =>
+    mountPreskoForm({ fields, modelValue }, { slots });
+
+  const names = (wrapper) =>
+    wrapper.props("modelValue").contacts.map((contact) => contact.name);
+
+  const touchAll = async (wrapper) => {
+    for (const input of wrapper.findAll("input")) {
+      await input.trigger("blur");
+    }
+    await flushPromises();
+  };
+
+  it("moves an item with its errors and touched state", async () => {
+    const wrapper = mountForm({
+      contacts: [{ name: "" }, { name: "Ada" }, { name: "Grace" }],
+    });
+    await findFormItem(wrapper, "contacts[0].name")
+      .find("input")
+      .trigger("blur");
+    await flushPromises();
+
+    wrapper.vm.moveItem("contacts", 0, 2);
+    await flushPromises();
+
+    expect(names(wrapper)).toEqual(["Ada", "Grace", ""]);
+    expect(
+      findFormItem(wrapper, "contacts[2].name").props("validityState")
+    ).toEqual({
+      hasErrors: true,
+      errMsg: "Field Name is required.",
+    });
+    expect(findFormItem(wrapper, "contacts[2].name").props("isTouched")).toBe(
+      true
+    );
+    expect(findFormItem(wrapper, "contacts[0].name").props("isTouched")).toBe(
+      false
+    );
+    expect(
+      findFormItem(wrapper, "contacts[0].name").props("validityState").hasErrors
+    ).toBe(false);
+  });
+
+  it("keeps the state of the items after a removed one", async () => {
+    const wrapper = mountForm({
+      contacts: [{ name: "Ada" }, { name: "Grace" }, { name: "" }],
+    });
+    await touchAll(wrapper);
+
+    wrapper.vm.removeItem("contacts", 0);
+    await flushPromises();
+
+    expect(names(wrapper)).toEqual(["Grace", ""]);
+    expect(
+      findFormItem(wrapper, "contacts[1].name").props("validityState").hasErrors
+    ).toBe(true);
+    expect(
+      findFormItem(wrapper, "contacts[0].name").props("validityState").hasErrors
+    ).toBe(false);
+  });
+
+  it("swaps, inserts and duplicates items", async () => {
+    const wrapper = mountForm({
+      contacts: [{ name: "" }, { name: "Ada" }],
+    });
+    await touchAll(wrapper);
+
+    wrapper.vm.swapItems("contacts", 0, 1);
+    wrapper.vm.insertItem("contacts", 1, { name: "Linus" });
+    wrapper.vm.duplicateItem("contacts", 0);
+    await flushPromises();
+
+    expect(names(wrapper)).toEqual(["Ada", "Ada", "Linus", ""]);
+    expect(
+      findFormItem(wrapper, "contacts[3].name").props("validityState").hasErrors
+    ).toBe(true);
+    // The copy starts untouched.
+    expect(findFormItem(wrapper, "contacts[1].name").props("isTouched")).toBe(
+      false
+    );
+    expect(findFormItem(wrapper, "contacts[0].name").props("isTouched")).toBe(
+      true
+    );
+  });
+
+  it("keeps errors with the items of nested lists when the outer list changes", async () => {
+    const wrapper = mountForm(
+      { orders: [{ lines: [{ qty: "1" }] }, { lines: [{ qty: "" }] }] },
+      { fields: [ordersField] }
+    );
+    await findFormItem(wrapper, "orders[1].lines[0].qty")
+      .find("input")
+      .trigger("blur");
+    await flushPromises();
+
+    wrapper.vm.addItem("orders");
+    wrapper.vm.moveItem("orders", 1, 0);
+    wrapper.vm.removeItem("orders", 1);
+    await flushPromises();
+
+    expect(wrapper.props("modelValue").orders).toHaveLength(2);
+    expect(
+      findFormItem(wrapper, "orders[0].lines[0].qty").props("validityState")
+    ).toEqual({ hasErrors: true, errMsg: "Field Quantity is required." });
+    expect(
+      findFormItem(wrapper, "orders[0].lines[0].qty").props("isTouched")
+    ).toBe(true);
+    // The added order took the second place, with no lines yet.
+    expect(findFormItem(wrapper, "orders[1].lines[0].qty")).toBeUndefined();
+  });
+
+  it("drives lists nested in list items by their full path", async () => {
+    const wrapper = mountForm(
+      { orders: [{ lines: [{ qty: "" }, { qty: "2" }] }] },
+      { fields: [ordersField] }
+    );
+    await findFormItem(wrapper, "orders[0].lines[0].qty")
+      .find("input")
+      .trigger("blur");
+    await flushPromises();
+    const quantities = () =>
+      wrapper.props("modelValue").orders[0].lines.map((line) => line.qty);
+
+    wrapper.vm.addItem("orders[0].lines", { qty: "3" });
+    wrapper.vm.moveItem("orders[0].lines", 0, 2);
+    await flushPromises();
+    expect(quantities()).toEqual(["2", "3", ""]);
+    expect(
+      findFormItem(wrapper, "orders[0].lines[2].qty").props("validityState")
+        .hasErrors
+    ).toBe(true);
+    expect(
+      findFormItem(wrapper, "orders[0].lines[0].qty").props("validityState")
+        .hasErrors
+    ).toBe(false);
+
+    wrapper.vm.swapItems("orders[0].lines", 0, 1);
+    wrapper.vm.duplicateItem("orders[0].lines", 0);
+    wrapper.vm.insertItem("orders[0].lines", 0);
+    await flushPromises();
+    expect(quantities()).toEqual([undefined, "3", "3", "2", ""]);
+    expect(
+      findFormItem(wrapper, "orders[0].lines[4].qty").props("isTouched")
+    ).toBe(true);
+
+    wrapper.vm.removeItem("orders[0].lines", 0);
+    wrapper.vm.removeItem("orders[0].lines", 0);
+    wrapper.vm.removeItem("orders[0].lines", 0);
+    await flushPromises();
+    expect(quantities()).toEqual(["2", ""]);
+
+    // A nested list's minItems holds for the exposed methods too.
+    wrapper.vm.removeItem("orders[0].lines", 0);
+    wrapper.vm.removeItem("orders[0].lines", 0);
+    await flushPromises();
+    expect(quantities()).toEqual([""]);
+  });
+
+  it("renders custom item actions through the list-item-actions slot", async () => {
+    const wrapper = mountForm(
+      { contacts: [{ name: "Ada" }, { name: "Grace" }] },
+      {
+        slots: {
+          "list-item-actions": `
+            <template #list-item-actions="{ index, count, moveDown, duplicate }">
+              <button
+                type="button"
+                class="move-down"
+                :disabled="index === count - 1"
+                @click="moveDown"
+              >Down</button>
+              <button type="button" class="duplicate" @click="duplicate">
+                Copy
+              </button>
+            </template>
+          `,
+        },
+      }
+    );
+
+    expect(wrapper.find(".presko-list-remove-btn").exists()).toBe(false);
+    expect(wrapper.findAll(".move-down")[1].attributes("disabled")).toBe("");
+
+    await wrapper.findAll(".move-down")[0].trigger("click");
+    expect(names(wrapper)).toEqual(["Grace", "Ada"]);
+
+    await wrapper.findAll(".duplicate")[1].trigger("click");
+    expect(names(wrapper)).toEqual(["Grace", "Ada", "Ada"]);
+  });
+
+  it("passes the slot on to lists nested in list items", async () => {
+    const wrapper = mountForm(
+      { orders: [{ lines: [{ qty: "1" }, { qty: "2" }] }] },
+      {
+        fields: [
+          {
+            propertyName: "orders",
+            type: "list",
+            fields: [
+              {
+                propertyName: "lines",
+                type: "list",
+                fields: [{ propertyName: "qty", component: StubAppInput }],
+              },
+            ],
+          },
+        ],
+        slots: {
+          "list-item-actions": `
+            <template #list-item-actions="{ path, moveUp }">
+              <button type="button" class="move-up" :data-path="path" @click="moveUp">
+                Up
+              </button>
+            </template>
+          `,
+        },
+      }
+    );
+
+    const buttons = wrapper.findAll(".move-up");
+    expect(buttons.map((button) => button.attributes("data-path"))).toEqual([
+      "orders[0].lines[0]",
+      "orders[0].lines[1]",
+      "orders[0]",
+    ]);
+
+    await buttons[1].trigger("click");
+    expect(wrapper.props("modelValue").orders[0].lines).toEqual([
+      { qty: "2" },
+      { qty: "1" },
+    ]);
+  });
+});
@@ -0,0 +1,94 @@
+import { describe, it, expect } from "vitest";
+import { flushPromises } from "@vue/test-utils";
+import { mountPreskoForm } from "../__tests__/mountPreskoForm";
+import StubAppInput from "../__tests__/stubs/StubAppInput.vue";
+
+describe("PreskoForm.vue - list constraints", () => {
+  const mountForm = (modelValue, listOptions = {}) =>
+    mountPreskoForm(
+      {
+        fields: [
+          {
+            propertyName: "contacts",
+            label: "Contacts",
+            type: "list",
+            fields: [
+              {
+                propertyName: "email",
+                label: "Email",
+                component: StubAppInput,
+              },
+            ],
+            ...listOptions,
+          },
+        ],
+        modelValue,
+      },
+      { attachTo: document.body }
+    );
+
+  const submit = async (wrapper) => {
+    await wrapper.find("form").trigger("submit");
+    await flushPromises();
+  };
+
+  it("disables the add and remove buttons at the limits", async () => {
+    const wrapper = mountForm(
+      { contacts: [{ email: "a@b.c" }] },
+      { minItems: 1, maxItems: 2 }
+    );
+
+    expect(
+      wrapper.find(".presko-list-remove-btn").attributes("disabled")
+    ).toBeDefined();
+    expect(
+      wrapper.find(".presko-list-add-btn").attributes("disabled")
+    ).toBeUndefined();
+
+    await wrapper.find(".presko-list-add-btn").trigger("click");
+    expect(
+      wrapper.find(".presko-list-add-btn").attributes("disabled")
+    ).toBeDefined();
+    // The exposed methods respect the limits too.
+    wrapper.vm.addItem("contacts");
+    expect(wrapper.props("modelValue").contacts).toHaveLength(2);
+    wrapper.unmount();
+  });
+
+  it("shows list-level errors below the list header and reports the list path", async () => {
+    const wrapper = mountForm({ contacts: [] }, { minItems: 1 });
+
+    await submit(wrapper);
+
+    expect(wrapper.emitted("submit")).toBeUndefined();
+    expect(wrapper.emitted("submit:reject")[0][0]).toMatchObject({
+      firstInvalidPath: "contacts",
+      firstInvalidEl: wrapper.find(".presko-list-field").element,
+    });
+    expect(wrapper.find(".presko-list-error").text()).toBe(
+      "Field Contacts must contain at least 1 item."
+    );
+
+    await wrapper.find(".presko-list-add-btn").trigger("click");
+    await flushPromises();
+    expect(wrapper.find(".presko-list-error").exists()).toBe(false);
+    wrapper.unmount();
+  });
+
+  it("re-checks uniqueBy when an item changes once the list was validated", async () => {
+    const wrapper = mountForm(
+      { contacts: [{ email: "a@b.c" }, { email: "a@b.c" }] },
+      { uniqueBy: "email" }
+    );
+
+    await submit(wrapper);
+    expect(wrapper.find(".presko-list-error").text()).toBe(
+      "Field Contacts must not contain two items with the same Email."
+    );
+
+    await wrapper.findAll("input")[1].setValue("c@d.e");
+    await flushPromises();
+    expect(wrapper.find(".presko-list-error").exists()).toBe(false);
+    wrapper.unmount();
+  });
+});
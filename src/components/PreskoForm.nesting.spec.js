@@ -0,0 +1,208 @@
+import { describe, it, expect } from "vitest";
+import { flushPromises } from "@vue/test-utils";
+import { mountPreskoForm, findFormItem } from "../__tests__/mountPreskoForm";
+import StubAppInput from "../__tests__/stubs/StubAppInput.vue";
+
+describe("PreskoForm.vue - nested lists and sub-forms", () => {
+  const fields = [
+    {
+      propertyName: "orders",
+      type: "list",
+      fields: [
+        { propertyName: "reference", component: StubAppInput },
+        {
+          propertyName: "lines",
+          type: "list",
+          fields: [
+            {
+              propertyName: "qty",
+              label: "Quantity",
+              component: StubAppInput,
+              rules: ["isRequired"],
+            },
+            {
+              propertyName: "note",
+              component: StubAppInput,
+              showIf: { field: "./qty", value: "99" },
+            },
+          ],
+        },
+        {
+          subForm: "shipping",
+          fields: [
+            {
+              propertyName: "city",
+              label: "City",
+              component: StubAppInput,
+              rules: ["isRequired"],
+            },
+          ],
+        },
+      ],
+    },
+    {
+      subForm: "company",
+      fields: [
+        {
+          propertyName: "phones",
+          type: "list",
+          fields: [
+            {
+              propertyName: "number",
+              label: "Number",
+              component: StubAppInput,
+              rules: ["isRequired"],
+            },
+          ],
+        },
+      ],
+    },
+  ];
+
+  const mountForm = (modelValue) =>
+    mountPreskoForm({ fields, modelValue }, { attachTo: document.body });
+
+  const renderedFields = (wrapper) =>
+    wrapper
+      .findAllComponents({ name: "PreskoFormItem" })
+      .map((formItem) => formItem.props("fieldPath"));
+
+  it("renders lists and sub-forms inside list items and lists inside sub-forms", () => {
+    const wrapper = mountForm({
+      orders: [
+        {
+          reference: "A-1",
+          lines: [{ qty: "1" }, { qty: "99", note: "" }],
+          shipping: { city: "Sofia" },
+        },
+      ],
+      company: { phones: [{ number: "123" }] },
+    });
+
+    expect(renderedFields(wrapper)).toEqual([
+      "orders[0].reference",
+      "orders[0].lines[0].qty",
+      "orders[0].lines[1].qty",
+      "orders[0].lines[1].note",
+      "orders[0].shipping.city",
+      "company.phones[0].number",
+    ]);
+    expect(wrapper.findAll("form")).toHaveLength(1);
+    wrapper.unmount();
+  });
+
+  it("writes edits of nested fields back to the model", async () => {
+    const wrapper = mountForm({
+      orders: [{ reference: "A-1", lines: [{ qty: "1" }] }],
+      company: { phones: [] },
+    });
+
+    await findFormItem(wrapper, "orders[0].lines[0].qty")
+      .find("input")
+      .setValue("3");
+    await findFormItem(wrapper, "orders[0].shipping.city")
+      .find("input")
+      .setValue("Varna");
+
+    expect(wrapper.props("modelValue").orders[0]).toEqual({
+      reference: "A-1",
+      lines: [{ qty: "3" }],
+      shipping: { city: "Varna" },
+    });
+    wrapper.unmount();
+  });
+
+  it("adds items to a list nested in a list item", async () => {
+    const wrapper = mountForm({
+      orders: [{ lines: [] }],
+      company: { phones: [] },
+    });
+
+    const addButtons = wrapper.findAll(".presko-list-add-btn");
+    // The orders list, its item's lines list and the company's phones list
+    expect(addButtons).toHaveLength(3);
+    await addButtons[1].trigger("click");
+
+    expect(wrapper.props("modelValue").orders[0].lines).toEqual([
+      { qty: undefined, note: undefined },
+    ]);
+    expect(renderedFields(wrapper)).toContain("orders[0].lines[0].qty");
+    wrapper.unmount();
+  });
+
+  it("validates fields at any depth and reports the first invalid one", async () => {
+    const wrapper = mountForm({
+      orders: [
+        {
+          reference: "A-1",
+          lines: [{ qty: "1" }, { qty: "" }],
+          shipping: { city: "" },
+        },
+      ],
+      company: { phones: [{ number: "" }] },
+    });
+
+    await wrapper.find("form").trigger("submit");
+    await flushPromises();
+
+    expect(wrapper.emitted("submit")).toBeUndefined();
+    const [{ firstInvalidPath, firstInvalidEl }] =
+      wrapper.emitted("submit:reject")[0];
+    expect(firstInvalidPath).toBe("orders[0].lines[1].qty");
+    expect(firstInvalidEl).toBe(
+      findFormItem(wrapper, "orders[0].lines[1].qty").element
+    );
+
+    expect(
+      findFormItem(wrapper, "orders[0].lines[1].qty").props("isTouched")
+    ).toBe(true);
+    expect(
+      findFormItem(wrapper, "orders[0].lines[1].qty").props("validityState")
+        .hasErrors
+    ).toBe(true);
+    expect(
+      findFormItem(wrapper, "orders[0].shipping.city").props("validityState")
+        .errMsg
+    ).toBe("Field City is required.");
+    expect(
+      findFormItem(wrapper, "company.phones[0].number").props("validityState")
+        .hasErrors
+    ).toBe(true);
+    expect(
+      findFormItem(wrapper, "orders[0].lines[0].qty").props("validityState")
+        .hasErrors
+    ).toBe(false);
+    wrapper.unmount();
+  });
+
+  it("submits nested values without hidden fields", async () => {
+    const wrapper = mountForm({
+      orders: [
+        {
+          reference: "A-1",
+          lines: [
+            { qty: "2", note: "ignored" },
+            { qty: "99", note: "gift" },
+          ],
+          shipping: { city: "Sofia" },
+        },
+      ],
+      company: { phones: [{ number: "123" }] },
+    });
+
+    await wrapper.find("form").trigger("submit");
+    await flushPromises();
+
+    expect(wrapper.emitted("submit")[0][0]).toEqual({
+      orders: [
+        {
+          reference: "A-1",
+          lines: [{ qty: "2" }, { qty: "99", note: "gift" }],
+          shipping: { city: "Sofia" },
+        },
+      ],
+      company: { phones: [{ number: "123" }] },
+    });
+    wrapper.unmount();
+  });
+});
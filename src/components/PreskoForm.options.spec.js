@@ -0,0 +1,145 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { flushPromises } from "@vue/test-utils";
+import { defineComponent } from "vue";
+import { mountPreskoForm } from "../__tests__/mountPreskoForm";
+
+const StubSelect = defineComponent({
+  name: "StubSelect",
+  props: ["modelValue", "options", "optionsLoading", "optionsError", "items"],
+  emits: ["update:modelValue", "blur"],
+  template: `
+    <select
+      :value="modelValue"
+      @change="$emit('update:modelValue', $event.target.value)"
+    ></select>
+  `,
+});
+
+const STATES = {
+  US: [
+    { value: "CA", label: "California" },
+    { value: "NY", label: "New York" },
+  ],
+  DE: [{ value: "BY", label: "Bavaria" }],
+};
+
+describe("PreskoForm.vue - options", () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  const mountForm = (stateField, modelValue, props = {}) =>
+    mountPreskoForm({
+      fields: [
+        {
+          propertyName: "country",
+          component: StubSelect,
+          options: ["US", "DE"],
+        },
+        { propertyName: "state", component: StubSelect, ...stateField },
+      ],
+      modelValue,
+      inputDebounceMs: 100,
+      ...props,
+    });
+
+  const select = (wrapper, index) =>
+    wrapper.findAllComponents(StubSelect)[index];
+
+  it("passes static options to the component", () => {
+    const wrapper = mountForm({}, { country: "US" });
+
+    expect(select(wrapper, 0).props()).toMatchObject({
+      options: ["US", "DE"],
+      optionsLoading: false,
+      optionsError: null,
+    });
+    expect(select(wrapper, 1).props("options")).toBeUndefined();
+  });
+
+  it("loads options and reloads them, debounced, when a dependency changes", async () => {
+    const loader = vi.fn(
+      ({ getValue }) =>
+        new Promise((resolve) =>
+          setTimeout(() => resolve(STATES[getValue("country")] || []), 50)
+        )
+    );
+    const wrapper = mountForm(
+      { options: loader, dependsOn: ["country"] },
+      { country: "US", state: "NY" }
+    );
+
+    expect(loader).toHaveBeenCalledTimes(1);
+    expect(select(wrapper, 1).props("optionsLoading")).toBe(true);
+    await vi.advanceTimersByTimeAsync(50);
+    expect(select(wrapper, 1).props("options")).toEqual(STATES.US);
+    expect(select(wrapper, 1).props("optionsLoading")).toBe(false);
+    expect(wrapper.props("modelValue").state).toBe("NY");
+
+    await wrapper.setProps({
+      modelValue: { ...wrapper.props("modelValue"), country: "DE" },
+    });
+    await vi.advanceTimersByTimeAsync(99);
+    expect(loader).toHaveBeenCalledTimes(1);
+    await vi.advanceTimersByTimeAsync(1);
+    expect(loader).toHaveBeenCalledTimes(2);
+    await vi.advanceTimersByTimeAsync(50);
+
+    expect(select(wrapper, 1).props("options")).toEqual(STATES.DE);
+    // "NY" is not a German state, so the value is cleared.
+    expect(wrapper.props("modelValue").state).toBeUndefined();
+  });
+
+  it("aborts a running load when a newer one starts", async () => {
+    const signals = [];
+    const loader = vi.fn(({ abortSignal, getValue }) => {
+      signals.push(abortSignal);
+      const country = getValue("country");
+      return new Promise((resolve) =>
+        setTimeout(() => resolve(STATES[country]), 500)
+      );
+    });
+    const wrapper = mountForm(
+      { options: loader, dependsOn: ["country"] },
+      { country: "US" }
+    );
+
+    await wrapper.setProps({
+      modelValue: { ...wrapper.props("modelValue"), country: "DE" },
+    });
+    await vi.advanceTimersByTimeAsync(100);
+    expect(signals[0].aborted).toBe(true);
+
+    await vi.advanceTimersByTimeAsync(500);
+    expect(select(wrapper, 1).props("options")).toEqual(STATES.DE);
+  });
+
+  it("reports failed loads through optionsError", async () => {
+    const wrapper = mountForm(
+      { options: () => Promise.reject(new Error("Service unavailable")) },
+      { country: "US" }
+    );
+    await flushPromises();
+
+    expect(select(wrapper, 1).props()).toMatchObject({
+      options: [],
+      optionsLoading: false,
+      optionsError: "Service unavailable",
+    });
+  });
+
+  it("uses the configured prop names", async () => {
+    const wrapper = mountForm(
+      { options: async () => STATES.DE },
+      { country: "DE" },
+      { fieldStateProps: { isTouched: "touched", options: "items" } }
+    );
+    await flushPromises();
+
+    expect(select(wrapper, 1).props("items")).toEqual(STATES.DE);
+  });
+});
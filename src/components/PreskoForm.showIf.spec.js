@@ -0,0 +1,103 @@
+import { describe, it, expect } from "vitest";
+import { flushPromises } from "@vue/test-utils";
+import { mountPreskoForm } from "../__tests__/mountPreskoForm";
+import StubAppInput from "../__tests__/stubs/StubAppInput.vue";
+
+describe("PreskoForm.vue - showIf", () => {
+  const fields = [
+    { propertyName: "country", component: StubAppInput },
+    {
+      propertyName: "state",
+      label: "State",
+      component: StubAppInput,
+      rules: ["isRequired"],
+      showIf: { field: "country", op: "in", value: ["US", "CA"] },
+    },
+    {
+      propertyName: "contacts",
+      type: "list",
+      fields: [
+        { propertyName: "type", component: StubAppInput },
+        {
+          propertyName: "email",
+          component: StubAppInput,
+          showIf: {
+            and: [
+              { field: "./type", value: "email" },
+              { not: { field: "../country", value: "DE" } },
+            ],
+          },
+        },
+      ],
+    },
+    {
+      subForm: "address",
+      fields: [
+        {
+          propertyName: "zip",
+          component: StubAppInput,
+          showIf: { field: "country", value: "US" },
+        },
+      ],
+    },
+  ];
+
+  const createWrapper = (modelValue) => mountPreskoForm({ fields, modelValue });
+
+  const renderedFields = (wrapper) =>
+    wrapper
+      .findAllComponents({ name: "PreskoFormItem" })
+      .map((item) => item.props("fieldPath"));
+
+  it("renders fields whose condition is met, evaluated against the live model", async () => {
+    const wrapper = createWrapper({
+      country: "FR",
+      state: "",
+      contacts: [
+        { type: "phone", email: "" },
+        { type: "email", email: "" },
+      ],
+      address: { zip: "" },
+    });
+
+    expect(renderedFields(wrapper)).toEqual([
+      "country",
+      "contacts[0].type",
+      "contacts[1].type",
+      "contacts[1].email",
+    ]);
+
+    await wrapper.setProps({
+      modelValue: {
+        ...wrapper.props("modelValue"),
+        country: "US",
+      },
+    });
+
+    expect(renderedFields(wrapper)).toEqual([
+      "country",
+      "state",
+      "contacts[0].type",
+      "contacts[1].type",
+      "contacts[1].email",
+      "address.zip",
+    ]);
+  });
+
+  it("skips hidden fields when validating and submitting", async () => {
+    const wrapper = createWrapper({
+      country: "DE",
+      state: "",
+      contacts: [{ type: "email", email: "a@b.c" }],
+      address: { zip: "" },
+    });
+
+    await wrapper.find("form").trigger("submit");
+    await flushPromises();
+
+    expect(wrapper.emitted("submit")[0][0]).toEqual({
+      country: "DE",
+      contacts: [{ type: "email" }],
+    });
+  });
+});
@@ -0,0 +1,190 @@
+import { describe, it, expect, vi } from "vitest";
+import { flushPromises } from "@vue/test-utils";
+import { mountPreskoForm, findFormItem } from "../__tests__/mountPreskoForm";
+import StubAppInput from "../__tests__/stubs/StubAppInput.vue";
+import StubAppSubmit from "../__tests__/stubs/StubAppSubmit.vue";
+
+describe("PreskoForm.vue - submission lifecycle", () => {
+  const mountForm = (props = {}) =>
+    mountPreskoForm(
+      {
+        fields: [
+          { propertyName: "name", label: "Name", component: StubAppInput },
+          {
+            subForm: "account",
+            fields: [
+              {
+                propertyName: "email",
+                label: "Email",
+                component: StubAppInput,
+              },
+            ],
+          },
+        ],
+        modelValue: { name: "Ada", account: { email: "ada@example.com" } },
+        ...props,
+      },
+      { attachTo: document.body }
+    );
+
+  const deferred = () => {
+    let resolve;
+    let reject;
+    const promise = new Promise((res, rej) => {
+      resolve = res;
+      reject = rej;
+    });
+    return { promise, resolve, reject };
+  };
+
+  it("awaits submitHandler, blocking further submissions meanwhile", async () => {
+    const request = deferred();
+    const submitHandler = vi.fn(() => request.promise);
+    const wrapper = mountForm({ submitHandler });
+
+    await wrapper.find("form").trigger("submit");
+    await flushPromises();
+
+    const submittedData = {
+      name: "Ada",
+      account: { email: "ada@example.com" },
+    };
+    expect(submitHandler).toHaveBeenCalledWith(submittedData);
+    // The submit event is still emitted, before the handler is called.
+    expect(wrapper.emitted("submit")).toEqual([[submittedData]]);
+    expect(wrapper.vm.isSubmitting).toBe(true);
+    // The root form's submit button comes last.
+    expect(
+      wrapper.findAllComponents(StubAppSubmit).at(-1).attributes("disabled")
+    ).toBeDefined();
+
+    await wrapper.find("form").trigger("submit");
+    await flushPromises();
+    expect(submitHandler).toHaveBeenCalledTimes(1);
+
+    request.resolve({ id: 7 });
+    await flushPromises();
+
+    expect(wrapper.vm.isSubmitting).toBe(false);
+    expect(wrapper.vm.submitCount).toBe(1);
+    expect(wrapper.vm.lastSubmitResult).toEqual({
+      status: "success",
+      value: { id: 7 },
+    });
+    expect(wrapper.emitted("submit")).toHaveLength(1);
+    wrapper.unmount();
+  });
+
+  it("shows the field errors the handler rejects with and focuses the first one", async () => {
+    const wrapper = mountForm({
+      submitHandler: () =>
+        Promise.reject({
+          fieldErrors: {
+            "account.email": "This email is already registered.",
+            _form: "Please check your account details.",
+          },
+        }),
+    });
+    const emailField = findFormItem(wrapper, "account.email").vm;
+    const focusSpy = vi.spyOn(emailField.interactiveElement, "focus");
+
+    await wrapper.find("form").trigger("submit");
+    await flushPromises();
+    // The field is focused after a short delay.
+    await new Promise((resolve) => setTimeout(resolve, 100));
+
+    expect(
+      findFormItem(wrapper, "account.email").props("validityState")
+    ).toEqual({
+      hasErrors: true,
+      errMsg: "This email is already registered.",
+    });
+    expect(wrapper.find(".presko-form-errors").text()).toContain(
+      "Please check your account details."
+    );
+    expect(wrapper.emitted("submit:reject")[0][0].firstInvalidPath).toBe(
+      "account.email"
+    );
+    expect(focusSpy).toHaveBeenCalled();
+    expect(wrapper.vm.lastSubmitResult.status).toBe("error");
+    expect(wrapper.vm.isSubmitting).toBe(false);
+    wrapper.unmount();
+  });
+
+  it("records other rejections without marking fields", async () => {
+    const error = new Error("Network down");
+    const consoleError = vi
+      .spyOn(console, "error")
+      .mockImplementation(() => {});
+    const wrapper = mountForm({
+      submitHandler: () => Promise.reject(error),
+    });
+
+    await wrapper.find("form").trigger("submit");
+    await flushPromises();
+
+    expect(wrapper.vm.lastSubmitResult).toEqual({ status: "error", error });
+    expect(wrapper.emitted("submit:reject")).toBeUndefined();
+    expect(wrapper.vm.isFormValid).toBe(true);
+    expect(wrapper.emitted("submit:error")).toEqual([[error]]);
+    expect(consoleError).not.toHaveBeenCalled();
+
+    // The form can be submitted again.
+    await wrapper.find("form").trigger("submit");
+    await flushPromises();
+    expect(wrapper.vm.submitCount).toBe(2);
+    consoleError.mockRestore();
+    wrapper.unmount();
+  });
+
+  it("leaves errors thrown by submit listeners to Vue", async () => {
+    const error = new Error("Listener failed");
+    const errorHandler = vi.fn();
+    const wrapper = mountPreskoForm(
+      {
+        fields: [
+          { propertyName: "name", label: "Name", component: StubAppInput },
+        ],
+        modelValue: { name: "Ada" },
+        onSubmit: () => {
+          throw error;
+        },
+      },
+      { global: { config: { errorHandler } } }
+    );
+
+    await wrapper.find("form").trigger("submit");
+    await flushPromises();
+
+    expect(errorHandler).toHaveBeenCalledWith(
+      error,
+      expect.anything(),
+      expect.any(String)
+    );
+    expect(wrapper.emitted("submit:error")).toBeUndefined();
+    expect(wrapper.vm.lastSubmitResult).toEqual({ status: "success" });
+    wrapper.unmount();
+  });
+
+  it("counts invalid submissions and passes isSubmitting to the submit-row slot", async () => {
+    const wrapper = mountForm({
+      fields: [
+        {
+          propertyName: "name",
+          label: "Name",
+          component: StubAppInput,
+          rules: ["isRequired"],
+        },
+      ],
+      modelValue: { name: "" },
+      submitHandler: () => new Promise(() => {}),
+    });
+    wrapper.vm.submit();
+    await flushPromises();
+
+    expect(wrapper.vm.submitCount).toBe(1);
+    expect(wrapper.vm.lastSubmitResult).toEqual({ status: "invalid" });
+    expect(wrapper.vm.isSubmitting).toBe(false);
+    wrapper.unmount();
+  });
+});
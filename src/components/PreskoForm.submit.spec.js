@@ -0,0 +1,145 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import { nextTick } from "vue";
+import { mountPreskoForm } from "../__tests__/mountPreskoForm";
+import StubAppInput from "../__tests__/stubs/StubAppInput.vue";
+
+describe("PreskoForm.vue - submit validation", () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  const createWrapper = (validator, model = { username: "john" }) =>
+    mountPreskoForm({
+      fields: [
+        {
+          propertyName: "username",
+          label: "Username",
+          component: StubAppInput,
+          validators: [validator],
+        },
+      ],
+      modelValue: model,
+    });
+
+  it("waits for async validators before emitting submit:reject", async () => {
+    const validator = vi.fn(
+      () =>
+        new Promise((resolve) =>
+          setTimeout(() => resolve("Username is already taken."), 100)
+        )
+    );
+    const wrapper = createWrapper(validator);
+
+    wrapper.find("form").trigger("submit");
+    await nextTick();
+
+    expect(validator).toHaveBeenCalledTimes(1);
+    expect(wrapper.vm.isFormPending).toBe(true);
+    expect(wrapper.find("button").attributes("disabled")).toBeDefined();
+    expect(wrapper.emitted("submit:reject")).toBeFalsy();
+    expect(wrapper.emitted("submit")).toBeFalsy();
+
+    await vi.advanceTimersByTimeAsync(100);
+    await nextTick();
+
+    expect(wrapper.vm.isFormPending).toBe(false);
+    expect(wrapper.emitted("submit")).toBeFalsy();
+    expect(wrapper.emitted("submit:reject")).toHaveLength(1);
+    expect(wrapper.emitted("submit:reject")[0][0].firstInvalidPath).toBe(
+      "username"
+    );
+    expect(wrapper.find(".stub-error-message").text()).toBe(
+      "Username is already taken."
+    );
+  });
+
+  it("emits submit once async validators resolve as valid", async () => {
+    const validator = vi.fn(
+      () => new Promise((resolve) => setTimeout(() => resolve(true), 100))
+    );
+    const wrapper = createWrapper(validator);
+
+    const submitPromise = wrapper.vm.submit();
+    expect(wrapper.emitted("submit")).toBeFalsy();
+
+    await vi.advanceTimersByTimeAsync(100);
+    await submitPromise;
+
+    expect(wrapper.emitted("submit:reject")).toBeFalsy();
+    expect(wrapper.emitted("submit")[0][0]).toEqual({ username: "john" });
+  });
+
+  it("blocks submit on form-level errors and exposes them via formErrors", async () => {
+    const wrapper = mountPreskoForm(
+      {
+        fields: [
+          { propertyName: "email", component: StubAppInput, rules: [] },
+          { propertyName: "phone", component: StubAppInput, rules: [] },
+        ],
+        modelValue: { email: "", phone: "" },
+        formValidators: [
+          (model) =>
+            model.email || model.phone
+              ? true
+              : {
+                  email: "Email or phone needed.",
+                  _form: "Add a contact method.",
+                },
+        ],
+      },
+      {
+        slots: {
+          "default-extra": `<template #default-extra="{ formErrors }">
+            <p class="extra-errors">{{ formErrors.join('|') }}</p>
+          </template>`,
+        },
+      }
+    );
+
+    await wrapper.vm.submit();
+    await nextTick();
+
+    expect(wrapper.emitted("submit")).toBeFalsy();
+    expect(wrapper.emitted("submit:reject")[0][0].firstInvalidPath).toBe(
+      "email"
+    );
+    expect(wrapper.find(".presko-form-errors").text()).toBe(
+      "Add a contact method."
+    );
+    expect(wrapper.find(".extra-errors").text()).toBe("Add a contact method.");
+    expect(wrapper.find(".stub-error-message").text()).toBe(
+      "Email or phone needed."
+    );
+  });
+
+  it("validates against the schema prop and shows issues at their fields", async () => {
+    const schema = {
+      validate: (model) =>
+        model.username.length < 3
+          ? [{ path: ["username"], message: "At least 3 characters." }]
+          : [],
+    };
+    const wrapper = mountPreskoForm({
+      fields: [
+        { propertyName: "username", component: StubAppInput, rules: [] },
+      ],
+      modelValue: { username: "jo" },
+      schema,
+    });
+
+    await wrapper.vm.submit();
+    await nextTick();
+
+    expect(wrapper.emitted("submit")).toBeFalsy();
+    expect(wrapper.emitted("submit:reject")[0][0].firstInvalidPath).toBe(
+      "username"
+    );
+    expect(wrapper.find(".stub-error-message").text()).toBe(
+      "At least 3 characters."
+    );
+  });
+});
@@ -0,0 +1,160 @@
+import { describe, it, expect } from "vitest";
+import { flushPromises } from "@vue/test-utils";
+import { mountPreskoForm } from "../__tests__/mountPreskoForm";
+import StubAppInput from "../__tests__/stubs/StubAppInput.vue";
+
+describe("PreskoForm.vue - steps", () => {
+  const fields = [
+    {
+      propertyName: "name",
+      label: "Name",
+      component: StubAppInput,
+      rules: ["isRequired"],
+    },
+    {
+      propertyName: "company",
+      label: "Company",
+      component: StubAppInput,
+      rules: ["isRequired"],
+    },
+    {
+      propertyName: "email",
+      label: "Email",
+      component: StubAppInput,
+      rules: ["isRequired"],
+    },
+  ];
+
+  const steps = [
+    { id: "personal", title: "Personal", fields: ["name"] },
+    {
+      id: "business",
+      title: "Business",
+      fields: ["company"],
+      skipIf: (model) => model.isPrivate,
+    },
+    { id: "contact", title: "Contact", fields: ["email"] },
+  ];
+
+  const createWrapper = (modelValue = {}) =>
+    mountPreskoForm({
+      fields,
+      steps,
+      modelValue: { name: "", company: "", email: "", ...modelValue },
+    });
+  let wrapper;
+
+  const renderedInputs = () => wrapper.findAllComponents(StubAppInput).length;
+
+  it("renders only the current step's fields and title", () => {
+    wrapper = createWrapper();
+
+    expect(renderedInputs()).toBe(1);
+    expect(wrapper.find(".presko-form-step-title").text()).toBe("Personal");
+    expect(wrapper.find(".presko-step-prev-btn").exists()).toBe(false);
+    expect(wrapper.find('button[type="submit"]').exists()).toBe(false);
+  });
+
+  it("does not advance while the current step is invalid", async () => {
+    wrapper = createWrapper();
+
+    expect(await wrapper.vm.next()).toBe(false);
+    await flushPromises();
+
+    expect(wrapper.vm.currentStepIndex).toBe(0);
+    expect(wrapper.vm.canAdvance).toBe(false);
+    expect(wrapper.find(".presko-error-message").text()).toBe(
+      "Field Name is required."
+    );
+    expect(wrapper.emitted("step:change")).toBeUndefined();
+  });
+
+  it("validates only the current step and keeps state across steps", async () => {
+    wrapper = createWrapper({ name: "Ann" });
+
+    await wrapper.find(".presko-step-next-btn").trigger("click");
+    await flushPromises();
+
+    expect(wrapper.vm.currentStep.id).toBe("business");
+    expect(wrapper.find(".presko-error-message").exists()).toBe(false);
+    expect(wrapper.emitted("step:change")[0][0]).toMatchObject({
+      from: 0,
+      to: 1,
+      step: steps[1],
+    });
+
+    await wrapper.find("input").setValue("Acme");
+    expect(wrapper.vm.prev()).toBe(true);
+    await flushPromises();
+
+    expect(wrapper.find("input").element.value).toBe("Ann");
+    expect(wrapper.props("modelValue").company).toBe("Acme");
+  });
+
+  it("skips steps whose skipIf matches the model", async () => {
+    wrapper = createWrapper({ name: "Ann", isPrivate: true });
+
+    expect(await wrapper.vm.next()).toBe(true);
+    await flushPromises();
+
+    expect(wrapper.vm.currentStep.id).toBe("contact");
+    expect(wrapper.find('button[type="submit"]').exists()).toBe(true);
+    expect(wrapper.find(".presko-step-next-btn").exists()).toBe(false);
+  });
+
+  it("goTo validates the steps on the way forward", async () => {
+    wrapper = createWrapper({ name: "Ann" });
+
+    expect(await wrapper.vm.goTo("contact")).toBe(false);
+    await flushPromises();
+    expect(wrapper.vm.currentStep.id).toBe("business");
+
+    expect(await wrapper.vm.goTo(0)).toBe(true);
+    expect(wrapper.vm.currentStepIndex).toBe(0);
+  });
+
+  it("submits on the last step and emits the whole model", async () => {
+    wrapper = createWrapper({ name: "Ann", company: "Acme", email: "a@b.c" });
+
+    await wrapper.vm.goTo("contact");
+    await wrapper.find("form").trigger("submit");
+    await flushPromises();
+
+    expect(wrapper.emitted("submit")[0][0]).toEqual({
+      name: "Ann",
+      company: "Acme",
+      email: "a@b.c",
+    });
+  });
+
+  it("moves to the next step instead of submitting before the last step", async () => {
+    wrapper = createWrapper({ name: "Ann" });
+
+    await wrapper.find("form").trigger("submit");
+    await flushPromises();
+
+    expect(wrapper.emitted("submit")).toBeUndefined();
+    expect(wrapper.vm.currentStep.id).toBe("business");
+  });
+
+  it("ignores submissions while the last step's submission is pending", async () => {
+    wrapper = mountPreskoForm({
+      fields,
+      steps,
+      modelValue: { name: "Ann", company: "Acme", email: "a@b.c" },
+      submitHandler: () => new Promise(() => {}),
+    });
+
+    await wrapper.vm.goTo("contact");
+    wrapper.vm.submit();
+    await flushPromises();
+    expect(wrapper.vm.isSubmitting).toBe(true);
+
+    wrapper.vm.prev();
+    await wrapper.find("form").trigger("submit");
+    await flushPromises();
+
+    expect(wrapper.vm.currentStep.id).toBe("business");
+    expect(wrapper.vm.submitCount).toBe(1);
+  });
+});
@@ -0,0 +1,77 @@
+import { describe, it, expect } from "vitest";
+import { mount } from "@vue/test-utils";
+import { defineComponent } from "vue";
+import PreskoFormItem from "./PreskoFormItem.vue";
+
+const StubInput = defineComponent({
+  name: "StubInput",
+  props: ["modelValue", "meta", "cardInfo", "passwordStrength"],
+  template: "<input :value='modelValue' />",
+});
+
+describe("PreskoFormItem.vue - field metadata", () => {
+  const mountItem = (props = {}) =>
+    mount(PreskoFormItem, {
+      props: {
+        field: { propertyName: "cardNumber", component: StubInput },
+        fieldPath: "cardNumber",
+        modelValue: "4111111111111111",
+        ...props,
+      },
+    });
+
+  it("passes metadata to the field component as the meta prop", () => {
+    const wrapper = mountItem({ meta: { cardBrand: "visa" } });
+    expect(wrapper.findComponent(StubInput).props("meta")).toEqual({
+      cardBrand: "visa",
+    });
+  });
+
+  it("uses the prop name configured in fieldStateProps.meta", () => {
+    const wrapper = mountItem({
+      meta: { cardBrand: "amex" },
+      fieldStateProps: {
+        isTouched: "touched",
+        isDirty: "dirty",
+        meta: "cardInfo",
+      },
+    });
+    const input = wrapper.findComponent(StubInput);
+    expect(input.props("cardInfo")).toEqual({ cardBrand: "amex" });
+    expect(input.props("meta")).toBeUndefined();
+  });
+
+  it("passes metadata as meta when fieldStateProps has no entry for it", () => {
+    const wrapper = mountItem({
+      meta: { cardBrand: "visa" },
+      fieldStateProps: { isTouched: "touched", isDirty: "dirty" },
+    });
+    expect(wrapper.findComponent(StubInput).props("meta")).toEqual({
+      cardBrand: "visa",
+    });
+  });
+
+  it("does not pass the meta prop when no metadata was reported", () => {
+    const wrapper = mountItem();
+    expect(wrapper.findComponent(StubInput).props("meta")).toBeUndefined();
+  });
+
+  it("passes password strength feedback through its own prop", () => {
+    const strength = { score: 2, maxScore: 4, unmet: [] };
+    const wrapper = mountItem({ meta: { passwordStrength: strength } });
+    expect(wrapper.findComponent(StubInput).props("passwordStrength")).toEqual(
+      strength
+    );
+  });
+
+  it("passes password strength under its default name when fieldStateProps has no entry for it", () => {
+    const strength = { score: 4, maxScore: 4, unmet: [] };
+    const wrapper = mountItem({
+      meta: { passwordStrength: strength },
+      fieldStateProps: { isTouched: "touched", isDirty: "dirty" },
+    });
+    expect(wrapper.findComponent(StubInput).props("passwordStrength")).toEqual(
+      strength
+    );
+  });
+});
@@ -0,0 +1,81 @@
+import { computed, reactive, toValue } from "vue";
+
+/**
+ * @typedef {Object} FormStatus
+ * @property {boolean} isDirty - True if any field is dirty.
+ * @property {boolean} isTouched - True if any field has been touched.
+ * @property {boolean} isPending - True while an async validation runs.
+ * @property {boolean} isValid - True if no field has an error and there are no form-wide errors.
+ * @property {boolean} isSubmitting - True while a submission is in progress.
+ * @property {number} submitCount - How many times the form was submitted.
+ * @property {{ status: 'invalid'|'success'|'error', value?: any, error?: any }|null} lastSubmitResult - The outcome
+ *   of the latest submission, or null before the first one.
+ * @property {Object<string, string|string[]>} errors - Error messages of the invalid fields, by path.
+ * @property {string[]} dirtyFields - Paths of the dirty fields.
+ * @property {string[]} touchedFields - Paths of the touched fields.
+ * @property {Function} resetTouched - Marks all fields as untouched.
+ * @property {Function} resetDirty - Makes the current values the baseline for dirty checking.
+ * @property {Function} revertChanges - Restores the initial values and clears all field state.
+ * @property {Function} getState - Returns a frozen snapshot of the form state.
+ */
+
+/**
+ * The state `useFormStatus` reads from the form, with the value used while no form is mounted.
+ * Status key to `[exposed property, fallback]`.
+ * @type {Object<string, [string, any]>}
+ */
+const STATUS_PROPERTIES = {
+  isDirty: ["isFormDirty", false],
+  isTouched: ["isFormTouched", false],
+  isPending: ["isFormPending", false],
+  isValid: ["isFormValid", true],
+  isSubmitting: ["isSubmitting", false],
+  submitCount: ["submitCount", 0],
+  lastSubmitResult: ["lastSubmitResult", null],
+  errors: ["errors", {}],
+  dirtyFields: ["dirtyFields", []],
+  touchedFields: ["touchedFields", []],
+};
+
+/**
+ * Follows the state of a `PreskoForm` from outside of it, e.g. for a Save button elsewhere on the page.
+ * The status reads the form the ref currently points to, so it keeps working when the form is
+ * re-mounted; while no form is mounted, it reports a pristine, valid form.
+ *
+ * @param {import('vue').Ref|Function} formRef - The template ref of the `PreskoForm` (or a getter returning the form).
+ * @returns {FormStatus} A reactive object; use `toRefs` to destructure it.
+ * @example
+ * const form = ref(null);
+ * const status = useFormStatus(form);
+ * // <button :disabled="!status.isDirty || status.isSubmitting">Save</button>
+ */
+export function useFormStatus(formRef) {
+  const form = computed(() => toValue(formRef));
+
+  const status = {};
+  Object.entries(STATUS_PROPERTIES).forEach(([key, [property, fallback]]) => {
+    status[key] = computed(() =>
+      form.value && form.value[property] !== undefined
+        ? form.value[property]
+        : fallback
+    );
+  });
+
+  /**
+   * Calls one of the form's methods, if a form is mounted.
+   * @param {string} method - The name of the exposed method.
+   * @returns {Function} A function passing its arguments on.
+   */
+  const callForm =
+    (method) =>
+    (...args) =>
+      form.value ? form.value[method](...args) : undefined;
+
+  return reactive({
+    ...status,
+    resetTouched: callForm("resetTouched"),
+    resetDirty: callForm("resetDirty"),
+    revertChanges: callForm("revertChanges"),
+    getState: callForm("getState"),
+  });
+}
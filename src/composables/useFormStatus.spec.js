@@ -0,0 +1,186 @@
+import { describe, it, expect } from "vitest";
+import { mount, flushPromises } from "@vue/test-utils";
+import { defineComponent, ref } from "vue";
+import PreskoForm from "../components/PreskoForm.vue";
+import { useFormStatus } from "./useFormStatus";
+import StubAppInput from "../__tests__/stubs/StubAppInput.vue";
+import StubAppSubmit from "../__tests__/stubs/StubAppSubmit.vue";
+
+const nameField = {
+  propertyName: "name",
+  label: "Name",
+  component: StubAppInput,
+  rules: ["isRequired"],
+};
+
+const Parent = defineComponent({
+  components: { PreskoForm },
+  setup() {
+    const form = ref(null);
+    const model = ref({ name: "Ada" });
+    const fields = ref([nameField]);
+    const formKey = ref(0);
+    const shown = ref(true);
+    const status = useFormStatus(form);
+    return { form, model, fields, formKey, shown, status, StubAppSubmit };
+  },
+  template: `
+    <PreskoForm
+      v-if="shown"
+      :key="formKey"
+      ref="form"
+      v-model="model"
+      :fields="fields"
+      :submit-component="StubAppSubmit"
+    />
+    <button class="save" :disabled="!status.isDirty">Save</button>
+  `,
+});
+
+describe("useFormStatus", () => {
+  it("follows the form's state", async () => {
+    const wrapper = mount(Parent);
+    const { status } = wrapper.vm;
+
+    expect(status).toMatchObject({
+      isDirty: false,
+      isTouched: false,
+      isPending: false,
+      isValid: true,
+      isSubmitting: false,
+      submitCount: 0,
+      errors: {},
+      dirtyFields: [],
+    });
+    expect(wrapper.find(".save").attributes("disabled")).toBeDefined();
+
+    await wrapper.find("input").setValue("");
+    await wrapper.find("input").trigger("blur");
+    await flushPromises();
+
+    expect(status).toMatchObject({
+      isDirty: true,
+      isTouched: true,
+      isValid: false,
+      errors: { name: "Field Name is required." },
+      dirtyFields: ["name"],
+    });
+    expect(wrapper.find(".save").attributes("disabled")).toBeUndefined();
+
+    await wrapper.find("form").trigger("submit");
+    await flushPromises();
+    expect(status.submitCount).toBe(1);
+    expect(status.isSubmitting).toBe(false);
+
+    status.revertChanges();
+    await flushPromises();
+    expect(wrapper.vm.model.name).toBe("Ada");
+    expect(status.isDirty).toBe(false);
+    expect(status.isValid).toBe(true);
+  });
+
+  it("keeps working when the form is re-mounted or its fields change", async () => {
+    const wrapper = mount(Parent);
+    const { status } = wrapper.vm;
+    await wrapper.find("input").setValue("Grace");
+    expect(status.isDirty).toBe(true);
+
+    wrapper.vm.formKey += 1;
+    await flushPromises();
+    expect(status.isDirty).toBe(false);
+
+    await wrapper.find("input").setValue("Linus");
+    expect(status.dirtyFields).toEqual(["name"]);
+
+    wrapper.vm.fields = [
+      nameField,
+      {
+        propertyName: "email",
+        label: "Email",
+        component: StubAppInput,
+        value: "",
+      },
+    ];
+    await flushPromises();
+    await wrapper.findAll("input")[1].setValue("linus@example.com");
+    expect(status.dirtyFields).toEqual(["name", "email"]);
+  });
+
+  it("validates fields added after the form was set up", async () => {
+    const wrapper = mount(Parent);
+    const { status } = wrapper.vm;
+
+    wrapper.vm.fields = [
+      nameField,
+      {
+        propertyName: "email",
+        label: "Email",
+        component: StubAppInput,
+        rules: ["isRequired"],
+      },
+    ];
+    await flushPromises();
+    await wrapper.findAll("input")[1].trigger("blur");
+    await flushPromises();
+    expect(status.errors).toEqual({ email: "Field Email is required." });
+
+    await wrapper.find("form").trigger("submit");
+    await flushPromises();
+    expect(status.lastSubmitResult).toEqual({ status: "invalid" });
+    expect(status.isValid).toBe(false);
+
+    wrapper.vm.fields = [nameField];
+    await flushPromises();
+    expect(status.errors).toEqual({});
+    expect(status.isValid).toBe(true);
+  });
+
+  it("validates fields added to a sub-form after the form was set up", async () => {
+    const wrapper = mount(Parent);
+    const { status } = wrapper.vm;
+    const getAddressField = (fields) => ({ subForm: "address", fields });
+    const cityField = {
+      propertyName: "city",
+      component: StubAppInput,
+      value: "",
+    };
+
+    wrapper.vm.fields = [nameField, getAddressField([cityField])];
+    await flushPromises();
+    wrapper.vm.fields = [
+      nameField,
+      getAddressField([
+        cityField,
+        {
+          propertyName: "zip",
+          label: "Zip",
+          component: StubAppInput,
+          rules: ["isRequired"],
+          value: "",
+        },
+      ]),
+    ];
+    await flushPromises();
+
+    await wrapper.find("form").trigger("submit");
+    await flushPromises();
+    expect(status.lastSubmitResult).toEqual({ status: "invalid" });
+    expect(status.errors).toEqual({ "address.zip": "Field Zip is required." });
+    expect(status.isValid).toBe(false);
+  });
+
+  it("reports a pristine form while none is mounted", async () => {
+    const wrapper = mount(Parent);
+    const { status } = wrapper.vm;
+    await wrapper.find("input").setValue("");
+    await wrapper.find("input").trigger("blur");
+    await flushPromises();
+
+    wrapper.vm.shown = false;
+    await flushPromises();
+
+    expect(status.isDirty).toBe(false);
+    expect(status.isValid).toBe(true);
+    expect(status.getState()).toBeUndefined();
+  });
+});
@@ -1,5 +1,67 @@
-import { reactive, toRaw, computed } from "vue"; // Added toRaw for accessing raw values if needed
+import { reactive, toRaw, computed, ref, watch, toValue } from "vue"; // Added toRaw for accessing raw values if needed
 import Validation from "../validation";
+import { message, translate, isMessage, getLocale } from "../i18n";
+import { toFieldPath } from "../schemaAdapters";
+import { evaluateCondition } from "../conditions";
+import { isEmpty } from "../validation/helpers";
+import {
+  getDefinedRule,
+  normalizeRule,
+  warnUnknownRule,
+} from "../validation/ruleRegistry";
+
+/**
+ * Key under which a form-level validator reports a form-wide error (one not tied to any field path).
+ * @type {string}
+ */
+export const FORM_ERROR_KEY = "_form";
+
+/**
+ * Rule names `validateWithBuiltInRules` can check on its own when no rule function is found.
+ * @type {string[]}
+ */
+const FALLBACK_RULE_NAMES = ["isRequired", "isEmail"];
+
+/**
+ * Converts the issues of a schema adapter into a form-level validator result:
+ * the first message per field path, and the issues without a path as form-wide errors.
+ * @param {Array<{ path: any, message: any }>|Promise<Array>} issues - The issues returned by `schema.validate`.
+ * @returns {true|Object<string, any>|Promise} The form-level validator result.
+ */
+const schemaIssuesToResult = (issues) => {
+  if (issues instanceof Promise) return issues.then(schemaIssuesToResult);
+  if (!Array.isArray(issues) || issues.length === 0) return true;
+  return issues.reduce((result, issue) => {
+    const path = toFieldPath(issue.path);
+    const issueMessage =
+      issue.message || message("invalid", { label: path || "Form" });
+    if (!path) {
+      result[FORM_ERROR_KEY] = [
+        ...(result[FORM_ERROR_KEY] || []),
+        issueMessage,
+      ];
+    } else if (!(path in result)) {
+      result[path] = issueMessage;
+    }
+    return result;
+  }, {});
+};
+
+/**
+ * Maps a path inside a list to the path it has after the list's items were rearranged.
+ * @param {string} path - A path, e.g. `contacts[2].email`.
+ * @param {string} listPath - The path of the list, e.g. `contacts`.
+ * @param {Array<number|null>} order - For each new index, the index the item had before (null for a new item).
+ * @returns {string|null} The new path; the path itself if it is not inside the list, null if its item was removed.
+ */
+export function remapListItemPath(path, listPath, order) {
+  const match = path.startsWith(`${listPath}[`)
+    ? path.slice(listPath.length).match(/^\[(\d+)\](.*)$/)
+    : null;
+  if (!match) return path;
+  const newIndex = order.indexOf(Number(match[1]));
+  return newIndex === -1 ? null : `${listPath}[${newIndex}]${match[2]}`;
+}
 
 /**
  * @typedef {Object} FieldConfig
@@ -9,12 +71,23 @@ import Validation from "../validation";
  * @property {Object} [props] - Additional props to pass to the field's component; `props.label` can also be used for error messages.
  * @property {Array<string|Object|RegExp>} [rules] - An array of validation rules.
  * @property {Array<Function>} [validators] - An array of custom validator functions.
- * @property {Array<FieldConfig>} [fields] - If this field represents a sub-form, this contains its field configurations. Used for recursive processing.
+ * @property {Array<FieldConfig>} [fields] - If this field represents a sub-form or a list, this contains its (item) field configurations,
+ *   which can be sub-forms and lists themselves. Used for recursive processing.
  * @property {string} [subForm] - If this field configuration object represents a sub-form container, this is its key in the parent model.
  * @property {string} [type] - Type of field, e.g., 'list' for list fields.
  * @property {Array} [initialValue] - Initial value for list fields.
  * @property {Object} [defaultValue] - Default value template for new list items.
+ * @property {number} [minItems] - For list fields: the least number of items.
+ * @property {number} [maxItems] - For list fields: the most number of items.
+ * @property {string|Function} [uniqueBy] - For list fields: the item property whose values must be unique across the items,
+ *   or a function returning the value to compare. List fields' `rules` and `validators` receive the whole array.
+ * @property {string|Function} [itemKey] - For list fields rendered by `PreskoForm`: the item property holding a unique id,
+ *   or a function returning an item's id. Used as the items' render key.
  * @property {boolean} [isShowing] - Indicates whether the field is visible and should be validated.
+ * @property {Object} [showIf] - A declarative condition on the model, e.g. `{ field: 'country', op: 'in', value: ['US', 'CA'] }`.
+ *   The field is visible and validated only while it is met (see `evaluateCondition`).
+ * @property {Array<string>} [dependsOn] - Paths of other fields this field's validation reads. When one of them
+ *   changes, this field is re-validated (if touched). Paths read through `ctx.getValue` are tracked automatically.
  */
 
 /**
@@ -25,7 +98,62 @@ import Validation from "../validation";
  *   - 'onInput': Validation runs as the user types into a field (debounced), on blur, and on form submit.
  * @property {number} [inputDebounceMs=100] - Debounce time in milliseconds for 'onInput' validation.
  *   This helps prevent excessive validation calls while the user is actively typing.
+ * @property {Array<FormValidator>} [formValidators=[]] - Validators that receive the whole model, for rules
+ *   spanning several fields. Their errors block submission.
+ * @property {Object<string, Function|{ validate: Function, message?: string|Function }>} [rules={}] - Custom rules
+ *   for this form, usable by name in `FieldConfig.rules`. Rules registered with `defineRule` take precedence,
+ *   built-in rules come last.
+ * @property {string|import('vue').Ref<string>|Function} [locale] - Locale for error messages (a string, ref or getter).
+ *   Defaults to the app-wide locale (`setLocale`). When it changes, existing errors are re-translated.
+ * @property {SchemaAdapter} [schema] - A schema library adapter (see `src/schemaAdapters`) validating the whole model.
+ *   Its issues are applied like those of a form-level validator; before the form is first validated as a whole,
+ *   a field's validation applies only the issues for that field.
+ */
+
+/**
+ * Bridges a schema library to the form. `validate` returns, or resolves to, the issues found in the model;
+ * an issue path may be an array of keys (`["contacts", 0, "email"]`) or a string (`"contacts[0].email"`).
+ * @typedef {Object} SchemaAdapter
+ * @property {(value: Object) => Array<{ path: any, message: string }>|Promise<Array<{ path: any, message: string }>>} validate
+ */
+
+/**
+ * A form-level validator. Receives the whole form model and returns (or resolves to):
+ * - `true`, `null` or `undefined` when valid;
+ * - a string (or array of strings) for a form-wide error;
+ * - an object mapping field paths to messages, e.g. `{ "contacts[0].email": "Required" }`.
+ *   A form-wide error can be added under the `FORM_ERROR_KEY` ('_form') key.
+ * @callback FormValidator
+ * @param {Object} model - The current form model.
+ * @returns {true|null|undefined|string|string[]|Object<string, string|string[]>|Promise} The validation result.
+ */
+
+/**
+ * A frozen snapshot of the form state, returned by `getState`.
+ * @typedef {Object} FormStateSnapshot
+ * @property {Object} values - A copy of the current values.
+ * @property {Object} initialValues - A copy of the baseline values dirty checking compares against.
+ * @property {boolean} isDirty - True if any field is dirty.
+ * @property {boolean} isTouched - True if any field has been touched.
+ * @property {boolean} isPending - True while an async validation runs.
+ * @property {string[]} dirtyFields - Paths of the dirty fields.
+ * @property {string[]} touchedFields - Paths of the touched fields.
+ * @property {string[]} pendingFields - Paths of the fields being validated asynchronously.
+ * @property {Object<string, string|string[]>} errors - Error messages of the invalid fields, by path.
+ * @property {string[]} formErrors - Form-wide error messages.
+ */
+
+/**
+ * Recursively freezes an object and the objects and arrays it holds.
+ * @param {Object} value - The object to freeze.
+ * @returns {Object} The frozen object.
  */
+const deepFreeze = (value) => {
+  Object.values(value).forEach((nested) => {
+    if (nested !== null && typeof nested === "object") deepFreeze(nested);
+  });
+  return Object.freeze(value);
+};
 
 /**
  * Composable for managing form validation, field values, and interaction states (touched, dirty).
@@ -46,22 +174,75 @@ import Validation from "../validation";
  *   Messages can be a single string or an array of strings. Field names are used as keys.
  * @property {Object<string, boolean>} formFieldsTouchedState - Reactive object tracking the touched state of each field.
  *   `true` if the field has been interacted with (e.g., blurred). Field names are used as keys.
+ * @property {import('vue').Ref<string[]>} formErrors - Form-wide error messages reported by `formValidators`.
+ * @property {Object<string, Object>} formFieldsMeta - Reactive object holding metadata that rules reported for each field
+ *   through `ctx.setMeta(key, value)`, e.g. `{ cardBrand: "visa" }`. Field paths are used as keys.
  * @property {Object<string, boolean>} formFieldsDirtyState - Reactive object tracking the dirty state of each field (whether its value has changed from its initial value).
  *   `true` if the field's value has changed. Field names are used as keys.
  * @property {Function} validateField - Validates a single field's value against its configured rules and updates reactive validation states.
  * @property {Function} validateFormPurely - Validates a provided data object (representing the entire form's current model) against all field configurations.
- *   This is typically used for form submission. Updates reactive validation states.
+ *   Only synchronous rules are applied. Updates reactive validation states.
+ * @property {Function} validateFormAsync - Like `validateFormPurely`, but also runs and awaits custom (async) validators.
+ *   This is what form submission uses. Resolves to the overall validity.
+ * @property {Function} validateFieldsAsync - Validates only the given top-level field configurations (e.g. a wizard step),
+ *   including async validators. Resolves to their validity.
  * @property {Function} setFieldTouched - Sets the touched state of a specified field.
  * @property {Function} checkFieldDirty - Checks if a field's current value differs from its initial value and updates its dirty state.
  * @property {Function} updateFieldInitialValue - Updates the stored initial value of a field, used as a baseline for dirty checking.
+ * @property {Function} getFieldInitialValue - Returns a copy of the stored initial value of a field.
+ * @property {Function} clearFieldState - Clears the validation, touched and dirty state of a field and the fields nested in it.
+ * @property {Function} setFields - Replaces the field configurations, setting up new fields and clearing the state of removed ones.
  * @property {Function} triggerValidation - Triggers validation for a specific field based on an event type (e.g., 'input', 'blur'),
  *   respecting configured validation triggers and debounce settings.
+ * @property {Function} validateDependentFields - Re-validates touched fields that depend on a changed field (`dependsOn` or `ctx.getValue`).
+ * @property {Function} getDependentFieldPaths - Lists the touched fields that depend on a given field path.
  * @property {Function} resetValidationState - Resets the validation state (validity and error messages) for a specific field or all fields if no field name is provided.
+ * @property {Function} setErrors - Marks fields as invalid with the given messages (by path), e.g. errors reported by a server.
+ *   They are cleared when their field is edited, unless set as `sticky`.
+ * @property {Function} setFieldError - Marks a single field as invalid with the given message, like `setErrors`.
+ * @property {Function} clearErrors - Clears the errors of the given fields, or all errors.
+ * @property {Function} getErrors - Returns a copy of the current field errors by path, plus the form-wide errors under '_form'.
+ * @property {import('vue').ComputedRef<boolean>} isFormDirty - True if any field is dirty.
+ * @property {import('vue').ComputedRef<boolean>} isFormTouched - True if any field has been touched.
+ * @property {import('vue').ComputedRef<string[]>} dirtyFields - Paths of the dirty fields.
+ * @property {import('vue').ComputedRef<string[]>} touchedFields - Paths of the touched fields.
+ * @property {import('vue').ComputedRef<Object<string, string|string[]>>} errors - Error messages of the invalid fields, by path.
+ * @property {import('vue').ComputedRef<boolean>} isFormValid - True if no field has an error and there are no form-wide errors.
+ * @property {Function} resetTouched - Marks all fields as untouched.
+ * @property {Function} resetDirty - Marks all fields as clean, making the current values the new baseline.
+ * @property {Function} revertChanges - Restores the initial values and clears all field state.
+ * @property {Function} getState - Returns a frozen `FormStateSnapshot`.
  * @property {Function} addItem - Adds an item to a list field.
  * @property {Function} removeItem - Removes an item from a list field.
+ * @property {Function} moveItem - Moves an item of a list field to another index, with its state.
+ * @property {Function} swapItems - Swaps two items of a list field, with their state.
+ * @property {Function} insertItem - Inserts an item into a list field at an index.
+ * @property {Function} duplicateItem - Inserts a copy of a list item right after it.
+ * @property {Function} reindexListState - Moves the state of a list's items to their new indexes after the list was rearranged.
  */
 export function useFormValidation(fields, options = {}) {
-  const { validationTrigger = "onBlur", inputDebounceMs = 100 } = options;
+  const {
+    validationTrigger = "onBlur",
+    inputDebounceMs = 100,
+    formValidators = [],
+    rules = {},
+    locale,
+    schema,
+  } = options;
+
+  /**
+   * The form-level validators, plus one running the `schema` adapter (always last).
+   * @type {Array<FormValidator>}
+   */
+  const allFormValidators = schema
+    ? [
+        ...formValidators,
+        (model) => schemaIssuesToResult(schema.validate(model)),
+      ]
+    : formValidators;
+  const schemaValidatorIndex = schema ? allFormValidators.length - 1 : -1;
+  /** @type {Object<string, number>} */
+  const schemaFieldRunIds = {}; // Run IDs of per-field schema validations, to discard superseded results
 
   /** @type {Object<string, any>} */
   let formFieldsValues = reactive({});
@@ -71,6 +252,8 @@ export function useFormValidation(fields, options = {}) {
   let formFieldsTouchedState = reactive({});
   let formFieldsDirtyState = reactive({});
   let formFieldsPendingState = reactive({}); // Tracks pending state for async validators
+  /** @type {Object<string, Object>} */
+  const formFieldsMeta = reactive({}); // Metadata reported by rules via ctx.setMeta, e.g. a detected card brand
   /** @type {Object<string, any>} */
   let initialFormFieldsValues = {}; // Stores initial values for dirty checking
   /** @type {Object<string, number>} */
@@ -79,6 +262,94 @@ export function useFormValidation(fields, options = {}) {
   const validationRunIds = {}; // Stores validation run IDs for each field to prevent race conditions
   /** @type {Object<string, AbortController>} */
   const activeAbortControllers = {}; // Stores active AbortControllers for async validations
+  /** @type {Object<string, Set<string>>} */
+  const trackedDependencies = {}; // Paths read via ctx.getValue during each field's latest validation run
+  /** @type {import('vue').Ref<string[]>} */
+  const formErrors = ref([]); // Form-wide errors reported by form-level validators
+  /** @type {Object<string, string|string[]>} */
+  let formValidatorFieldErrors = {}; // Path errors currently applied by form-level validators
+  /** @type {Object<string, { message: any, sticky: boolean }>} */
+  const externalFieldErrors = {}; // Errors set from outside (e.g. by a server), by path
+  /** @type {Array<{ fieldErrors: Object, formErrors: string[] }|undefined>} */
+  const formValidatorResults = []; // Latest normalized result per form-level validator
+  /** @type {Array<number>} */
+  const formValidatorRunIds = []; // Run IDs per form-level validator to discard superseded async results
+  let formValidatorsHaveRun = false;
+  const isFormValidatorPending = ref(false);
+  /** @type {Object<string, any>} */
+  const errorMessageSources = {}; // Untranslated error per path (message descriptors or strings), re-translated on locale change
+  /** @type {Array<any>} */
+  let formErrorSources = []; // Untranslated form-wide errors
+
+  /**
+   * The locale error messages are translated for: the `locale` option, else the app-wide locale.
+   * @type {import('vue').ComputedRef<string>}
+   */
+  const messageLocale = computed(() => toValue(locale) || getLocale());
+
+  /**
+   * Stores a field's error message, translating message descriptors for the current locale.
+   * @private
+   * @param {string} fieldPath - The path of the field.
+   * @param {any} errorMessage - The message (descriptor, string or array), or undefined to clear it.
+   */
+  const setErrorMessage = (fieldPath, errorMessage) => {
+    errorMessageSources[fieldPath] = errorMessage;
+    formFieldsErrorMessages[fieldPath] = translate(
+      errorMessage,
+      messageLocale.value
+    );
+  };
+
+  /**
+   * Stores the form-wide errors, translating message descriptors for the current locale.
+   * @private
+   * @param {Array<any>} errors - The untranslated errors.
+   */
+  const setFormErrors = (errors) => {
+    formErrorSources = errors;
+    formErrors.value = translate(errors, messageLocale.value);
+  };
+
+  // Re-translate the current errors when the locale changes.
+  watch(messageLocale, (newLocale) => {
+    Object.keys(errorMessageSources).forEach((path) => {
+      if (errorMessageSources[path] !== undefined) {
+        formFieldsErrorMessages[path] = translate(
+          errorMessageSources[path],
+          newLocale
+        );
+      }
+    });
+    formErrors.value = translate(formErrorSources, newLocale);
+  });
+
+  /** @type {Object<string, Function>} */
+  const formRules = Object.entries(rules || {}).reduce(
+    (normalized, [name, definition]) => {
+      const rule = normalizeRule(definition);
+      if (rule) normalized[name] = rule;
+      return normalized;
+    },
+    {}
+  );
+
+  /**
+   * Looks a rule up by name: rules registered with `defineRule` first, then the form's
+   * `rules` option, then the built-in rules.
+   * @private
+   * @param {string} name - The rule name.
+   * @returns {Function|undefined} The rule function, if any.
+   */
+  const resolveRule = (name) => {
+    const rule =
+      getDefinedRule(name) ||
+      (Object.prototype.hasOwnProperty.call(formRules, name)
+        ? formRules[name]
+        : undefined) ||
+      Validation[name];
+    return typeof rule === "function" ? rule : undefined;
+  };
 
   /**
    * Gets the display label for a field.
@@ -96,38 +367,6 @@ export function useFormValidation(fields, options = {}) {
     );
   };
 
-  /**
-   * Initializes a single field's state.
-   * @private
-   * @param {FieldConfig} fieldConfig - The field configuration object.
-   * @param {string} pathPrefix - The path prefix for nested fields.
-   * @param {Object} targetValuesObject - The target object to set values on.
-   * @param {Object} targetInitialValuesObject - The target object to set initial values on.
-   */
-  const initializeFieldState = (
-    fieldConfig,
-    pathPrefix,
-    targetValuesObject,
-    targetInitialValuesObject
-  ) => {
-    const fullPath = pathPrefix + fieldConfig.propertyName;
-    const initialValue = fieldConfig.hasOwnProperty("value")
-      ? fieldConfig.value
-      : undefined;
-
-    targetValuesObject[fieldConfig.propertyName] = initialValue;
-    targetInitialValuesObject[fieldConfig.propertyName] =
-      initialValue !== undefined
-        ? JSON.parse(JSON.stringify(initialValue))
-        : undefined;
-
-    formFieldsTouchedState[fullPath] = false;
-    formFieldsDirtyState[fullPath] = false;
-    formFieldsValidity[fullPath] = undefined;
-    formFieldsErrorMessages[fullPath] = undefined;
-    formFieldsPendingState[fullPath] = false;
-  };
-
   /**
    * Recursively initializes reactive states (values, validity, errors, touched, dirty)
    * for all fields and sub-form fields based on their configuration.
@@ -151,14 +390,16 @@ export function useFormValidation(fields, options = {}) {
         const fullPath = currentPathPrefix + key;
 
         if (field.type === "list") {
-          currentModelTarget[key] =
-            field.initialValue && Array.isArray(field.initialValue)
-              ? [...field.initialValue]
-              : [];
-          currentInitialValuesTarget[key] =
-            field.initialValue && Array.isArray(field.initialValue)
-              ? JSON.parse(JSON.stringify(field.initialValue))
+          // A list nested in a list item keeps the items its parent's `initialValue` gave it.
+          const initialItems = Array.isArray(currentModelTarget[key])
+            ? currentModelTarget[key]
+            : field.initialValue && Array.isArray(field.initialValue)
+              ? field.initialValue
               : [];
+          currentModelTarget[key] = [...initialItems];
+          currentInitialValuesTarget[key] = JSON.parse(
+            JSON.stringify(initialItems)
+          );
 
           formFieldsTouchedState[fullPath] = false;
           formFieldsDirtyState[fullPath] = false;
@@ -176,17 +417,13 @@ export function useFormValidation(fields, options = {}) {
               currentInitialValuesTarget[key][index] = {};
             }
             if (Array.isArray(field.fields)) {
-              field.fields.forEach((listItemField) => {
-                if (listItemField.propertyName) {
-                  // Ensure listItemField has a propertyName
-                  initializeFieldState(
-                    listItemField,
-                    itemPathPrefix,
-                    currentModelTarget[key][index],
-                    currentInitialValuesTarget[key][index]
-                  );
-                }
-              });
+              // List item fields can be sub-forms and lists themselves.
+              initFormStates(
+                field.fields,
+                itemPathPrefix,
+                currentModelTarget[key][index],
+                currentInitialValuesTarget[key][index]
+              );
             }
           });
         } else if (field.subForm && field.fields) {
@@ -196,7 +433,7 @@ export function useFormValidation(fields, options = {}) {
           formFieldsTouchedState[fullPath] = false;
           formFieldsDirtyState[fullPath] = false;
           formFieldsValidity[fullPath] = undefined;
-          formFieldsErrorMessages[fullPath] = undefined;
+          setErrorMessage(fullPath, undefined);
           formFieldsPendingState[fullPath] = false;
           initFormStates(
             field.fields,
@@ -216,7 +453,7 @@ export function useFormValidation(fields, options = {}) {
           formFieldsTouchedState[fullPath] = false;
           formFieldsDirtyState[fullPath] = false;
           formFieldsValidity[fullPath] = undefined;
-          formFieldsErrorMessages[fullPath] = undefined;
+          setErrorMessage(fullPath, undefined);
           formFieldsPendingState[fullPath] = false;
         }
       });
@@ -237,21 +474,7 @@ export function useFormValidation(fields, options = {}) {
       // Ensure it's a direct field property
       const serializedValue =
         value !== undefined ? JSON.parse(JSON.stringify(value)) : undefined;
-
-      // Handle nested paths
-      const pathParts = fieldPath.split(".");
-      let currentTarget = initialFormFieldsValues;
-
-      for (let i = 0; i < pathParts.length - 1; i++) {
-        const part = pathParts[i];
-        if (!currentTarget[part]) {
-          currentTarget[part] = {};
-        }
-        currentTarget = currentTarget[part];
-      }
-
-      const finalKey = pathParts[pathParts.length - 1];
-      currentTarget[finalKey] = serializedValue;
+      setValueByPath(initialFormFieldsValues, fieldPath, serializedValue);
 
       // If the reactive formFieldsValues was undefined (e.g. field added dynamically or init with no value),
       // set it and reset dirty state.
@@ -333,16 +556,25 @@ export function useFormValidation(fields, options = {}) {
    * @param {boolean|string|string[]|undefined} validityOrMsg - `true` if valid, an error message (string or array of strings) if invalid, or `undefined` to clear existing errors.
    */
   const updateValidationState = (fieldPath, validityOrMsg) => {
-    if (typeof validityOrMsg === "string" || Array.isArray(validityOrMsg)) {
+    if (
+      typeof validityOrMsg === "string" ||
+      Array.isArray(validityOrMsg) ||
+      isMessage(validityOrMsg)
+    ) {
       formFieldsValidity[fieldPath] = false;
-      formFieldsErrorMessages[fieldPath] = validityOrMsg;
+      setErrorMessage(fieldPath, validityOrMsg);
     } else if (validityOrMsg === true) {
-      formFieldsValidity[fieldPath] = undefined; // Clear validity (valid state)
-      formFieldsErrorMessages[fieldPath] = undefined; // Clear error messages
+      // The field's own rules pass; a form-level validator or an externally set error may still flag it.
+      const otherMsg =
+        formValidatorFieldErrors[fieldPath] ||
+        (externalFieldErrors[fieldPath] &&
+          externalFieldErrors[fieldPath].message);
+      formFieldsValidity[fieldPath] = otherMsg ? false : undefined;
+      setErrorMessage(fieldPath, otherMsg || undefined);
     } else {
       // validityOrMsg is undefined, clear both validity and error messages
       formFieldsValidity[fieldPath] = undefined;
-      formFieldsErrorMessages[fieldPath] = undefined;
+      setErrorMessage(fieldPath, undefined);
     }
   };
 
@@ -356,29 +588,13 @@ export function useFormValidation(fields, options = {}) {
   const findFieldConfig = (fieldPath, searchFields = fields) => {
     if (!searchFields || !Array.isArray(searchFields)) return null;
 
-    // Handle nested paths like 'profile.firstName' or 'contacts[0].name'
-    const pathParts = fieldPath.split(".");
-    const firstPart = pathParts[0];
-
-    // Check for array notation in the first part
-    const arrayMatch = firstPart.match(/^([^[]+)\[(\d+)\](.*)$/);
-    if (arrayMatch) {
-      const [, listName] = arrayMatch;
-      const listField = searchFields.find(
-        (f) => f.propertyName === listName && f.type === "list"
-      );
-      if (listField && pathParts.length > 1) {
-        // Look for the sub-field in the list's field configuration
-        const subFieldName = pathParts[1];
-        return (
-          listField.fields?.find((f) => f.propertyName === subFieldName) || null
-        );
-      }
-      return listField || null;
-    }
+    // Split paths like 'profile.firstName' or 'orders[0].lines[1].qty' into their keys
+    const keys = fieldPath
+      .replace(/\[(\d+)\]/g, ".$1")
+      .split(".")
+      .filter((key) => key !== "");
 
-    // Handle regular nested paths
-    if (pathParts.length === 1) {
+    if (keys.length === 1) {
       // Direct field at any nesting level
       const direct = searchFields.find(
         (f) => f.propertyName === fieldPath || f.subForm === fieldPath
@@ -396,21 +612,160 @@ export function useFormValidation(fields, options = {}) {
         }
       }
       return null;
-    } else {
-      // Nested field - find the parent first
-      const parentKey = pathParts[0];
-      const parentField = searchFields.find((f) => f.subForm === parentKey);
-      if (parentField && parentField.fields) {
-        const remainingPath = pathParts.slice(1).join(".");
-        // Find the field in the sub-form
-        const subField = parentField.fields.find(
-          (f) => f.propertyName === remainingPath
+    }
+
+    // Nested field - walk down through sub-forms and list items
+    let currentFields = searchFields;
+    let found = null;
+    for (let i = 0; i < keys.length; i++) {
+      if (!Array.isArray(currentFields)) return null;
+      found = currentFields.find(
+        (f) => f.propertyName === keys[i] || f.subForm === keys[i]
+      );
+      if (!found) return null;
+      // Skip the item index of a list
+      if (found.type === "list" && /^\d+$/.test(keys[i + 1] || "")) i++;
+      currentFields = found.fields;
+    }
+    return found;
+  };
+
+  /**
+   * Returns a copy of the stored initial value of a field (the baseline for dirty checking).
+   * @param {string} fieldPath - The path of the field, e.g. 'email' or 'contacts[0].email'.
+   * @returns {any} The initial value, or undefined if none is known.
+   */
+  const getFieldInitialValue = (fieldPath) => {
+    const value = getValueByPath(initialFormFieldsValues, fieldPath);
+    return value !== undefined ? JSON.parse(JSON.stringify(value)) : undefined;
+  };
+
+  /**
+   * Clears the validation, touched and dirty state of a field and of the fields nested in it
+   * (sub-form fields and list item fields), e.g. when the field is hidden.
+   * @param {string} fieldPath - The path of the field.
+   */
+  const clearFieldState = (fieldPath) => {
+    const isAffected = (path) =>
+      path === fieldPath ||
+      path.startsWith(`${fieldPath}.`) ||
+      path.startsWith(`${fieldPath}[`);
+    new Set([
+      ...Object.keys(formFieldsValidity),
+      ...Object.keys(formFieldsPendingState),
+      ...Object.keys(formFieldsTouchedState),
+      ...Object.keys(formFieldsDirtyState),
+      fieldPath,
+    ]).forEach((path) => {
+      if (!isAffected(path)) return;
+      resetValidationState(path);
+      if (formFieldsTouchedState[path]) formFieldsTouchedState[path] = false;
+      if (formFieldsDirtyState[path]) formFieldsDirtyState[path] = false;
+    });
+  };
+
+  /**
+   * Returns the keys (`propertyName` or `subForm`) of the given fields and of the fields nested in
+   * their sub-forms and list items, as a tree. Kept as a copy, so fields the parent adds to the
+   * same arrays later are still told apart.
+   * @private
+   * @param {Array<FieldConfig>} fieldConfigs - The field configurations.
+   * @returns {Array<{ key: string, fields: Array<Object> }>} The fields' key tree.
+   */
+  const getFieldKeyTree = (fieldConfigs) =>
+    (fieldConfigs || []).map((field) => ({
+      key: field.propertyName || field.subForm,
+      fields: getFieldKeyTree(field.fields),
+    }));
+
+  /**
+   * The key tree of the fields that have been set up.
+   * @type {Array<{ key: string, fields: Array<Object> }>}
+   */
+  let registeredFieldTree = getFieldKeyTree(fields);
+
+  /**
+   * Compares fields with the ones set up before at the same path and level: sets up the new ones,
+   * clears the state of those that are gone, and does the same inside the sub-forms and list items
+   * of the fields that stay.
+   * @private
+   * @param {Array<Object>} previousTree - The key tree of the fields set up before.
+   * @param {Array<FieldConfig>} nextFields - The new field configurations.
+   * @param {string} pathPrefix - The path prefix of the fields, e.g. `orders[0].`.
+   * @param {Object} modelTarget - The object holding the fields' values.
+   * @param {Object} initialValuesTarget - The object holding the fields' initial values.
+   */
+  const syncFieldStates = (
+    previousTree,
+    nextFields,
+    pathPrefix,
+    modelTarget,
+    initialValuesTarget
+  ) => {
+    const nextKeys = nextFields.map(
+      (field) => field.propertyName || field.subForm
+    );
+    previousTree.forEach(({ key }) => {
+      if (key && !nextKeys.includes(key)) clearFieldState(pathPrefix + key);
+    });
+
+    const addedFields = [];
+    nextFields.forEach((field, index) => {
+      const key = nextKeys[index];
+      const previous = previousTree.find((entry) => entry.key === key);
+      if (!previous) {
+        addedFields.push(field);
+        return;
+      }
+      if (!key || !Array.isArray(field.fields)) return;
+      if (field.type === "list") {
+        const items = Array.isArray(modelTarget[key]) ? modelTarget[key] : [];
+        const initialItems = Array.isArray(initialValuesTarget[key])
+          ? initialValuesTarget[key]
+          : [];
+        items.forEach((item, itemIndex) => {
+          if (typeof item !== "object" || item === null) return;
+          syncFieldStates(
+            previous.fields,
+            field.fields,
+            `${pathPrefix}${key}[${itemIndex}].`,
+            item,
+            initialItems[itemIndex] || {}
+          );
+        });
+      } else if (field.subForm) {
+        modelTarget[key] = modelTarget[key] || {};
+        initialValuesTarget[key] = initialValuesTarget[key] || {};
+        syncFieldStates(
+          previous.fields,
+          field.fields,
+          `${pathPrefix}${key}.`,
+          modelTarget[key],
+          initialValuesTarget[key]
         );
-        return subField || null;
       }
-    }
+    });
+    initFormStates(addedFields, pathPrefix, modelTarget, initialValuesTarget);
+  };
 
-    return null;
+  /**
+   * Replaces the field configurations, e.g. when fields are added or removed after setup.
+   * New fields are set up like those passed at creation, the state of fields that are gone is
+   * cleared, and the fields that stay keep their values and state. Fields are compared by their
+   * full path, so fields added to or removed from sub-forms and list items count too.
+   * @param {Array<FieldConfig>} newFields - The new field configurations.
+   */
+  const setFields = (newFields) => {
+    const nextFields = Array.isArray(newFields) ? newFields : [];
+    syncFieldStates(
+      registeredFieldTree,
+      nextFields,
+      "",
+      formFieldsValues,
+      initialFormFieldsValues
+    );
+    fields = nextFields;
+    registeredFieldTree = getFieldKeyTree(nextFields);
   };
 
   /**
@@ -419,6 +774,8 @@ export function useFormValidation(fields, options = {}) {
    */
   const resetValidationState = (fieldPath) => {
     const resetField = (path) => {
+      delete formValidatorFieldErrors[path];
+      delete externalFieldErrors[path];
       updateValidationState(path, undefined);
       formFieldsPendingState[path] = false;
       if (activeAbortControllers[path]) {
@@ -432,6 +789,12 @@ export function useFormValidation(fields, options = {}) {
     if (fieldPath) {
       resetField(fieldPath);
     } else {
+      formValidatorFieldErrors = {};
+      Object.keys(externalFieldErrors).forEach((path) => {
+        delete externalFieldErrors[path];
+      });
+      formValidatorResults.length = 0;
+      setFormErrors([]);
       // Reset all validation states
       Object.keys(formFieldsValidity).forEach((key) => {
         resetField(key); // Use the helper to also reset pending state and abort controllers
@@ -446,6 +809,123 @@ export function useFormValidation(fields, options = {}) {
     }
   };
 
+  /**
+   * Marks a field as invalid with the given message, e.g. an error a server reported for it.
+   * The error outlives validation runs of the field. It is cleared when the field is edited
+   * (an 'input' trigger), unless it is `sticky`; sticky errors stay until `clearErrors` is called.
+   * @param {string} fieldPath - The path of the field, e.g. 'email' or 'contacts[0].email'.
+   * @param {string|string[]|undefined} errorMessage - The error message, or undefined to clear the error.
+   * @param {Object} [options]
+   * @param {boolean} [options.sticky=false] - Keep the error when the field is edited.
+   */
+  const setFieldError = (fieldPath, errorMessage, { sticky = false } = {}) => {
+    if (!errorMessage) {
+      clearErrors([fieldPath]);
+      return;
+    }
+    externalFieldErrors[fieldPath] = { message: errorMessage, sticky };
+    updateValidationState(fieldPath, errorMessage);
+  };
+
+  /**
+   * Marks fields as invalid with the given messages, e.g. errors a server reported for a submission.
+   * See `setFieldError`. Messages under `FORM_ERROR_KEY` ('_form') replace the form-wide errors.
+   * @param {Object<string, string|string[]>} fieldErrors - Error messages by field path.
+   * @param {Object} [options]
+   * @param {boolean} [options.sticky=false] - Keep the errors when their fields are edited.
+   */
+  const setErrors = (fieldErrors, options) => {
+    Object.entries(fieldErrors || {}).forEach(([fieldPath, errorMessage]) => {
+      if (fieldPath === FORM_ERROR_KEY) {
+        setFormErrors([].concat(errorMessage || []));
+      } else {
+        setFieldError(fieldPath, errorMessage, options);
+      }
+    });
+  };
+
+  /**
+   * Clears the errors of the given fields, whatever reported them, including externally set
+   * (sticky) errors. The fields are checked again on their next validation.
+   * @param {string[]} [fieldPaths] - The paths to clear; `FORM_ERROR_KEY` clears the form-wide errors.
+   *   If not provided, all errors are cleared.
+   */
+  const clearErrors = (fieldPaths) => {
+    const paths =
+      fieldPaths ||
+      new Set([
+        ...Object.keys(formFieldsValidity),
+        ...Object.keys(externalFieldErrors),
+        FORM_ERROR_KEY,
+      ]);
+    paths.forEach((fieldPath) => {
+      if (fieldPath === FORM_ERROR_KEY) {
+        setFormErrors([]);
+        return;
+      }
+      delete externalFieldErrors[fieldPath];
+      updateValidationState(fieldPath, undefined);
+    });
+  };
+
+  /**
+   * Returns a copy of the current errors: the messages of the invalid fields by path and, if there
+   * are any, the form-wide errors under `FORM_ERROR_KEY`. The result can be passed to `setErrors`.
+   * @returns {Object<string, string|string[]>} The errors.
+   */
+  const getErrors = () => {
+    const currentErrors = JSON.parse(JSON.stringify(errors.value));
+    if (formErrors.value.length > 0) {
+      currentErrors[FORM_ERROR_KEY] = [...formErrors.value];
+    }
+    return currentErrors;
+  };
+
+  /**
+   * Drops the externally set error of an edited field, unless it is sticky.
+   * @private
+   * @param {string} fieldPath - The path of the edited field.
+   */
+  const clearEditedFieldError = (fieldPath) => {
+    const externalError = externalFieldErrors[fieldPath];
+    if (!externalError || externalError.sticky) return;
+    delete externalFieldErrors[fieldPath];
+    if (errorMessageSources[fieldPath] === externalError.message) {
+      updateValidationState(fieldPath, true);
+    }
+  };
+
+  /**
+   * Creates the validation context handed to rules and validators.
+   * Every path read through `getValue` is recorded as a dependency of `fieldPath`,
+   * so the field can be re-validated when that path changes. Values passed to `setMeta` are stored
+   * in `formFieldsMeta[fieldPath]`.
+   * @private
+   * @param {string} fieldPath - The path of the field being validated.
+   * @param {Object} currentFormModel - The form model other values are read from.
+   * @param {AbortSignal} [abortSignal] - Signal aborted when this validation run is superseded.
+   * @returns {{ abortSignal: AbortSignal|undefined, fieldPath: string, locale: string, getValue: Function, setMeta: Function }} The validation context.
+   */
+  const createValidationCtx = (fieldPath, currentFormModel, abortSignal) => {
+    const dependencies = new Set();
+    trackedDependencies[fieldPath] = dependencies;
+    return {
+      abortSignal,
+      fieldPath,
+      locale: messageLocale.value,
+      getValue: (otherFieldPath) => {
+        dependencies.add(otherFieldPath);
+        return getValueByPath(currentFormModel, otherFieldPath);
+      },
+      setMeta: (key, value) => {
+        formFieldsMeta[fieldPath] = {
+          ...(formFieldsMeta[fieldPath] || {}),
+          [key]: value,
+        };
+      },
+    };
+  };
+
   /**
    * Validates a field using custom validators.
    * @private
@@ -475,7 +955,10 @@ export function useFormValidation(fields, options = {}) {
             try {
               const promiseResult = await result;
               if (promiseResult !== true) {
-                return promiseResult || `${getFieldLabel(field)} is invalid.`;
+                return (
+                  promiseResult ||
+                  message("invalid", { label: getFieldLabel(field) })
+                );
               }
             } catch (error) {
               // Handle promise rejection, e.g., network error
@@ -485,11 +968,13 @@ export function useFormValidation(fields, options = {}) {
               );
               return (
                 (error instanceof Error ? error.message : String(error)) ||
-                `${getFieldLabel(field)} validation failed.`
+                message("validationFailed", { label: getFieldLabel(field) })
               );
             }
           } else if (result !== true) {
-            return result || `${getFieldLabel(field)} is invalid.`;
+            return (
+              result || message("invalid", { label: getFieldLabel(field) })
+            );
           }
         }
       }
@@ -497,41 +982,136 @@ export function useFormValidation(fields, options = {}) {
     return true;
   };
 
+  /**
+   * Checks the items of a list field against its `minItems`, `maxItems` and `uniqueBy`.
+   * `uniqueBy` names an item property (strings are compared trimmed and case-insensitively)
+   * or is a function returning the value to compare; empty values are not compared.
+   * @private
+   * @param {FieldConfig} field - The list field configuration.
+   * @param {Array} items - The list's items.
+   * @returns {true|Object} True if the list passes, otherwise the error (a message descriptor).
+   */
+  const validateListConstraints = (field, items) => {
+    const list = Array.isArray(items) ? items : [];
+    const label = getFieldLabel(field);
+    if (typeof field.minItems === "number" && list.length < field.minItems) {
+      return message("minItems", { label, count: field.minItems });
+    }
+    if (typeof field.maxItems === "number" && list.length > field.maxItems) {
+      return message("maxItems", { label, count: field.maxItems });
+    }
+    if (field.uniqueBy) {
+      const getItemValue =
+        typeof field.uniqueBy === "function"
+          ? field.uniqueBy
+          : (item) => (item ? item[field.uniqueBy] : undefined);
+      const seenValues = new Set();
+      const hasDuplicates = list.some((item) => {
+        const value = getItemValue(item);
+        if (isEmpty(value)) return false;
+        const comparable =
+          typeof value === "string"
+            ? value.trim().toLowerCase()
+            : JSON.stringify(value);
+        if (seenValues.has(comparable)) return true;
+        seenValues.add(comparable);
+        return false;
+      });
+      if (hasDuplicates) {
+        if (typeof field.uniqueBy === "function") {
+          return message("uniqueItems", { label });
+        }
+        const itemField = (field.fields || []).find(
+          (itemFieldConfig) => itemFieldConfig.propertyName === field.uniqueBy
+        );
+        return message("duplicateItemValues", {
+          label,
+          field: itemField ? getFieldLabel(itemField) : field.uniqueBy,
+        });
+      }
+    }
+    return true;
+  };
+
+  /**
+   * Runs a list field's `validators` without awaiting them, for purely synchronous validation.
+   * Validators returning a Promise are skipped here; `validateFormAsync` awaits them.
+   * @private
+   * @param {FieldConfig} field - The list field configuration.
+   * @param {Array} items - The list's items.
+   * @param {Object} validationCtx - The validation context object.
+   * @returns {true|string|string[]|Object} True if the list passes, otherwise the error.
+   */
+  const validateListWithSyncValidators = (field, items, validationCtx) => {
+    const label = getFieldLabel(field);
+    for (const validator of field.validators || []) {
+      if (typeof validator !== "function") continue;
+      let result;
+      try {
+        result = validator(items, label, field, validationCtx);
+      } catch (error) {
+        return message("validationFailed", { label });
+      }
+      if (result instanceof Promise) {
+        // Settled by `validateFormAsync`; rejections are reported there.
+        result.catch(() => {});
+      } else if (result !== true) {
+        return result || message("invalid", { label });
+      }
+    }
+    return true;
+  };
+
   /**
    * Validates a field using built-in rules.
    * @private
    * @param {FieldConfig} field - The field configuration.
    * @param {any} input - The input value to validate.
    * @param {string} fieldPath - The path of the field.
+   * @param {Object} [validationCtx] - The validation context object, passed to rules as their fifth argument.
    * @returns {boolean|string} True if valid, error message if invalid.
    */
-  const validateWithBuiltInRules = (field, input, fieldPath) => {
+  const validateWithBuiltInRules = (field, input, fieldPath, validationCtx) => {
+    if (field.type === "list") {
+      const listResult = validateListConstraints(field, input);
+      if (listResult !== true) return listResult;
+    }
     if (field.rules && Array.isArray(field.rules)) {
       for (const rule of field.rules) {
         let result;
         if (typeof rule === "string") {
           // Simple string rule
-          if (Validation[rule] && typeof Validation[rule] === "function") {
-            result = Validation[rule](input, getFieldLabel(field), field);
+          const ruleFn = resolveRule(rule);
+          if (ruleFn) {
+            result = ruleFn(
+              input,
+              getFieldLabel(field),
+              undefined,
+              {},
+              validationCtx
+            );
+          } else if (!FALLBACK_RULE_NAMES.includes(rule)) {
+            warnUnknownRule(rule, fieldPath);
           }
         } else if (typeof rule === "object" && rule.name) {
           // Object rule with parameters
-          if (
-            Validation[rule.name] &&
-            typeof Validation[rule.name] === "function"
-          ) {
-            result = Validation[rule.name](
+          const ruleFn = resolveRule(rule.name);
+          if (ruleFn) {
+            result = ruleFn(
               input,
               getFieldLabel(field),
-              field,
-              rule.params || {}
+              rule.customErrorMsg,
+              rule.params || (rule.regex ? { regex: rule.regex } : {}),
+              validationCtx
             );
+          } else if (!FALLBACK_RULE_NAMES.includes(rule.name)) {
+            warnUnknownRule(rule.name, fieldPath);
           }
         } else if (rule instanceof RegExp) {
           // Regular expression rule
           result =
             rule.test(String(input)) ||
-            `${getFieldLabel(field)} format is invalid.`;
+            message("formatInvalid", { label: getFieldLabel(field) });
         }
 
         // NEW: Internal fallback for common rules if Validation implementation returns undefined
@@ -546,18 +1126,9 @@ export function useFormValidation(fields, options = {}) {
                 input === undefined ||
                 (typeof input === "string" && input.trim() === "")
               );
-              result = isPresent ? true : `${getFieldLabel(field)} is invalid.`;
-              break;
-            }
-            case "minLength": {
-              // Determine the minimum
-              let min = 0;
-              if (typeof rule === "object" && rule.params && rule.params.min) {
-                min = rule.params.min;
-              }
-              const length = input != null ? String(input).length : 0;
-              result =
-                length >= min ? true : `${getFieldLabel(field)} is invalid.`;
+              result = isPresent
+                ? true
+                : message("invalid", { label: getFieldLabel(field) });
               break;
             }
             case "isEmail": {
@@ -565,25 +1136,32 @@ export function useFormValidation(fields, options = {}) {
               result =
                 !input || emailPattern.test(String(input))
                   ? true
-                  : `${getFieldLabel(field)} is not a valid email.`;
+                  : message("emailFallback", { label: getFieldLabel(field) });
               break;
             }
             default:
-              // If we have no internal fallback, treat as valid
+              // No rule function and no internal fallback (unknown names are warned about above): treat as valid
               result = true;
           }
         }
 
         if (result !== true) {
-          return result || `${getFieldLabel(field)} is invalid.`;
+          return result || message("invalid", { label: getFieldLabel(field) });
         }
       }
     }
     return true;
   };
 
-  // Helper to evaluate field visibility supporting ref / function / boolean.
-  const isVisible = (fld) => {
+  // Helper to evaluate field visibility supporting ref / function / boolean, and a `showIf` condition
+  // evaluated against the model (relative paths resolve from `fieldPath`).
+  const isVisible = (fld, fieldPath, formModel) => {
+    if (
+      fld?.showIf &&
+      !evaluateCondition(fld.showIf, formModel || {}, fieldPath)
+    ) {
+      return false;
+    }
     const flag = fld?.isShowing;
     if (flag === undefined) return true;
     if (typeof flag === "boolean") return flag;
@@ -595,7 +1173,7 @@ export function useFormValidation(fields, options = {}) {
 
   const validateField = async (fieldPath, input, currentFormModel) => {
     const fieldConfig = findFieldConfig(fieldPath, fields);
-    if (!fieldConfig || !isVisible(fieldConfig)) {
+    if (!fieldConfig || !isVisible(fieldConfig, fieldPath, currentFormModel)) {
       updateValidationState(fieldPath, true); // Consider non-visible fields as valid
       return true;
     }
@@ -611,11 +1189,11 @@ export function useFormValidation(fields, options = {}) {
     const controller = new AbortController();
     activeAbortControllers[fieldPath] = controller;
 
-    const validationCtx = {
-      abortSignal: controller.signal,
-      getValue: (otherFieldPath) =>
-        getValueByPath(currentFormModel, otherFieldPath),
-    };
+    const validationCtx = createValidationCtx(
+      fieldPath,
+      currentFormModel,
+      controller.signal
+    );
 
     // If field has no rules or validators, treat empty / undefined values as invalid (required by default logic)
     // This part remains synchronous as it's basic presence check.
@@ -625,7 +1203,8 @@ export function useFormValidation(fields, options = {}) {
       Array.isArray(fieldConfig.validators) &&
       fieldConfig.validators.length > 0;
 
-    if (!hasRules && !hasValidators) {
+    // Lists without rules are checked by their own constraints only (`minItems`, `maxItems`, `uniqueBy`).
+    if (!hasRules && !hasValidators && fieldConfig.type !== "list") {
       const requiredResult = Validation.isRequired
         ? Validation.isRequired(
             input,
@@ -644,7 +1223,7 @@ export function useFormValidation(fields, options = {}) {
         );
         finalRequiredResult = isPresent
           ? true
-          : `${getFieldLabel(fieldConfig)} is invalid.`;
+          : message("invalid", { label: getFieldLabel(fieldConfig) });
       }
 
       if (currentRunId === validationRunIds[fieldPath]) {
@@ -658,7 +1237,12 @@ export function useFormValidation(fields, options = {}) {
 
     // Validate with built-in rules (synchronous)
     // These are typically simple checks and run first.
-    const rulesResult = validateWithBuiltInRules(fieldConfig, input, fieldPath); // Built-in rules don't use validationCtx yet
+    const rulesResult = validateWithBuiltInRules(
+      fieldConfig,
+      input,
+      fieldPath,
+      validationCtx
+    );
     if (rulesResult !== true) {
       if (currentRunId === validationRunIds[fieldPath]) {
         updateValidationState(fieldPath, rulesResult);
@@ -708,7 +1292,9 @@ export function useFormValidation(fields, options = {}) {
           updateValidationState(
             fieldPath,
             (error instanceof Error ? error.message : String(error)) ||
-              "Validation failed"
+              message("validationFailed", {
+                label: getFieldLabel(fieldConfig),
+              })
           );
         }
         return false;
@@ -735,18 +1321,51 @@ export function useFormValidation(fields, options = {}) {
     return true;
   };
 
+  /**
+   * Starts a full `validateField` run for a field with custom validators and collects its promise.
+   * No-op when no collector is given (purely synchronous validation) or the field has no validators.
+   * @private
+   * @param {Array<Promise<boolean>>|null} asyncValidations - Collector for pending validation promises.
+   * @param {FieldConfig} fieldConfig - The field configuration.
+   * @param {string} fieldPath - The path of the field.
+   * @param {any} value - The value to validate.
+   * @param {Object} rootModel - The root form model passed on as the validation context source.
+   */
+  const queueAsyncValidation = (
+    asyncValidations,
+    fieldConfig,
+    fieldPath,
+    value,
+    rootModel
+  ) => {
+    if (
+      !asyncValidations ||
+      !Array.isArray(fieldConfig.validators) ||
+      fieldConfig.validators.length === 0
+    ) {
+      return;
+    }
+    asyncValidations.push(validateField(fieldPath, value, rootModel));
+  };
+
   /**
    * Recursively validates form data against field configurations.
    * @private
    * @param {Object} formToValidate - The form data to validate.
    * @param {Array<FieldConfig>} currentFieldsConfig - The current field configurations.
    * @param {string} pathPrefix - The current path prefix for nested structures.
+   * @param {Array<Promise<boolean>>|null} [asyncValidations=null] - When provided, fields that pass their
+   *   synchronous rules and have custom `validators` are handed to `validateField`, and the resulting
+   *   promises are collected here so the caller can await them.
+   * @param {Object} [rootModel=formToValidate] - The root form model, used as `ctx.getValue` source for async runs.
    * @returns {boolean} True if all fields are valid, false otherwise.
    */
   const validateFormPurelyRecursive = (
     formToValidate,
     currentFieldsConfig,
-    pathPrefix = ""
+    pathPrefix = "",
+    asyncValidations = null,
+    rootModel = formToValidate
   ) => {
     if (!currentFieldsConfig || !Array.isArray(currentFieldsConfig))
       return true;
@@ -755,7 +1374,7 @@ export function useFormValidation(fields, options = {}) {
 
     currentFieldsConfig.forEach((field) => {
       const fullPath = pathPrefix + (field.propertyName || field.subForm); // Use subForm key if propertyName is not available
-      if (!isVisible(field)) {
+      if (!isVisible(field, fullPath, rootModel)) {
         // Skip validation for fields that are not visible
         // Ensure its state is clean if it was previously validated
         updateValidationState(fullPath, true);
@@ -770,56 +1389,65 @@ export function useFormValidation(fields, options = {}) {
       if (!key) return;
 
       if (field.type === "list") {
-        // Validate list field
         const listValue = formToValidate[key];
+        // Validate the list as a whole (`minItems`, `maxItems`, `uniqueBy`, `rules` and `validators`)
+        const listCtx = createValidationCtx(fullPath, rootModel);
+        let listResult = validateWithBuiltInRules(
+          field,
+          listValue,
+          fullPath,
+          listCtx
+        );
+        if (listResult === true && !asyncValidations) {
+          // Without an async run to hand them to, the list's own validators are run here.
+          listResult = validateListWithSyncValidators(
+            field,
+            listValue,
+            listCtx
+          );
+        }
+        if (listResult !== true) {
+          updateValidationState(fullPath, listResult);
+          allValid = false;
+        } else {
+          updateValidationState(fullPath, true);
+          queueAsyncValidation(
+            asyncValidations,
+            field,
+            fullPath,
+            listValue,
+            rootModel
+          );
+        }
+        // Validate each list item's fields, which may be sub-forms and lists themselves
         if (Array.isArray(listValue) && Array.isArray(field.fields)) {
           listValue.forEach((item, index) => {
-            if (typeof item === "object" && item !== null) {
-              field.fields.forEach((subField) => {
-                if (subField.propertyName) {
-                  const subFieldPath = `${pathPrefix}${key}[${index}].${subField.propertyName}`;
-                  const subFieldValue = item[subField.propertyName];
-                  // validateFormPurelyRecursive is synchronous, so it cannot await async validateField.
-                  // For now, it calls the synchronous part of validation or a simplified sync check.
-                  // This means async rules won't run on "pure" validation unless validateField is refactored
-                  // or this function is made async.
-                  // Let's assume for now, this will only run sync validations.
-                  // This matches the decision: "validateFormPurely will only run synchronous validators."
-
-                  // Simplified synchronous check (adaptation of validateField's sync parts)
-                  const fieldConfig = findFieldConfig(subFieldPath, fields);
-                  if (fieldConfig && isVisible(fieldConfig)) {
-                    const rulesResult = validateWithBuiltInRules(
-                      fieldConfig,
-                      subFieldValue,
-                      subFieldPath
-                    );
-                    if (rulesResult !== true) {
-                      updateValidationState(subFieldPath, rulesResult);
-                      allValid = false;
-                    } else {
-                      // If only sync rules pass, and no async (which we skip here), it's valid for this context
-                      updateValidationState(subFieldPath, true);
-                    }
-                  } else if (fieldConfig && !isVisible(fieldConfig)) {
-                    updateValidationState(subFieldPath, true); // Not visible is valid
-                  }
-
-                  // Original call, if validateField were synchronous:
-                  // if (!validateField(subFieldPath, subFieldValue, formToValidate)) { // Pass formToValidate as currentFormModel
-                  //   allValid = false;
-                  // }
-                }
-              });
+            if (
+              typeof item === "object" &&
+              item !== null &&
+              !validateFormPurelyRecursive(
+                item,
+                field.fields,
+                `${fullPath}[${index}].`,
+                asyncValidations,
+                rootModel
+              )
+            ) {
+              allValid = false;
             }
           });
         }
       } else if (field.subForm && field.fields) {
-        // Recursively validate sub-form but without adding the parent path so that
-        // sub-form fields are tracked by their own propertyName (tests expect this)
+        // Recursively validate the sub-form; its fields are tracked by their full path (e.g. 'profile.firstName')
         const subFormValue = formToValidate[key] || {};
         if (
-          !validateFormPurelyRecursive(subFormValue, field.fields, pathPrefix)
+          !validateFormPurelyRecursive(
+            subFormValue,
+            field.fields,
+            `${fullPath}.`,
+            asyncValidations,
+            rootModel
+          )
         ) {
           allValid = false;
         }
@@ -828,11 +1456,14 @@ export function useFormValidation(fields, options = {}) {
         const fieldValue = formToValidate[field.propertyName];
         // Similar to list items, using a simplified synchronous check from validateField logic
         const fieldConfig = findFieldConfig(fullPath, fields);
-        if (fieldConfig && isVisible(fieldConfig)) {
+        const fieldVisible =
+          fieldConfig && isVisible(fieldConfig, fullPath, rootModel);
+        if (fieldVisible) {
           const rulesResult = validateWithBuiltInRules(
             fieldConfig,
             fieldValue,
-            fullPath
+            fullPath,
+            createValidationCtx(fullPath, rootModel)
           );
           if (rulesResult !== true) {
             updateValidationState(fullPath, rulesResult);
@@ -840,8 +1471,15 @@ export function useFormValidation(fields, options = {}) {
           } else {
             // If only sync rules pass, and no async (which we skip here), it's valid for this context
             updateValidationState(fullPath, true);
+            queueAsyncValidation(
+              asyncValidations,
+              fieldConfig,
+              fullPath,
+              fieldValue,
+              rootModel
+            );
           }
-        } else if (fieldConfig && !isVisible(fieldConfig)) {
+        } else if (fieldConfig) {
           updateValidationState(fullPath, true); // Not visible is valid
         }
         // Original call, if validateField were synchronous:
@@ -861,6 +1499,8 @@ export function useFormValidation(fields, options = {}) {
    * @param {Object} currentFormModel - The current form model to validate against.
    */
   const triggerValidation = (fieldPath, triggerType, currentFormModel) => {
+    if (triggerType === "input") clearEditedFieldError(fieldPath);
+
     // Clear any existing debounce timer for this field
     if (debounceTimers[fieldPath]) {
       clearTimeout(debounceTimers[fieldPath]);
@@ -885,9 +1525,13 @@ export function useFormValidation(fields, options = {}) {
       // by its callers (e.g., event handlers in PreskoForm).
       // The async operations within validateField will handle their own state updates.
       validateField(fieldPath, fieldValue, currentFormModel)
-        .then((isValid) => {
-          // Optional: handle completion of validation if needed, e.g., logging
-          // console.log(`Async validation for ${fieldPath} completed. Valid: ${isValid}`);
+        .then(() => {
+          // Once the form has been validated as a whole, keep form-level errors in sync with edits.
+          if (formValidatorsHaveRun) {
+            runFormValidators(currentFormModel);
+          } else {
+            validateFieldAgainstSchema(fieldPath, currentFormModel);
+          }
         })
         .catch((error) => {
           // This catch is for errors in the validateField orchestration itself,
@@ -908,19 +1552,361 @@ export function useFormValidation(fields, options = {}) {
   };
 
   /**
-   * Validates the entire form purely (without side effects to internal state).
-   * @param {Object} formToValidate - The form data to validate.
-   * @returns {boolean} True if the entire form is valid, false otherwise.
+   * Normalizes the return value of a form-level validator.
+   * @private
+   * @param {any} result - The value returned (or resolved) by a `FormValidator`.
+   * @returns {{ fieldErrors: Object<string, string|string[]>, formErrors: string[] }} The normalized errors.
    */
-  const validateFormPurely = (formToValidate) => {
-    return validateFormPurelyRecursive(formToValidate, fields);
+  const normalizeFormValidatorResult = (result) => {
+    const normalized = { fieldErrors: {}, formErrors: [] };
+    if (result === true || result === null || result === undefined) {
+      return normalized;
+    }
+    if (
+      typeof result === "string" ||
+      Array.isArray(result) ||
+      isMessage(result)
+    ) {
+      normalized.formErrors = [].concat(result).filter(Boolean);
+    } else if (typeof result === "object") {
+      Object.entries(result).forEach(([path, error]) => {
+        if (!error || error === true) return;
+        if (path === FORM_ERROR_KEY) {
+          normalized.formErrors.push(...[].concat(error));
+        } else {
+          normalized.fieldErrors[path] = error;
+        }
+      });
+    } else {
+      normalized.formErrors = [message("formInvalid")];
+    }
+    return normalized;
   };
 
   /**
-   * Sets the touched state of a field.
-   * @param {string} fieldPath - The path of the field.
-   * @param {boolean} touched - The touched state to set.
-   * @returns {boolean} True if the touched state changed, false otherwise.
+   * Merges the latest form-level validator results into the reactive error state.
+   * Path errors are shown only where the field's own rules pass; stale ones are cleared.
+   * @private
+   * @returns {boolean} True if no form-level validator reported an error.
+   */
+  const applyFormValidatorResults = () => {
+    const nextFieldErrors = {};
+    const nextFormErrors = [];
+    formValidatorResults.forEach((result) => {
+      if (!result) return;
+      Object.entries(result.fieldErrors).forEach(([path, error]) => {
+        if (!(path in nextFieldErrors)) nextFieldErrors[path] = error;
+      });
+      nextFormErrors.push(...result.formErrors);
+    });
+
+    Object.keys(formValidatorFieldErrors).forEach((path) => {
+      if (
+        !(path in nextFieldErrors) &&
+        errorMessageSources[path] === formValidatorFieldErrors[path]
+      ) {
+        const externalError = externalFieldErrors[path];
+        formFieldsValidity[path] = externalError ? false : undefined;
+        setErrorMessage(path, externalError && externalError.message);
+      }
+    });
+    Object.entries(nextFieldErrors).forEach(([path, fieldError]) => {
+      if (
+        formFieldsValidity[path] !== false ||
+        errorMessageSources[path] === formValidatorFieldErrors[path]
+      ) {
+        formFieldsValidity[path] = false;
+        setErrorMessage(path, fieldError);
+      }
+    });
+
+    formValidatorFieldErrors = nextFieldErrors;
+    setFormErrors(nextFormErrors);
+    return (
+      Object.keys(nextFieldErrors).length === 0 && nextFormErrors.length === 0
+    );
+  };
+
+  /**
+   * Runs a single form-level validator and stores its normalized result.
+   * Results of superseded runs (an older promise settling late) are discarded.
+   * @private
+   * @param {FormValidator} validator - The form-level validator.
+   * @param {number} index - Its position in `formValidators`.
+   * @param {Object} formModel - The form model to validate.
+   * @returns {true|Promise<void>} `true` if the result was stored synchronously, otherwise a promise that settles with it.
+   */
+  const runFormValidator = (validator, index, formModel) => {
+    const runId = (formValidatorRunIds[index] =
+      (formValidatorRunIds[index] || 0) + 1);
+    const store = (result) => {
+      if (runId === formValidatorRunIds[index]) {
+        formValidatorResults[index] = normalizeFormValidatorResult(result);
+      }
+    };
+    const storeError = (error) => {
+      console.error("Form-level validator failed:", error);
+      store(
+        (error instanceof Error ? error.message : String(error)) ||
+          message("formValidationFailed")
+      );
+    };
+    try {
+      const result = validator(formModel);
+      if (result instanceof Promise) {
+        return result.then(store, storeError);
+      }
+      store(result);
+    } catch (error) {
+      storeError(error);
+    }
+    return true;
+  };
+
+  /**
+   * Validates the model against the `schema` adapter but applies only the issues at the selected
+   * paths, so fields the user has not reached yet are not flagged.
+   * @private
+   * @param {(path: string) => boolean} isSelected - Selects the field paths whose issues are applied.
+   * @param {Object} formModel - The form model to validate.
+   * @param {string} runKey - Identifies the selection, so results of superseded runs for it are discarded.
+   * @returns {Promise<boolean>} Resolves to true if none of the selected paths has an issue.
+   */
+  const applySchemaIssuesFor = async (isSelected, formModel, runKey) => {
+    if (!schema) return true;
+    const runId = (schemaFieldRunIds[runKey] =
+      (schemaFieldRunIds[runKey] || 0) + 1);
+    let result;
+    try {
+      result = await allFormValidators[schemaValidatorIndex](formModel);
+    } catch (error) {
+      console.error(`Schema validation for ${runKey} failed:`, error);
+      return true;
+    }
+    const { fieldErrors } = normalizeFormValidatorResult(result);
+    const selectedPaths = Object.keys(fieldErrors).filter(isSelected);
+    if (runId === schemaFieldRunIds[runKey]) {
+      const stored = formValidatorResults[schemaValidatorIndex] || {
+        fieldErrors: {},
+        formErrors: [],
+      };
+      const nextFieldErrors = {};
+      Object.entries(stored.fieldErrors).forEach(([path, error]) => {
+        if (!isSelected(path)) nextFieldErrors[path] = error;
+      });
+      selectedPaths.forEach((path) => {
+        nextFieldErrors[path] = fieldErrors[path];
+      });
+      formValidatorResults[schemaValidatorIndex] = {
+        ...stored,
+        fieldErrors: nextFieldErrors,
+      };
+      applyFormValidatorResults();
+    }
+    return selectedPaths.length === 0;
+  };
+
+  /**
+   * Applies the `schema` adapter's issues for one field, e.g. on blur.
+   * @private
+   * @param {string} fieldPath - The path of the field.
+   * @param {Object} formModel - The form model to validate.
+   */
+  const validateFieldAgainstSchema = (fieldPath, formModel) =>
+    applySchemaIssuesFor((path) => path === fieldPath, formModel, fieldPath);
+
+  /**
+   * Runs the form-level validators against the model and applies the results.
+   * Asynchronous validators keep their previous result until they settle; their outcome is applied then.
+   * @private
+   * @param {Object} formModel - The form model to validate.
+   * @returns {boolean} True if no form-level validator currently reports an error.
+   */
+  const runFormValidators = (formModel) => {
+    formValidatorsHaveRun = true;
+    allFormValidators.forEach((validator, index) => {
+      if (typeof validator !== "function") return;
+      const outcome = runFormValidator(validator, index, formModel);
+      if (outcome !== true) {
+        outcome.then(applyFormValidatorResults);
+      }
+    });
+    return applyFormValidatorResults();
+  };
+
+  /**
+   * Runs all form-level validators, awaiting asynchronous ones.
+   * @private
+   * @param {Object} formModel - The form model to validate.
+   * @returns {Promise<boolean>} Resolves to true if no form-level validator reports an error.
+   */
+  const runFormValidatorsAsync = async (formModel) => {
+    formValidatorsHaveRun = true;
+    isFormValidatorPending.value = true;
+    try {
+      await Promise.all(
+        allFormValidators.map((validator, index) =>
+          typeof validator === "function"
+            ? runFormValidator(validator, index, formModel)
+            : true
+        )
+      );
+    } finally {
+      isFormValidatorPending.value = false;
+    }
+    return applyFormValidatorResults();
+  };
+
+  /**
+   * Checks whether two field paths refer to the same value or one contains the other
+   * (e.g. 'address' and 'address.city', or 'contacts' and 'contacts[0].email').
+   * @private
+   * @param {string} pathA - The first path.
+   * @param {string} pathB - The second path.
+   * @returns {boolean} True if a change to one path affects the other.
+   */
+  const pathsOverlap = (pathA, pathB) => {
+    const contains = (outer, inner) =>
+      inner.startsWith(`${outer}.`) || inner.startsWith(`${outer}[`);
+    return pathA === pathB || contains(pathA, pathB) || contains(pathB, pathA);
+  };
+
+  /**
+   * Returns the paths of touched fields whose validation depends on `changedPath`,
+   * either through a declared `dependsOn` or through values read via `ctx.getValue`.
+   * @param {string} changedPath - The path of the field whose value changed.
+   * @returns {Array<string>} The dependent field paths (never including `changedPath` itself).
+   */
+  const getDependentFieldPaths = (changedPath) => {
+    return Object.keys(formFieldsTouchedState).filter((fieldPath) => {
+      if (fieldPath === changedPath || !formFieldsTouchedState[fieldPath]) {
+        return false;
+      }
+      const fieldConfig = findFieldConfig(fieldPath, fields);
+      const declared =
+        fieldConfig && Array.isArray(fieldConfig.dependsOn)
+          ? fieldConfig.dependsOn
+          : [];
+      const tracked = trackedDependencies[fieldPath]
+        ? [...trackedDependencies[fieldPath]]
+        : [];
+      return [...declared, ...tracked].some((dependencyPath) =>
+        pathsOverlap(dependencyPath, changedPath)
+      );
+    });
+  };
+
+  /**
+   * Re-validates touched fields that depend on a field whose value just changed,
+   * e.g. "confirm password" after "password" is edited. Runs are debounced by `inputDebounceMs`
+   * and skipped entirely when `validationTrigger` is 'onSubmit'.
+   * @param {string} changedPath - The path of the field whose value changed.
+   * @param {Object} currentFormModel - The current form model to validate against.
+   * @returns {Array<string>} The paths of the fields scheduled for re-validation.
+   */
+  const validateDependentFields = (changedPath, currentFormModel) => {
+    if (validationTrigger === "onSubmit") return [];
+
+    const dependentPaths = getDependentFieldPaths(changedPath);
+    dependentPaths.forEach((fieldPath) => {
+      if (debounceTimers[fieldPath]) {
+        clearTimeout(debounceTimers[fieldPath]);
+      }
+      debounceTimers[fieldPath] = setTimeout(() => {
+        delete debounceTimers[fieldPath];
+        validateField(
+          fieldPath,
+          getValueByPath(currentFormModel, fieldPath),
+          currentFormModel
+        ).catch((error) => {
+          console.error(`Error in validation process for ${fieldPath}:`, error);
+        });
+      }, inputDebounceMs);
+    });
+    return dependentPaths;
+  };
+
+  /**
+   * Validates the entire form purely (without side effects to internal state).
+   * @param {Object} formToValidate - The form data to validate.
+   * @returns {boolean} True if the entire form is valid, false otherwise.
+   */
+  const validateFormPurely = (formToValidate) => {
+    const fieldsValid = validateFormPurelyRecursive(formToValidate, fields);
+    const formLevelValid = runFormValidators(formToValidate);
+    return fieldsValid && formLevelValid;
+  };
+
+  /**
+   * Validates the entire form, including custom (possibly asynchronous) validators.
+   * Synchronous rules are applied first, exactly like `validateFormPurely`. Every visible field
+   * that passes them and defines `validators` is then run through `validateField`, so the usual
+   * pending state, AbortController and run-id handling apply. Resolves once all of them settle.
+   * @param {Object} formToValidate - The form data to validate.
+   * @returns {Promise<boolean>} Resolves to true if the entire form is valid, false otherwise.
+   */
+  const validateFormAsync = async (formToValidate) => {
+    const asyncValidations = [];
+    const syncValid = validateFormPurelyRecursive(
+      formToValidate,
+      fields,
+      "",
+      asyncValidations
+    );
+    const [asyncResults, formLevelValid] = await Promise.all([
+      Promise.all(asyncValidations),
+      runFormValidatorsAsync(formToValidate),
+    ]);
+    return (
+      syncValid &&
+      formLevelValid &&
+      asyncResults.every((isValid) => isValid === true)
+    );
+  };
+
+  /**
+   * Validates only some of the form's fields, e.g. one step of a wizard, including custom (possibly
+   * asynchronous) validators and the `schema` adapter's issues for those fields. Hidden fields are
+   * skipped; form-level validators are not run.
+   * @param {Array<FieldConfig>} fieldsToValidate - Top-level field configurations to validate.
+   * @param {Object} formToValidate - The form data to validate.
+   * @returns {Promise<boolean>} Resolves to true if all the given fields are valid.
+   */
+  const validateFieldsAsync = async (fieldsToValidate, formToValidate) => {
+    const asyncValidations = [];
+    const syncValid = validateFormPurelyRecursive(
+      formToValidate,
+      fieldsToValidate,
+      "",
+      asyncValidations,
+      formToValidate
+    );
+    const keys = fieldsToValidate
+      .map((field) => field.propertyName || field.subForm)
+      .filter(Boolean);
+    const isInFields = (path) =>
+      keys.some(
+        (key) =>
+          path === key ||
+          path.startsWith(`${key}.`) ||
+          path.startsWith(`${key}[`)
+      );
+    const [asyncResults, schemaValid] = await Promise.all([
+      Promise.all(asyncValidations),
+      applySchemaIssuesFor(isInFields, formToValidate, keys.join(",")),
+    ]);
+    return (
+      syncValid &&
+      schemaValid &&
+      asyncResults.every((isValid) => isValid === true)
+    );
+  };
+
+  /**
+   * Sets the touched state of a field.
+   * @param {string} fieldPath - The path of the field.
+   * @param {boolean} touched - The touched state to set.
+   * @returns {boolean} True if the touched state changed, false otherwise.
    */
   const setFieldTouched = (fieldPath, touched = true) => {
     const currentTouchedState = formFieldsTouchedState[fieldPath];
@@ -951,170 +1937,463 @@ export function useFormValidation(fields, options = {}) {
   };
 
   /**
-   * Adds an item to a list field.
-   * @param {string} listFieldPath - The path of the list field.
-   * @param {Object} [itemData] - The data for the new item. If not provided, uses default values.
+   * Creates a new list item: a copy of `itemData`, else of the list's `defaultValue`,
+   * else an object holding the item fields' configured values. Nested lists start with their
+   * `initialValue` (or empty) and sub-forms empty, so items can be added to them by path.
+   * @private
+   * @param {FieldConfig} listFieldConfig - The list field configuration.
+   * @param {Object} [itemData] - The data for the new item.
+   * @returns {Object} The new item.
    */
-  const addItem = (listFieldPath, itemData) => {
-    const listFieldConfig = findFieldConfig(listFieldPath, fields);
-    if (!listFieldConfig || listFieldConfig.type !== "list") {
-      console.warn(
-        `List field configuration not found for path: ${listFieldPath}`
-      );
-      return;
-    }
-
-    const currentList = formFieldsValues[listFieldPath] || [];
-    let newItem = {};
-
+  const createListItem = (listFieldConfig, itemData) => {
     if (itemData && typeof itemData === "object") {
-      newItem = { ...itemData };
-    } else if (
+      return { ...itemData };
+    }
+    if (
       listFieldConfig.defaultValue &&
       typeof listFieldConfig.defaultValue === "object"
     ) {
-      newItem = JSON.parse(JSON.stringify(listFieldConfig.defaultValue));
-    } else if (Array.isArray(listFieldConfig.fields)) {
+      return JSON.parse(JSON.stringify(listFieldConfig.defaultValue));
+    }
+    const newItem = {};
+    if (Array.isArray(listFieldConfig.fields)) {
       // Build default item from field configurations
       listFieldConfig.fields.forEach((field) => {
-        if (field.propertyName) {
+        if (field.type === "list" && field.propertyName) {
+          newItem[field.propertyName] = Array.isArray(field.initialValue)
+            ? JSON.parse(JSON.stringify(field.initialValue))
+            : [];
+        } else if (field.subForm) {
+          newItem[field.subForm] = {};
+        } else if (field.propertyName) {
           newItem[field.propertyName] = field.hasOwnProperty("value")
             ? field.value
             : undefined;
         }
       });
     }
+    return newItem;
+  };
 
-    const newList = [...currentList, newItem];
-    formFieldsValues[listFieldPath] = newList;
+  /**
+   * Adds an item to the end of a list field.
+   * @param {string} listFieldPath - The path of the list field, e.g. `contacts` or `orders[0].lines`.
+   * @param {Object} [itemData] - The data for the new item. If not provided, uses default values.
+   */
+  const addItem = (listFieldPath, itemData) => {
+    const currentList = getValueByPath(formFieldsValues, listFieldPath) || [];
+    insertItem(listFieldPath, currentList.length, itemData);
+  };
 
-    // Initialize validation states for the new item's fields
-    const newIndex = newList.length - 1;
-    if (Array.isArray(listFieldConfig.fields)) {
-      listFieldConfig.fields.forEach((field) => {
-        if (field.propertyName) {
-          const fieldPath = `${listFieldPath}[${newIndex}].${field.propertyName}`;
-          formFieldsTouchedState[fieldPath] = false;
-          formFieldsDirtyState[fieldPath] = false;
-          formFieldsValidity[fieldPath] = undefined;
-          formFieldsErrorMessages[fieldPath] = undefined;
-          formFieldsPendingState[fieldPath] = false;
+  /**
+   * Sets up the state of a new list item's fields, including the fields nested in its sub-forms
+   * and lists: untouched, pristine, not pending and unvalidated.
+   * @private
+   * @param {Array<FieldConfig>} itemFields - The list's item field configurations.
+   * @param {string} pathPrefix - The path prefix of the item's fields, e.g. `orders[0].lines[1].`.
+   * @param {Object} item - The item's values.
+   */
+  const initItemStates = (itemFields, pathPrefix, item) => {
+    (itemFields || []).forEach((field) => {
+      const key = field.propertyName || field.subForm;
+      if (!key) return;
+      const fieldPath = `${pathPrefix}${key}`;
+      formFieldsTouchedState[fieldPath] = false;
+      formFieldsDirtyState[fieldPath] = false;
+      formFieldsPendingState[fieldPath] = false;
+      formFieldsValidity[fieldPath] = undefined;
+      setErrorMessage(fieldPath, undefined);
+      const value = item ? item[key] : undefined;
+      if (field.type === "list" && Array.isArray(value)) {
+        value.forEach((subItem, index) =>
+          initItemStates(field.fields, `${fieldPath}[${index}].`, subItem)
+        );
+      } else if (field.subForm) {
+        initItemStates(field.fields, `${fieldPath}.`, value);
+      }
+    });
+  };
 
-          // Update initial values
-          if (!initialFormFieldsValues[listFieldPath]) {
-            initialFormFieldsValues[listFieldPath] = [];
-          }
-          if (!initialFormFieldsValues[listFieldPath][newIndex]) {
-            initialFormFieldsValues[listFieldPath][newIndex] = {};
-          }
-          initialFormFieldsValues[listFieldPath][newIndex][field.propertyName] =
-            newItem[field.propertyName] !== undefined
-              ? JSON.parse(JSON.stringify(newItem[field.propertyName]))
-              : undefined;
-        }
+  /**
+   * Moves the state of a list's items (validity, errors, touched, dirty, pending state and metadata),
+   * including that of the fields nested in them, to the indexes the items have after the list
+   * was rearranged. The state of removed items is dropped. Async validations running for items
+   * that moved are superseded and, if `currentFormModel` is given, started again at the new paths.
+   * Initial values are left as they are.
+   * State is stored by item index, so every change to a list's items has to go through here:
+   * the list helpers below do so through `rearrangeItems`, `PreskoForm` whenever its items' keys change.
+   * @param {string} listFieldPath - The path of the list field, e.g. `contacts` or `orders[0].lines`.
+   * @param {Array<number|null>} order - For each new index, the index the item had before (null for a new item).
+   * @param {Object} [currentFormModel] - The form model after the change, to restart interrupted validations.
+   */
+  const reindexListState = (listFieldPath, order, currentFormModel) => {
+    const remap = (path) => remapListItemPath(path, listFieldPath, order);
+
+    // Runs for a moved or removed item would report to its old path.
+    const interruptedPaths = [];
+    Object.keys(activeAbortControllers).forEach((path) => {
+      const newPath = remap(path);
+      if (newPath === path) return;
+      activeAbortControllers[path].abort();
+      delete activeAbortControllers[path];
+      validationRunIds[path] = (validationRunIds[path] || 0) + 1;
+      if (newPath && formFieldsPendingState[path]) {
+        interruptedPaths.push(newPath);
+      }
+    });
+    Object.keys(debounceTimers).forEach((path) => {
+      if (remap(path) === path) return;
+      clearTimeout(debounceTimers[path]);
+      delete debounceTimers[path];
+    });
+
+    [
+      formFieldsValidity,
+      formFieldsErrorMessages,
+      errorMessageSources,
+      formFieldsTouchedState,
+      formFieldsDirtyState,
+      formFieldsPendingState,
+      formFieldsMeta,
+      formValidatorFieldErrors,
+      externalFieldErrors,
+      trackedDependencies,
+    ].forEach((state) => {
+      const moved = {};
+      Object.keys(state).forEach((path) => {
+        const newPath = remap(path);
+        if (newPath === path) return;
+        if (newPath) moved[newPath] = state[path];
+        delete state[path];
       });
-    }
+      Object.assign(state, moved);
+    });
+    Object.keys(trackedDependencies).forEach((path) => {
+      trackedDependencies[path] = new Set(
+        [...trackedDependencies[path]].map(remap).filter(Boolean)
+      );
+    });
+
+    interruptedPaths.forEach((path) => {
+      formFieldsPendingState[path] = false;
+      if (currentFormModel) {
+        validateField(
+          path,
+          getValueByPath(currentFormModel, path),
+          currentFormModel
+        );
+      }
+    });
   };
 
   /**
-   * Removes an item from a list field.
+   * Rearranges the items of a list field, together with their initial values and state.
+   * @private
    * @param {string} listFieldPath - The path of the list field.
-   * @param {number} index - The index of the item to remove.
+   * @param {Function} rearrange - Receives the list's entries (`{ item, initialItem, index }`) and returns
+   *   them rearranged; entries for new items have a null `index`.
+   * @returns {boolean} False if the path is not a list field.
    */
-  const removeItem = (listFieldPath, index) => {
+  const rearrangeItems = (listFieldPath, rearrange) => {
     const listFieldConfig = findFieldConfig(listFieldPath, fields);
     if (!listFieldConfig || listFieldConfig.type !== "list") {
       console.warn(
         `List field configuration not found for path: ${listFieldPath}`
       );
-      return;
+      return false;
     }
 
-    const currentList = formFieldsValues[listFieldPath] || [];
-    if (index < 0 || index >= currentList.length) return;
+    const currentList = getValueByPath(formFieldsValues, listFieldPath) || [];
+    const initialItems = getValueByPath(initialFormFieldsValues, listFieldPath);
+    const entries = rearrange(
+      currentList.map((item, index) => ({
+        item,
+        initialItem: Array.isArray(initialItems)
+          ? initialItems[index]
+          : undefined,
+        index,
+      }))
+    );
 
-    // Clean up validation states for the removed item's fields
-    if (Array.isArray(listFieldConfig.fields)) {
-      listFieldConfig.fields.forEach((field) => {
-        if (field.propertyName) {
-          const fieldPath = `${listFieldPath}[${index}].${field.propertyName}`;
-          delete formFieldsTouchedState[fieldPath];
-          delete formFieldsDirtyState[fieldPath];
-          delete formFieldsValidity[fieldPath];
-          delete formFieldsErrorMessages[fieldPath];
-          delete formFieldsPendingState[fieldPath];
-          if (activeAbortControllers[fieldPath]) {
-            activeAbortControllers[fieldPath].abort();
-            delete activeAbortControllers[fieldPath];
-          }
-        }
-      });
+    setValueByPath(
+      formFieldsValues,
+      listFieldPath,
+      entries.map(({ item }) => item)
+    );
+    if (Array.isArray(initialItems)) {
+      setValueByPath(
+        initialFormFieldsValues,
+        listFieldPath,
+        entries.map(({ initialItem }) => initialItem)
+      );
     }
+    reindexListState(
+      listFieldPath,
+      entries.map(({ index }) => index),
+      formFieldsValues
+    );
+    entries.forEach(({ item, index }, newIndex) => {
+      if (index === null) {
+        initItemStates(
+          listFieldConfig.fields,
+          `${listFieldPath}[${newIndex}].`,
+          item
+        );
+      }
+    });
+    return true;
+  };
 
-    // Remove the item
-    const newList = currentList.filter((_, i) => i !== index);
-    formFieldsValues[listFieldPath] = newList;
+  /**
+   * Checks that an index points to an item of a list field.
+   * @private
+   * @param {string} listFieldPath - The path of the list field.
+   * @param {number} index - The index.
+   * @returns {boolean} True if the list has an item at the index.
+   */
+  const isItemIndex = (listFieldPath, index) => {
+    const currentList = getValueByPath(formFieldsValues, listFieldPath) || [];
+    return Number.isInteger(index) && index >= 0 && index < currentList.length;
+  };
 
-    // Update initial values
+  /**
+   * Removes an item from a list field. The items after it keep their state.
+   * @param {string} listFieldPath - The path of the list field.
+   * @param {number} index - The index of the item to remove.
+   */
+  const removeItem = (listFieldPath, index) => {
+    if (!isItemIndex(listFieldPath, index)) return;
+    rearrangeItems(listFieldPath, (entries) =>
+      entries.filter((entry) => entry.index !== index)
+    );
+  };
+
+  /**
+   * Moves an item of a list field to another index, carrying its state along.
+   * @param {string} listFieldPath - The path of the list field.
+   * @param {number} fromIndex - The index of the item to move.
+   * @param {number} toIndex - The index the item should have afterwards.
+   */
+  const moveItem = (listFieldPath, fromIndex, toIndex) => {
     if (
-      initialFormFieldsValues[listFieldPath] &&
-      Array.isArray(initialFormFieldsValues[listFieldPath])
+      fromIndex === toIndex ||
+      !isItemIndex(listFieldPath, fromIndex) ||
+      !isItemIndex(listFieldPath, toIndex)
     ) {
-      initialFormFieldsValues[listFieldPath].splice(index, 1);
+      return;
     }
+    rearrangeItems(listFieldPath, (entries) => {
+      entries.splice(toIndex, 0, ...entries.splice(fromIndex, 1));
+      return entries;
+    });
+  };
 
-    // Re-index validation states for remaining items
-    if (Array.isArray(listFieldConfig.fields)) {
-      const itemsToReindex = newList.slice(index);
-      itemsToReindex.forEach((_, relativeIndex) => {
-        const oldIndex = index + relativeIndex + 1; // +1 because we removed one item
-        const newIndex = index + relativeIndex;
-
-        listFieldConfig.fields.forEach((field) => {
-          if (field.propertyName) {
-            const oldFieldPath = `${listFieldPath}[${oldIndex}].${field.propertyName}`;
-            const newFieldPath = `${listFieldPath}[${newIndex}].${field.propertyName}`;
-
-            // Move validation states
-            if (formFieldsTouchedState[oldFieldPath] !== undefined) {
-              formFieldsTouchedState[newFieldPath] =
-                formFieldsTouchedState[oldFieldPath];
-              delete formFieldsTouchedState[oldFieldPath];
-            }
-            if (formFieldsDirtyState[oldFieldPath] !== undefined) {
-              formFieldsDirtyState[newFieldPath] =
-                formFieldsDirtyState[oldFieldPath];
-              delete formFieldsDirtyState[oldFieldPath];
-            }
-            if (formFieldsValidity[oldFieldPath] !== undefined) {
-              formFieldsValidity[newFieldPath] =
-                formFieldsValidity[oldFieldPath];
-              delete formFieldsValidity[oldFieldPath];
-            }
-            if (formFieldsErrorMessages[oldFieldPath] !== undefined) {
-              formFieldsErrorMessages[newFieldPath] =
-                formFieldsErrorMessages[oldFieldPath];
-              delete formFieldsErrorMessages[oldFieldPath];
-            }
-            if (formFieldsPendingState[oldFieldPath] !== undefined) {
-              formFieldsPendingState[newFieldPath] =
-                formFieldsPendingState[oldFieldPath];
-              delete formFieldsPendingState[oldFieldPath];
-            }
-            // Active abort controllers are trickier; they are tied to specific validation runs.
-            // If a validation for oldFieldPath was pending, it should probably be aborted.
-            // For simplicity, we might not move controllers but ensure they are cleaned up if they complete for an old path.
-            // Or, when a new validation starts for newFieldPath, it would create its own controller.
-          }
-        });
-      });
+  /**
+   * Swaps two items of a list field, carrying their state along.
+   * @param {string} listFieldPath - The path of the list field.
+   * @param {number} indexA - The index of one item.
+   * @param {number} indexB - The index of the other item.
+   */
+  const swapItems = (listFieldPath, indexA, indexB) => {
+    if (
+      indexA === indexB ||
+      !isItemIndex(listFieldPath, indexA) ||
+      !isItemIndex(listFieldPath, indexB)
+    ) {
+      return;
     }
+    rearrangeItems(listFieldPath, (entries) => {
+      [entries[indexA], entries[indexB]] = [entries[indexB], entries[indexA]];
+      return entries;
+    });
+  };
+
+  /**
+   * Inserts an item into a list field. Items from `index` on move one index up and keep their state.
+   * @param {string} listFieldPath - The path of the list field.
+   * @param {number} index - The index of the new item; clamped to the list's bounds.
+   * @param {Object} [itemData] - The data for the new item. If not provided, uses default values.
+   */
+  const insertItem = (listFieldPath, index, itemData) => {
+    const listFieldConfig = findFieldConfig(listFieldPath, fields);
+    const newItem = listFieldConfig
+      ? createListItem(listFieldConfig, itemData)
+      : {};
+    rearrangeItems(listFieldPath, (entries) => {
+      const position = Math.min(Math.max(0, index || 0), entries.length);
+      entries.splice(position, 0, {
+        item: newItem,
+        initialItem: JSON.parse(JSON.stringify(newItem)),
+        index: null,
+      });
+      return entries;
+    });
+  };
+
+  /**
+   * Inserts a copy of a list item right after it. The copy starts untouched, pristine and unvalidated.
+   * @param {string} listFieldPath - The path of the list field.
+   * @param {number} index - The index of the item to duplicate.
+   */
+  const duplicateItem = (listFieldPath, index) => {
+    if (!isItemIndex(listFieldPath, index)) return;
+    const item = getValueByPath(formFieldsValues, listFieldPath)[index];
+    insertItem(listFieldPath, index + 1, JSON.parse(JSON.stringify(item)));
   };
 
   const isFormPending = computed(() => {
-    return Object.values(formFieldsPendingState).some((isPending) => isPending);
+    return (
+      isFormValidatorPending.value ||
+      Object.values(formFieldsPendingState).some((isPending) => isPending)
+    );
   });
 
+  /**
+   * Paths of the fields that are dirty.
+   * @type {import('vue').ComputedRef<string[]>}
+   */
+  const dirtyFields = computed(() =>
+    Object.keys(formFieldsDirtyState).filter(
+      (path) => formFieldsDirtyState[path] === true
+    )
+  );
+
+  /**
+   * Paths of the fields that have been touched.
+   * @type {import('vue').ComputedRef<string[]>}
+   */
+  const touchedFields = computed(() =>
+    Object.keys(formFieldsTouchedState).filter(
+      (path) => formFieldsTouchedState[path] === true
+    )
+  );
+
+  const isFormDirty = computed(() => dirtyFields.value.length > 0);
+  const isFormTouched = computed(() => touchedFields.value.length > 0);
+
+  /**
+   * Error messages of the invalid fields, by path.
+   * @type {import('vue').ComputedRef<Object<string, string|string[]>>}
+   */
+  const errors = computed(() => {
+    const invalidFieldErrors = {};
+    Object.keys(formFieldsValidity).forEach((path) => {
+      if (formFieldsValidity[path] === false) {
+        invalidFieldErrors[path] = formFieldsErrorMessages[path];
+      }
+    });
+    return invalidFieldErrors;
+  });
+
+  /**
+   * True if no field has an error and there are no form-wide errors. Fields that have not been
+   * validated yet count as valid.
+   * @type {import('vue').ComputedRef<boolean>}
+   */
+  const isFormValid = computed(
+    () =>
+      Object.keys(errors.value).length === 0 && formErrors.value.length === 0
+  );
+
+  /**
+   * Marks all fields as untouched.
+   */
+  const resetTouched = () => {
+    Object.keys(formFieldsTouchedState).forEach((path) => {
+      formFieldsTouchedState[path] = false;
+    });
+  };
+
+  /**
+   * Marks all fields as clean and makes the current values the baseline for dirty checking.
+   * @param {Object} [currentFormModel] - The form model holding the current values. Defaults to `formFieldsValues`.
+   */
+  const resetDirty = (currentFormModel = formFieldsValues) => {
+    initialFormFieldsValues = JSON.parse(JSON.stringify(currentFormModel));
+    Object.keys(formFieldsDirtyState).forEach((path) => {
+      formFieldsDirtyState[path] = false;
+    });
+  };
+
+  /**
+   * Returns a copy of `values` with the initial values written over it. Keys the initial values
+   * do not know (e.g. item ids of a list) are kept.
+   * @private
+   * @param {Object} values - The current values.
+   * @param {Object} initialValues - The initial values at the same level.
+   * @returns {Object} The reverted values.
+   */
+  const mergeInitialValues = (values, initialValues) => {
+    const isObject = (value) =>
+      value !== null && typeof value === "object" && !Array.isArray(value);
+    const merged = { ...values };
+    Object.keys(initialValues).forEach((key) => {
+      const initialValue = initialValues[key];
+      merged[key] =
+        isObject(initialValue) && isObject(values[key])
+          ? mergeInitialValues(values[key], initialValue)
+          : initialValue !== undefined
+            ? JSON.parse(JSON.stringify(initialValue))
+            : undefined;
+    });
+    return merged;
+  };
+
+  /**
+   * Restores the initial values and clears all validation, touched and dirty state.
+   * Pending and debounced validations are discarded.
+   * @param {Object} [currentFormModel] - The form model to revert. When given, it is left unchanged and
+   *   the reverted copy is returned; otherwise `formFieldsValues` is reverted in place.
+   * @returns {Object} The reverted values.
+   */
+  const revertChanges = (currentFormModel) => {
+    const revertedValues = mergeInitialValues(
+      currentFormModel || formFieldsValues,
+      initialFormFieldsValues
+    );
+    if (!currentFormModel) Object.assign(formFieldsValues, revertedValues);
+
+    Object.keys(debounceTimers).forEach((path) => {
+      clearTimeout(debounceTimers[path]);
+      delete debounceTimers[path];
+    });
+    // Results of runs still in flight belong to the discarded values.
+    Object.keys(activeAbortControllers).forEach((path) => {
+      validationRunIds[path] = (validationRunIds[path] || 0) + 1;
+    });
+    allFormValidators.forEach((validator, index) => {
+      formValidatorRunIds[index] = (formValidatorRunIds[index] || 0) + 1;
+    });
+    formValidatorsHaveRun = false;
+    resetValidationState();
+    resetTouched();
+    Object.keys(formFieldsDirtyState).forEach((path) => {
+      formFieldsDirtyState[path] = false;
+    });
+    return revertedValues;
+  };
+
+  /**
+   * Returns a frozen snapshot of the form state, e.g. for a route guard.
+   * @param {Object} [currentFormModel] - The form model holding the current values. Defaults to `formFieldsValues`.
+   * @returns {FormStateSnapshot} The snapshot.
+   */
+  const getState = (currentFormModel = formFieldsValues) =>
+    deepFreeze({
+      values: JSON.parse(JSON.stringify(currentFormModel)),
+      initialValues: JSON.parse(JSON.stringify(initialFormFieldsValues)),
+      isDirty: isFormDirty.value,
+      isTouched: isFormTouched.value,
+      isPending: isFormPending.value,
+      dirtyFields: [...dirtyFields.value],
+      touchedFields: [...touchedFields.value],
+      pendingFields: Object.keys(formFieldsPendingState).filter(
+        (path) => formFieldsPendingState[path] === true
+      ),
+      errors: JSON.parse(JSON.stringify(errors.value)),
+      formErrors: [...formErrors.value],
+    });
+
   return {
     formFieldsValues,
     formFieldsValidity,
@@ -1123,14 +2402,43 @@ export function useFormValidation(fields, options = {}) {
     formFieldsDirtyState,
     formFieldsPendingState, // Expose pending state
     isFormPending, // Expose computed pending status
+    isFormDirty,
+    isFormTouched,
+    dirtyFields,
+    touchedFields,
+    errors,
+    isFormValid,
+    formErrors,
+    formFieldsMeta,
+    messageLocale,
     validateField,
     validateFormPurely,
+    validateFormAsync,
+    validateFieldsAsync,
     setFieldTouched,
     checkFieldDirty,
     updateFieldInitialValue,
+    getFieldInitialValue,
+    clearFieldState,
+    setFields,
     triggerValidation,
+    validateDependentFields,
+    getDependentFieldPaths,
     resetValidationState,
+    setErrors,
+    setFieldError,
+    clearErrors,
+    getErrors,
+    resetTouched,
+    resetDirty,
+    revertChanges,
+    getState,
     addItem,
     removeItem,
+    moveItem,
+    swapItems,
+    insertItem,
+    duplicateItem,
+    reindexListState,
   };
 }
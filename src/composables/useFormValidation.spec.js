@@ -1,7 +1,9 @@
 import { describe, it, expect, beforeEach, vi, afterEach } from "vitest";
 import { useFormValidation } from "./useFormValidation";
-import { nextTick, reactive } from "vue";
+import { nextTick, reactive, ref } from "vue";
 import Validation from "../validation"; // Import the mocked module
+import { defineRule, removeDefinedRule } from "../validation/ruleRegistry";
+import { zodAdapter } from "../schemaAdapters";
 
 // Mock the ../validation module
 vi.mock("../validation", () => ({
@@ -81,7 +83,7 @@ const getNestedFieldsConfig = () => [
     fields: [
       // Field definitions for the sub-form
       {
-        propertyName: "firstName", // Actual property name for state tracking (e.g., formFieldsValidity.firstName)
+        propertyName: "firstName", // Tracked by its full path (e.g., formFieldsValidity["profile.firstName"])
         label: "First Name",
         rules: ["isRequired"],
         value: "",
@@ -251,9 +253,9 @@ describe("useFormValidation", () => {
       expect(formFieldsValues.profile.firstName).toBe("");
       expect(formFieldsValues.profile.lastName).toBe("");
 
-      // Validity for sub-form fields is stored flatly using their propertyName
-      expect(formFieldsValidity.firstName).toBeUndefined();
-      expect(formFieldsValidity.lastName).toBeUndefined();
+      // Validity for sub-form fields is stored by their full path
+      expect(formFieldsValidity["profile.firstName"]).toBeUndefined();
+      expect(formFieldsValidity["profile.lastName"]).toBeUndefined();
     });
 
     it("should initialize states correctly for list fields", () => {
@@ -485,9 +487,11 @@ describe("useFormValidation", () => {
       let isValid = validateFormPurely(modelInvalid);
       expect(isValid).toBe(false);
       expect(formFieldsValidity.username).toBeUndefined();
-      expect(formFieldsValidity.firstName).toBe(false);
-      expect(formFieldsErrorMessages.firstName).toBe("First Name is required.");
-      expect(formFieldsValidity.lastName).toBeUndefined();
+      expect(formFieldsValidity["profile.firstName"]).toBe(false);
+      expect(formFieldsErrorMessages["profile.firstName"]).toBe(
+        "First Name is required."
+      );
+      expect(formFieldsValidity["profile.lastName"]).toBeUndefined();
 
       const modelValid = {
         username: "gooduser",
@@ -499,8 +503,8 @@ describe("useFormValidation", () => {
       isValid = validateFormPurely(modelValid);
       expect(isValid).toBe(true);
       expect(formFieldsValidity.username).toBeUndefined();
-      expect(formFieldsValidity.firstName).toBeUndefined();
-      expect(formFieldsValidity.lastName).toBeUndefined();
+      expect(formFieldsValidity["profile.firstName"]).toBeUndefined();
+      expect(formFieldsValidity["profile.lastName"]).toBeUndefined();
     });
 
     it("should validate list fields correctly", () => {
@@ -712,6 +716,261 @@ describe("useFormValidation", () => {
 });
 
 // --- BEGIN ASYNC VALIDATION TESTS ---
+describe("useFormValidation - Cross-field dependencies", () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.clearAllMocks();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  const matchesPassword = (value, label, field, ctx) =>
+    value === ctx.getValue("password") || "Passwords do not match.";
+
+  it("re-validates a touched dependent declared via dependsOn", async () => {
+    const fields = [
+      { propertyName: "password", value: "" },
+      {
+        propertyName: "confirm",
+        dependsOn: ["password"],
+        validators: [matchesPassword],
+        value: "",
+      },
+    ];
+    const {
+      validateField,
+      setFieldTouched,
+      validateDependentFields,
+      formFieldsValidity,
+    } = useFormValidation(fields, { inputDebounceMs: 50 });
+
+    const model = { password: "secret", confirm: "secret" };
+    setFieldTouched("confirm", true);
+    await validateField("confirm", model.confirm, model);
+    expect(formFieldsValidity.confirm).toBeUndefined();
+
+    model.password = "changed";
+    expect(validateDependentFields("password", model)).toEqual(["confirm"]);
+    expect(formFieldsValidity.confirm).toBeUndefined(); // debounced
+
+    await vi.advanceTimersByTimeAsync(50);
+    expect(formFieldsValidity.confirm).toBe(false);
+  });
+
+  it("tracks dependencies read through ctx.getValue automatically", async () => {
+    const fields = [
+      { propertyName: "password", value: "" },
+      { propertyName: "confirm", validators: [matchesPassword], value: "" },
+    ];
+    const { validateField, setFieldTouched, getDependentFieldPaths } =
+      useFormValidation(fields);
+
+    const model = { password: "a", confirm: "a" };
+    expect(getDependentFieldPaths("password")).toEqual([]);
+
+    setFieldTouched("confirm", true);
+    await validateField("confirm", model.confirm, model);
+
+    expect(getDependentFieldPaths("password")).toEqual(["confirm"]);
+    expect(getDependentFieldPaths("confirm")).toEqual([]);
+  });
+
+  it("does not re-validate untouched dependents", () => {
+    const fields = [
+      { propertyName: "password", value: "" },
+      { propertyName: "confirm", dependsOn: ["password"], validators: [matchesPassword], value: "" },
+    ];
+    const { validateDependentFields } = useFormValidation(fields);
+
+    expect(validateDependentFields("password", { password: "x" })).toEqual([]);
+  });
+
+  it("matches nested changes against a dependency on the parent path", () => {
+    const fields = [
+      { subForm: "address", fields: [{ propertyName: "country", value: "" }] },
+      { propertyName: "zip", dependsOn: ["address"], validators: [() => true], value: "" },
+    ];
+    const { setFieldTouched, getDependentFieldPaths } = useFormValidation(fields);
+
+    setFieldTouched("zip", true);
+    expect(getDependentFieldPaths("address.country")).toEqual(["zip"]);
+  });
+
+  it("skips dependent re-validation when validationTrigger is onSubmit", () => {
+    const fields = [
+      { propertyName: "password", value: "" },
+      { propertyName: "confirm", dependsOn: ["password"], validators: [matchesPassword], value: "" },
+    ];
+    const { setFieldTouched, validateDependentFields } = useFormValidation(fields, {
+      validationTrigger: "onSubmit",
+    });
+
+    setFieldTouched("confirm", true);
+    expect(validateDependentFields("password", { password: "x" })).toEqual([]);
+  });
+
+  it("passes customErrorMsg, params and the validation context to rules", () => {
+    Validation.minLength.mockImplementation(() => true);
+    const fields = [
+      {
+        propertyName: "name",
+        rules: [{ name: "minLength", params: { min: 2 }, customErrorMsg: "Too short" }],
+        value: "",
+      },
+    ];
+    const { validateFormPurely } = useFormValidation(fields);
+
+    validateFormPurely({ name: "Al" });
+
+    const [value, label, customErrorMsg, params, ctx] =
+      Validation.minLength.mock.calls[0];
+    expect([value, label, customErrorMsg, params]).toEqual([
+      "Al",
+      "name",
+      "Too short",
+      { min: 2 },
+    ]);
+    expect(ctx.getValue("name")).toBe("Al");
+  });
+});
+
+describe("useFormValidation - Form-level validators", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  const getAllocationFields = () => [
+    { propertyName: "email", value: "" },
+    { propertyName: "phone", value: "" },
+    {
+      propertyName: "allocations",
+      type: "list",
+      fields: [{ propertyName: "share", value: 0 }],
+    },
+  ];
+
+  const atLeastOneContact = (model) =>
+    model.email || model.phone
+      ? true
+      : { email: "Provide an email or a phone.", _form: "No contact method." };
+
+  const sumIs100 = (model) => {
+    const total = (model.allocations || []).reduce((sum, a) => sum + a.share, 0);
+    return total === 100 ? true : "Allocations must add up to 100.";
+  };
+
+  it("merges path errors and form-wide errors and fails validation", () => {
+    const { validateFormPurely, formFieldsValidity, formFieldsErrorMessages, formErrors } =
+      useFormValidation(getAllocationFields(), {
+        formValidators: [atLeastOneContact, sumIs100],
+      });
+
+    const isValid = validateFormPurely({
+      email: "",
+      phone: "",
+      allocations: [{ share: 40 }, { share: 50 }],
+    });
+
+    expect(isValid).toBe(false);
+    expect(formFieldsValidity.email).toBe(false);
+    expect(formFieldsErrorMessages.email).toBe("Provide an email or a phone.");
+    expect(formErrors.value).toEqual([
+      "No contact method.",
+      "Allocations must add up to 100.",
+    ]);
+  });
+
+  it("clears form-level errors once the rules pass", () => {
+    const { validateFormPurely, formFieldsValidity, formFieldsErrorMessages, formErrors } =
+      useFormValidation(getAllocationFields(), {
+        formValidators: [atLeastOneContact, sumIs100],
+      });
+
+    validateFormPurely({ email: "", phone: "", allocations: [] });
+    const isValid = validateFormPurely({
+      email: "",
+      phone: "555",
+      allocations: [{ share: 100 }],
+    });
+
+    expect(isValid).toBe(true);
+    expect(formFieldsValidity.email).toBeUndefined();
+    expect(formFieldsErrorMessages.email).toBeUndefined();
+    expect(formErrors.value).toEqual([]);
+  });
+
+  it("does not override a field's own error with a form-level one", () => {
+    Validation.isRequired.mockImplementation((value, label) =>
+      value ? true : `${label} is required.`
+    );
+    const fields = [{ propertyName: "email", rules: ["isRequired"], value: "" }];
+    const { validateFormPurely, formFieldsErrorMessages } = useFormValidation(fields, {
+      formValidators: [() => ({ email: "Form-level message" })],
+    });
+
+    validateFormPurely({ email: "" });
+
+    expect(formFieldsErrorMessages.email).toBe("email is required.");
+  });
+
+  it("awaits async form-level validators in validateFormAsync", async () => {
+    const { validateFormAsync, isFormPending, formErrors } = useFormValidation(
+      getAllocationFields(),
+      { formValidators: [async () => "Server says no."] }
+    );
+
+    const resultPromise = validateFormAsync({ email: "a@b.c", allocations: [] });
+    expect(isFormPending.value).toBe(true);
+
+    expect(await resultPromise).toBe(false);
+    expect(isFormPending.value).toBe(false);
+    expect(formErrors.value).toEqual(["Server says no."]);
+  });
+
+  it("re-runs form-level validators after a field is validated", async () => {
+    const { validateFormPurely, triggerValidation, formFieldsValidity, formErrors } =
+      useFormValidation(getAllocationFields(), {
+        formValidators: [atLeastOneContact],
+      });
+
+    validateFormPurely({ email: "", phone: "" });
+    expect(formErrors.value).toEqual(["No contact method."]);
+
+    triggerValidation("phone", "blur", { email: "", phone: "555" });
+    await Promise.resolve();
+    await Promise.resolve();
+
+    expect(formErrors.value).toEqual([]);
+    expect(formFieldsValidity.email).toBeUndefined();
+  });
+
+  it("reports a translated form-wide error when a validator throws", () => {
+    const consoleErrorSpy = vi
+      .spyOn(console, "error")
+      .mockImplementation(() => {});
+    const { validateFormPurely, formErrors } = useFormValidation(
+      getAllocationFields(),
+      {
+        formValidators: [
+          () => {
+            throw new Error();
+          },
+        ],
+        locale: "de",
+      }
+    );
+
+    validateFormPurely({ email: "a@b.c", allocations: [] });
+
+    expect(formErrors.value).toEqual([
+      "Die Prüfung des Formulars ist fehlgeschlagen.",
+    ]);
+    consoleErrorSpy.mockRestore();
+  });
+});
+
 describe("useFormValidation - Asynchronous Validation", () => {
   beforeEach(() => {
     vi.useFakeTimers();
@@ -1052,5 +1311,1017 @@ describe("useFormValidation - Asynchronous Validation", () => {
       expect(formFieldsPendingState["items[0].name"]).toBe(false); // Or undefined if key is deleted
     });
   });
+
+  describe("validateFormAsync", () => {
+    it("should await async validators and resolve false when one fails", async () => {
+      const usernameValidator = vi.fn(
+        () => new Promise((resolve) => setTimeout(() => resolve("Username is taken."), 50))
+      );
+      const fields = [
+        { propertyName: "username", label: "Username", validators: [usernameValidator], value: "" },
+      ];
+      const { validateFormAsync, formFieldsValidity, formFieldsErrorMessages, isFormPending } =
+        useFormValidation(fields);
+
+      const resultPromise = validateFormAsync({ username: "taken" });
+      expect(isFormPending.value).toBe(true);
+
+      await vi.advanceTimersByTimeAsync(50);
+      const isValid = await resultPromise;
+
+      expect(isValid).toBe(false);
+      expect(usernameValidator).toHaveBeenCalledTimes(1);
+      expect(formFieldsValidity.username).toBe(false);
+      expect(formFieldsErrorMessages.username).toBe("Username is taken.");
+      expect(isFormPending.value).toBe(false);
+    });
+
+    it("should resolve true when all async validators pass, including list items", async () => {
+      const itemValidator = vi.fn().mockResolvedValue(true);
+      const fields = [
+        { propertyName: "username", validators: [vi.fn().mockResolvedValue(true)], value: "" },
+        {
+          propertyName: "items",
+          type: "list",
+          fields: [{ propertyName: "name", validators: [itemValidator], value: "" }],
+        },
+      ];
+      const { validateFormAsync } = useFormValidation(fields);
+
+      const isValid = await validateFormAsync({
+        username: "free",
+        items: [{ name: "a" }, { name: "b" }],
+      });
+
+      expect(isValid).toBe(true);
+      expect(itemValidator).toHaveBeenCalledTimes(2);
+    });
+
+    it("should pass the whole model to the validation context", async () => {
+      const confirmValidator = vi.fn(async (value, label, field, ctx) =>
+        value === ctx.getValue("password") ? true : "Passwords do not match."
+      );
+      const fields = [
+        { propertyName: "password", value: "" },
+        { propertyName: "confirm", validators: [confirmValidator], value: "" },
+      ];
+      const { validateFormAsync, formFieldsErrorMessages } = useFormValidation(fields);
+
+      const isValid = await validateFormAsync({ password: "secret", confirm: "other" });
+
+      expect(isValid).toBe(false);
+      expect(formFieldsErrorMessages.confirm).toBe("Passwords do not match.");
+    });
+
+    it("should skip async validators of hidden fields", async () => {
+      const hiddenValidator = vi.fn().mockResolvedValue("Should not run");
+      const fields = [
+        { propertyName: "hidden", validators: [hiddenValidator], isShowing: false, value: "" },
+      ];
+      const { validateFormAsync } = useFormValidation(fields);
+
+      const isValid = await validateFormAsync({ hidden: "x" });
+
+      expect(isValid).toBe(true);
+      expect(hiddenValidator).not.toHaveBeenCalled();
+    });
+  });
 });
 // --- END ASYNC VALIDATION TESTS ---
+
+describe("useFormValidation - Field metadata", () => {
+  it("stores values reported through ctx.setMeta per field path", async () => {
+    const reportBrand = (value, label, field, ctx) => {
+      ctx.setMeta("cardBrand", value.startsWith("4") ? "visa" : null);
+      return true;
+    };
+    const fields = [
+      {
+        type: "list",
+        propertyName: "cards",
+        fields: [{ propertyName: "number", validators: [reportBrand] }],
+      },
+    ];
+    const { validateField, removeItem, formFieldsValues, formFieldsMeta } =
+      useFormValidation(fields);
+    formFieldsValues.cards = [{ number: "5500" }, { number: "4111" }];
+
+    await validateField("cards[0].number", "5500", formFieldsValues);
+    await validateField("cards[1].number", "4111", formFieldsValues);
+    expect(formFieldsMeta["cards[0].number"]).toEqual({ cardBrand: null });
+    expect(formFieldsMeta["cards[1].number"]).toEqual({ cardBrand: "visa" });
+
+    removeItem("cards", 0);
+    expect(formFieldsMeta["cards[0].number"]).toEqual({ cardBrand: "visa" });
+    expect(formFieldsMeta["cards[1].number"]).toBeUndefined();
+  });
+});
+
+describe("useFormValidation - Custom rules", () => {
+  afterEach(() => {
+    removeDefinedRule();
+    vi.restoreAllMocks();
+  });
+
+  it("resolves rules from defineRule, then the form's rules, then built-ins", async () => {
+    defineRule("isVatNumber", (value) => /^DE\d{9}$/.test(value), {
+      message: "{label} is not a VAT number.",
+    });
+    const fields = [
+      { propertyName: "vat", label: "VAT", rules: ["isVatNumber"] },
+      { propertyName: "code", label: "Code", rules: ["isEven"] },
+      { propertyName: "email", label: "Email", rules: ["isEmail"] },
+    ];
+    const { validateField, formFieldsErrorMessages } = useFormValidation(
+      fields,
+      {
+        rules: {
+          isVatNumber: () => "form rule should be shadowed",
+          isEven: { validate: (v) => v % 2 === 0, message: "{label} is odd." },
+          isEmail: () => "form rule wins over built-in",
+        },
+      }
+    );
+
+    await validateField("vat", "DE12", {});
+    expect(formFieldsErrorMessages.vat).toBe("VAT is not a VAT number.");
+    await validateField("code", 3, {});
+    expect(formFieldsErrorMessages.code).toBe("Code is odd.");
+    await validateField("email", "a@b.c", {});
+    expect(formFieldsErrorMessages.email).toBe("form rule wins over built-in");
+    expect(Validation.isEmail).not.toHaveBeenCalled();
+  });
+
+  it("warns about unknown rule names", async () => {
+    const warn = vi.spyOn(console, "warn").mockImplementation(() => {});
+    const { validateField, formFieldsValidity } = useFormValidation([
+      { propertyName: "vat", rules: ["isVatNumbr"] },
+    ]);
+
+    await validateField("vat", "DE12", {});
+    expect(warn).toHaveBeenCalledWith(
+      expect.stringContaining('Unknown validation rule "isVatNumbr"')
+    );
+    expect(formFieldsValidity.vat).toBeUndefined();
+  });
+});
+
+describe("useFormValidation - Locale", () => {
+  it("translates rule messages and re-translates them when the locale changes", async () => {
+    const locale = ref("en");
+    const {
+      validateField,
+      validateFormPurely,
+      formFieldsErrorMessages,
+      formErrors,
+    } = useFormValidation(
+      [{ propertyName: "code", label: "Code", rules: ["isEven"] }],
+      {
+        locale,
+        rules: { isEven: { validate: (value) => value % 2 === 0 } },
+        formValidators: [() => false],
+      }
+    );
+
+    await validateField("code", 3, {});
+    validateFormPurely({ code: 3 });
+    expect(formFieldsErrorMessages.code).toBe("Field Code is not valid.");
+    expect(formErrors.value).toEqual(["Form is invalid."]);
+
+    locale.value = "de";
+    await nextTick();
+    expect(formFieldsErrorMessages.code).toBe("Das Feld Code ist ungültig.");
+    expect(formErrors.value).toEqual(["Das Formular ist ungültig."]);
+
+    await validateField("code", 5, {});
+    expect(formFieldsErrorMessages.code).toBe("Das Feld Code ist ungültig.");
+  });
+
+  it("translates the error reported when a validator throws", async () => {
+    const consoleErrorSpy = vi
+      .spyOn(console, "error")
+      .mockImplementation(() => {});
+    const { validateField, formFieldsErrorMessages } = useFormValidation(
+      [
+        {
+          propertyName: "code",
+          label: "Code",
+          validators: [
+            () => {
+              throw new Error();
+            },
+          ],
+        },
+      ],
+      { locale: "de" }
+    );
+
+    await validateField("code", "A-1", {});
+
+    expect(formFieldsErrorMessages.code).toBe(
+      "Die Prüfung von Code ist fehlgeschlagen."
+    );
+    consoleErrorSpy.mockRestore();
+  });
+});
+
+describe("useFormValidation - Schema adapter", () => {
+  // A fake Zod-like schema: `safeParse` returns the issues with array paths.
+  const userSchema = {
+    safeParse(model) {
+      const issues = [];
+      if (!model.name || model.name.length < 2) {
+        issues.push({ path: ["name"], message: "Name is too short" });
+      }
+      (model.contacts || []).forEach((contact, index) => {
+        if (!/@/.test(contact.email)) {
+          issues.push({
+            path: ["contacts", index, "email"],
+            message: "Bad email",
+          });
+        }
+      });
+      if (model.name === model.contacts?.[0]?.email) {
+        issues.push({ path: [], message: "Name and email must differ" });
+      }
+      return issues.length
+        ? { success: false, error: { issues } }
+        : { success: true, data: model };
+    },
+  };
+
+  const getFields = () => [
+    { propertyName: "name" },
+    {
+      propertyName: "contacts",
+      type: "list",
+      fields: [{ propertyName: "email" }],
+    },
+  ];
+
+  it("applies only the blurred field's issues before the form is validated", async () => {
+    const model = reactive({ name: "A", contacts: [{ email: "nope" }] });
+    const { triggerValidation, formFieldsErrorMessages, formFieldsValidity } =
+      useFormValidation(getFields(), { schema: zodAdapter(userSchema) });
+
+    triggerValidation("contacts[0].email", "blur", model);
+    await nextTick();
+    await nextTick();
+
+    expect(formFieldsErrorMessages["contacts[0].email"]).toBe("Bad email");
+    expect(formFieldsValidity["contacts[0].email"]).toBe(false);
+    expect(formFieldsErrorMessages.name).toBeUndefined();
+
+    model.contacts[0].email = "ann@example.com";
+    triggerValidation("contacts[0].email", "blur", model);
+    await nextTick();
+    await nextTick();
+    expect(formFieldsErrorMessages["contacts[0].email"]).toBeUndefined();
+    expect(formFieldsValidity["contacts[0].email"]).toBeUndefined();
+  });
+
+  it("blocks form validation with issues at their paths and form-wide issues", async () => {
+    const { validateFormAsync, formFieldsErrorMessages, formErrors } =
+      useFormValidation(getFields(), { schema: zodAdapter(userSchema) });
+
+    const isValid = await validateFormAsync({
+      name: "x@y",
+      contacts: [{ email: "x@y" }, { email: "bad" }],
+    });
+
+    expect(isValid).toBe(false);
+    expect(formFieldsErrorMessages["contacts[1].email"]).toBe("Bad email");
+    expect(formFieldsErrorMessages.name).toBeUndefined();
+    expect(formErrors.value).toEqual(["Name and email must differ"]);
+
+    expect(
+      await validateFormAsync({ name: "Ann", contacts: [{ email: "a@b.c" }] })
+    ).toBe(true);
+    expect(formFieldsErrorMessages["contacts[1].email"]).toBeUndefined();
+    expect(formErrors.value).toEqual([]);
+  });
+
+  it("validates only the given fields with validateFieldsAsync", async () => {
+    const fields = getFields();
+    fields[0].rules = ["isRequired"];
+    const { validateFieldsAsync, formFieldsErrorMessages, formFieldsValidity } =
+      useFormValidation(fields, { schema: zodAdapter(userSchema) });
+    const model = { name: "", contacts: [{ email: "bad" }] };
+
+    expect(await validateFieldsAsync([fields[1]], model)).toBe(false);
+    expect(formFieldsErrorMessages["contacts[0].email"]).toBe("Bad email");
+    expect(formFieldsValidity.name).toBeUndefined();
+
+    model.contacts[0].email = "a@b.c";
+    expect(await validateFieldsAsync([fields[1]], model)).toBe(true);
+    expect(formFieldsErrorMessages["contacts[0].email"]).toBeUndefined();
+
+    expect(await validateFieldsAsync([fields[0]], model)).toBe(false);
+    expect(formFieldsValidity.name).toBe(false);
+  });
+});
+
+describe("useFormValidation - showIf conditions", () => {
+  const getFields = () => [
+    { propertyName: "country" },
+    {
+      propertyName: "state",
+      rules: ["isRequired"],
+      showIf: { field: "country", op: "in", value: ["US", "CA"] },
+    },
+    {
+      propertyName: "contacts",
+      type: "list",
+      fields: [
+        { propertyName: "type" },
+        {
+          propertyName: "email",
+          rules: ["isRequired"],
+          showIf: { field: "./type", value: "email" },
+        },
+      ],
+    },
+  ];
+
+  it("skips validation of fields whose condition is not met", () => {
+    const { validateFormPurely, formFieldsValidity } =
+      useFormValidation(getFields());
+
+    expect(validateFormPurely({ country: "DE", state: "", contacts: [] })).toBe(
+      true
+    );
+    expect(formFieldsValidity.state).toBeUndefined();
+
+    expect(validateFormPurely({ country: "US", state: "", contacts: [] })).toBe(
+      false
+    );
+    expect(formFieldsValidity.state).toBe(false);
+  });
+
+  it("resolves relative paths within the list item", () => {
+    const { validateFormPurely, formFieldsValidity } =
+      useFormValidation(getFields());
+
+    const isValid = validateFormPurely({
+      country: "DE",
+      contacts: [
+        { type: "phone", email: "" },
+        { type: "email", email: "" },
+      ],
+    });
+
+    expect(isValid).toBe(false);
+    expect(formFieldsValidity["contacts[0].email"]).toBeUndefined();
+    expect(formFieldsValidity["contacts[1].email"]).toBe(false);
+  });
+
+  it("treats a hidden field as valid in validateField", async () => {
+    const { validateField, formFieldsValidity } =
+      useFormValidation(getFields());
+
+    expect(await validateField("state", "", { country: "DE" })).toBe(true);
+    expect(formFieldsValidity.state).toBeUndefined();
+  });
+});
+
+describe("useFormValidation - Clearing field state", () => {
+  it("clears validation, touched and dirty state of a field and its nested fields", () => {
+    const {
+      validateFormPurely,
+      setFieldTouched,
+      checkFieldDirty,
+      clearFieldState,
+      formFieldsValidity,
+      formFieldsErrorMessages,
+      formFieldsTouchedState,
+      formFieldsDirtyState,
+    } = useFormValidation([
+      {
+        propertyName: "contacts",
+        type: "list",
+        fields: [{ propertyName: "email", rules: ["isRequired"] }],
+      },
+      { propertyName: "name", rules: ["isRequired"] },
+    ]);
+
+    validateFormPurely({ contacts: [{ email: "" }], name: "" });
+    setFieldTouched("contacts[0].email", true);
+    checkFieldDirty("contacts[0].email", "x");
+    setFieldTouched("name", true);
+
+    clearFieldState("contacts");
+
+    expect(formFieldsValidity["contacts[0].email"]).toBeUndefined();
+    expect(formFieldsErrorMessages["contacts[0].email"]).toBeUndefined();
+    expect(formFieldsTouchedState["contacts[0].email"]).toBe(false);
+    expect(formFieldsDirtyState["contacts[0].email"]).toBe(false);
+    expect(formFieldsValidity.name).toBe(false);
+    expect(formFieldsTouchedState.name).toBe(true);
+  });
+
+  it("returns a copy of a field's initial value", () => {
+    const { updateFieldInitialValue, getFieldInitialValue } = useFormValidation(
+      [{ propertyName: "tags" }]
+    );
+
+    updateFieldInitialValue("tags", ["a"]);
+    const initial = getFieldInitialValue("tags");
+    initial.push("b");
+
+    expect(getFieldInitialValue("tags")).toEqual(["a"]);
+  });
+
+  it("validates by the fields set later and clears the state of removed ones", () => {
+    const { setFields, validateFormPurely, formFieldsValidity, errors } =
+      useFormValidation([{ propertyName: "name", label: "Name" }]);
+    const emailField = {
+      propertyName: "email",
+      label: "Email",
+      rules: ["isRequired"],
+    };
+
+    setFields([{ propertyName: "name", label: "Name" }, emailField]);
+    expect(validateFormPurely({ name: "Ada", email: "" })).toBe(false);
+    expect(formFieldsValidity.email).toBe(false);
+
+    setFields([{ propertyName: "name", label: "Name" }]);
+    expect(errors.value).toEqual({});
+    expect(validateFormPurely({ name: "Ada", email: "" })).toBe(true);
+  });
+
+  it("compares the fields of sub-forms and list items by their full path", () => {
+    const getFields = (addressFields, contactFields) => [
+      { subForm: "address", fields: addressFields },
+      {
+        propertyName: "contacts",
+        type: "list",
+        initialValue: [{ name: "Ada" }],
+        fields: contactFields,
+      },
+    ];
+    const cityField = { propertyName: "city", label: "City" };
+    const zipField = {
+      propertyName: "zip",
+      label: "Zip",
+      rules: ["isRequired"],
+    };
+    const nameField = { propertyName: "name", label: "Name" };
+    const emailField = {
+      propertyName: "email",
+      label: "Email",
+      rules: ["isRequired"],
+    };
+    const { setFields, validateFormPurely, formFieldsTouchedState, errors } =
+      useFormValidation(getFields([cityField], [nameField]));
+    const model = {
+      address: { city: "Sofia", zip: "" },
+      contacts: [{ name: "Ada", email: "" }],
+    };
+
+    setFields(getFields([cityField, zipField], [nameField, emailField]));
+    expect(formFieldsTouchedState["address.zip"]).toBe(false);
+    expect(formFieldsTouchedState["contacts[0].email"]).toBe(false);
+    expect(validateFormPurely(model)).toBe(false);
+    expect(errors.value).toEqual({
+      "address.zip": "Zip is required.",
+      "contacts[0].email": "Email is required.",
+    });
+
+    setFields(getFields([cityField], [nameField]));
+    expect(errors.value).toEqual({});
+    expect(validateFormPurely(model)).toBe(true);
+  });
+});
+
+describe("useFormValidation - Nested lists and sub-forms", () => {
+  const getFields = () => [
+    {
+      propertyName: "orders",
+      type: "list",
+      initialValue: [{ lines: [{ qty: "1" }] }],
+      fields: [
+        {
+          propertyName: "lines",
+          type: "list",
+          fields: [{ propertyName: "qty", rules: ["isRequired"], value: "" }],
+        },
+        {
+          subForm: "shipping",
+          fields: [{ propertyName: "city", rules: ["isRequired"], value: "" }],
+        },
+      ],
+    },
+  ];
+
+  it("initializes state for fields at any depth", () => {
+    const { formFieldsValues, formFieldsTouchedState } =
+      useFormValidation(getFields());
+
+    expect(formFieldsValues.orders[0].shipping).toEqual({ city: "" });
+    expect(formFieldsTouchedState["orders[0].lines[0].qty"]).toBe(false);
+    expect(formFieldsTouchedState["orders[0].shipping.city"]).toBe(false);
+  });
+
+  it("validates fields at any depth by their full path", () => {
+    const { validateFormPurely, formFieldsValidity } =
+      useFormValidation(getFields());
+
+    const isValid = validateFormPurely({
+      orders: [{ lines: [{ qty: "2" }, { qty: "" }], shipping: { city: "" } }],
+    });
+
+    expect(isValid).toBe(false);
+    expect(formFieldsValidity["orders[0].lines[0].qty"]).toBeUndefined();
+    expect(formFieldsValidity["orders[0].lines[1].qty"]).toBe(false);
+    expect(formFieldsValidity["orders[0].shipping.city"]).toBe(false);
+  });
+
+  it("tracks initial values and dirty state of nested fields", () => {
+    const { updateFieldInitialValue, getFieldInitialValue, checkFieldDirty } =
+      useFormValidation(getFields());
+
+    updateFieldInitialValue("orders[0].shipping.city", "Sofia");
+
+    expect(getFieldInitialValue("orders[0].shipping.city")).toBe("Sofia");
+    expect(checkFieldDirty("orders[0].shipping.city", "Varna")).toBe(true);
+  });
+
+  it("adds items to a nested list by its path, setting up state at any depth", () => {
+    const {
+      addItem,
+      formFieldsValues,
+      formFieldsTouchedState,
+      checkFieldDirty,
+    } = useFormValidation(getFields());
+
+    addItem("orders[0].lines", { qty: "3" });
+    addItem("orders", { lines: [{ qty: "" }], shipping: { city: "" } });
+
+    expect(Object.keys(formFieldsValues)).toEqual(["orders"]);
+    expect(formFieldsValues.orders[0].lines).toHaveLength(2);
+    expect(formFieldsValues.orders[0].lines[1]).toEqual({ qty: "3" });
+    expect(formFieldsTouchedState["orders[0].lines[1].qty"]).toBe(false);
+    expect(checkFieldDirty("orders[0].lines[1].qty", "3")).toBe(false);
+    expect(formFieldsTouchedState["orders[1].lines[0].qty"]).toBe(false);
+    expect(formFieldsTouchedState["orders[1].shipping.city"]).toBe(false);
+  });
+
+  it("creates new items with empty nested lists the list helpers can use", () => {
+    const { addItem, insertItem, moveItem, formFieldsValues } =
+      useFormValidation(getFields());
+
+    addItem("orders");
+    expect(formFieldsValues.orders[1]).toEqual({ lines: [], shipping: {} });
+
+    addItem("orders[1].lines", { qty: "1" });
+    insertItem("orders[1].lines", 0, { qty: "2" });
+    moveItem("orders[1].lines", 0, 1);
+
+    expect(formFieldsValues.orders[1].lines).toEqual([
+      { qty: "1" },
+      { qty: "2" },
+    ]);
+  });
+});
+
+describe("useFormValidation - Rearranging list items", () => {
+  const setup = (validators) => {
+    const validation = useFormValidation([
+      {
+        propertyName: "contacts",
+        type: "list",
+        fields: [
+          {
+            propertyName: "name",
+            label: "Name",
+            rules: ["isRequired"],
+            validators,
+          },
+        ],
+      },
+    ]);
+    ["Ada", "", "Grace"].forEach((name) =>
+      validation.addItem("contacts", { name })
+    );
+    return validation;
+  };
+
+  it("moves items with their values, state and initial values", () => {
+    const {
+      moveItem,
+      formFieldsValues,
+      validateFormPurely,
+      setFieldTouched,
+      checkFieldDirty,
+      formFieldsValidity,
+      formFieldsErrorMessages,
+      formFieldsTouchedState,
+    } = setup();
+    validateFormPurely(formFieldsValues);
+    setFieldTouched("contacts[1].name", true);
+
+    moveItem("contacts", 1, 0);
+
+    expect(formFieldsValues.contacts.map((item) => item.name)).toEqual([
+      "",
+      "Ada",
+      "Grace",
+    ]);
+    expect(formFieldsValidity["contacts[0].name"]).toBe(false);
+    expect(formFieldsErrorMessages["contacts[0].name"]).toBe(
+      "Name is required."
+    );
+    expect(formFieldsTouchedState["contacts[0].name"]).toBe(true);
+    expect(formFieldsValidity["contacts[1].name"]).toBeUndefined();
+    expect(formFieldsTouchedState["contacts[1].name"]).toBe(false);
+    expect(checkFieldDirty("contacts[1].name", "Ada")).toBe(false);
+  });
+
+  it("swaps items, inserts items at an index and duplicates items", () => {
+    const {
+      swapItems,
+      insertItem,
+      duplicateItem,
+      formFieldsValues,
+      validateFormPurely,
+      formFieldsValidity,
+    } = setup();
+    validateFormPurely(formFieldsValues);
+
+    swapItems("contacts", 1, 2);
+    expect(formFieldsValidity["contacts[2].name"]).toBe(false);
+
+    insertItem("contacts", 0, { name: "Linus" });
+    duplicateItem("contacts", 3);
+
+    expect(formFieldsValues.contacts.map((item) => item.name)).toEqual([
+      "Linus",
+      "Ada",
+      "Grace",
+      "",
+      "",
+    ]);
+    expect(formFieldsValidity["contacts[3].name"]).toBe(false);
+    // The copy starts without the original's state.
+    expect(formFieldsValidity["contacts[4].name"]).toBeUndefined();
+  });
+
+  it("keeps errors and touched state with their items through any sequence of changes", async () => {
+    const {
+      addItem,
+      removeItem,
+      moveItem,
+      formFieldsValues,
+      validateFormPurely,
+      validateField,
+      setFieldTouched,
+      formFieldsValidity,
+      formFieldsTouchedState,
+    } = setup();
+    validateFormPurely(formFieldsValues);
+    addItem("contacts", { name: "" });
+    await validateField("contacts[3].name", "", formFieldsValues);
+    setFieldTouched("contacts[3].name", true);
+
+    removeItem("contacts", 0);
+    moveItem("contacts", 2, 0);
+
+    expect(formFieldsValues.contacts.map((item) => item.name)).toEqual([
+      "",
+      "",
+      "Grace",
+    ]);
+    expect(formFieldsValidity["contacts[0].name"]).toBe(false);
+    expect(formFieldsTouchedState["contacts[0].name"]).toBe(true);
+    expect(formFieldsValidity["contacts[1].name"]).toBe(false);
+    expect(formFieldsTouchedState["contacts[1].name"]).toBe(false);
+    expect(formFieldsValidity["contacts[2].name"]).toBeUndefined();
+  });
+
+  it("drops the state of removed items and keeps that of the items after them", () => {
+    const {
+      removeItem,
+      formFieldsValues,
+      validateFormPurely,
+      formFieldsValidity,
+    } = setup();
+    validateFormPurely(formFieldsValues);
+
+    removeItem("contacts", 0);
+
+    expect(formFieldsValidity["contacts[0].name"]).toBe(false);
+    expect(formFieldsValidity["contacts[1].name"]).toBeUndefined();
+    expect(formFieldsValidity).not.toHaveProperty("contacts[2].name");
+  });
+
+  it("restarts a running async validation at the item's new path", async () => {
+    vi.useFakeTimers();
+    const validator = vi.fn(
+      (value, label, field, ctx) =>
+        new Promise((resolve) =>
+          setTimeout(() => resolve(`${ctx.fieldPath} is taken.`), 50)
+        )
+    );
+    const {
+      moveItem,
+      validateField,
+      formFieldsValues,
+      formFieldsPendingState,
+      formFieldsErrorMessages,
+    } = setup([validator]);
+
+    validateField("contacts[0].name", "Ada", formFieldsValues);
+    expect(formFieldsPendingState["contacts[0].name"]).toBe(true);
+
+    moveItem("contacts", 0, 2);
+    expect(formFieldsPendingState["contacts[2].name"]).toBe(true);
+    expect(formFieldsPendingState["contacts[0].name"]).toBeFalsy();
+
+    await vi.advanceTimersByTimeAsync(50);
+    expect(formFieldsPendingState["contacts[2].name"]).toBe(false);
+    expect(formFieldsErrorMessages["contacts[2].name"]).toBe(
+      "contacts[2].name is taken."
+    );
+    expect(formFieldsErrorMessages["contacts[0].name"]).toBeUndefined();
+    vi.useRealTimers();
+  });
+});
+
+describe("useFormValidation - List constraints", () => {
+  const getFields = (listOptions) => [
+    {
+      propertyName: "contacts",
+      label: "Contacts",
+      type: "list",
+      fields: [{ propertyName: "email", label: "Email" }],
+      ...listOptions,
+    },
+  ];
+
+  it("checks minItems and maxItems at the list path", () => {
+    const { validateFormPurely, formFieldsValidity, formFieldsErrorMessages } =
+      useFormValidation(getFields({ minItems: 1, maxItems: 2 }));
+
+    expect(validateFormPurely({ contacts: [] })).toBe(false);
+    expect(formFieldsErrorMessages.contacts).toBe(
+      "Field Contacts must contain at least 1 item."
+    );
+
+    const contact = { email: "a@b.c" };
+    expect(validateFormPurely({ contacts: [contact, contact, contact] })).toBe(
+      false
+    );
+    expect(formFieldsErrorMessages.contacts).toBe(
+      "Field Contacts must contain at most 2 items."
+    );
+
+    expect(validateFormPurely({ contacts: [contact] })).toBe(true);
+    expect(formFieldsValidity.contacts).toBeUndefined();
+  });
+
+  it("reports items with the same uniqueBy value", () => {
+    const { validateFormPurely, formFieldsErrorMessages } = useFormValidation(
+      getFields({ uniqueBy: "email" })
+    );
+
+    const isValid = validateFormPurely({
+      contacts: [{ email: "a@b.c" }, { email: "" }, { email: " A@B.C" }],
+    });
+
+    expect(isValid).toBe(false);
+    expect(formFieldsErrorMessages.contacts).toBe(
+      "Field Contacts must not contain two items with the same Email."
+    );
+    expect(
+      validateFormPurely({ contacts: [{ email: "a@b.c" }, { email: "" }] })
+    ).toBe(true);
+  });
+
+  it("passes the whole array to the list's rules and validators", async () => {
+    const hasPrimary = vi.fn((items) =>
+      items.some((item) => item.primary) ? true : "Pick a primary contact."
+    );
+    const { validateFormAsync, validateField, formFieldsErrorMessages } =
+      useFormValidation(getFields({ validators: [hasPrimary] }));
+    const contacts = [{ email: "a@b.c" }];
+
+    expect(await validateFormAsync({ contacts })).toBe(false);
+    expect(hasPrimary).toHaveBeenCalledWith(
+      contacts,
+      "Contacts",
+      expect.objectContaining({ propertyName: "contacts" }),
+      expect.any(Object)
+    );
+    expect(formFieldsErrorMessages.contacts).toBe("Pick a primary contact.");
+
+    const updated = [{ email: "a@b.c", primary: true }];
+    expect(
+      await validateField("contacts", updated, { contacts: updated })
+    ).toBe(true);
+    expect(formFieldsErrorMessages.contacts).toBeUndefined();
+  });
+
+  it("runs the list's synchronous validators in validateFormPurely too", () => {
+    const hasPrimary = (items) =>
+      items.some((item) => item.primary) ? true : "Pick a primary contact.";
+    const checkedLater = vi.fn(() => Promise.resolve("Checked later."));
+    const { validateFormPurely, formFieldsErrorMessages } = useFormValidation(
+      getFields({ validators: [checkedLater, hasPrimary] })
+    );
+
+    expect(validateFormPurely({ contacts: [{ email: "a@b.c" }] })).toBe(false);
+    expect(formFieldsErrorMessages.contacts).toBe("Pick a primary contact.");
+
+    expect(
+      validateFormPurely({ contacts: [{ email: "a@b.c", primary: true }] })
+    ).toBe(true);
+    expect(formFieldsErrorMessages.contacts).toBeUndefined();
+    expect(checkedLater).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe("useFormValidation - Resetting and reverting state", () => {
+  const getFields = () => [
+    {
+      propertyName: "name",
+      label: "Name",
+      value: "Ada",
+      rules: ["isRequired"],
+    },
+    {
+      subForm: "address",
+      fields: [{ propertyName: "city", label: "City", value: "Sofia" }],
+    },
+  ];
+
+  const edit = (state, path, value) => {
+    const [key, nested] = path.split(".");
+    if (nested) state.formFieldsValues[key][nested] = value;
+    else state.formFieldsValues[key] = value;
+    state.setFieldTouched(path, true);
+    state.checkFieldDirty(path, value);
+  };
+
+  it("lists dirty and touched fields and resets them", () => {
+    const state = useFormValidation(getFields());
+    edit(state, "name", "Grace");
+    edit(state, "address.city", "Varna");
+
+    expect(state.dirtyFields.value).toEqual(["name", "address.city"]);
+    expect(state.touchedFields.value).toEqual(["name", "address.city"]);
+    expect(state.isFormDirty.value).toBe(true);
+
+    state.resetTouched();
+    expect(state.isFormTouched.value).toBe(false);
+
+    state.resetDirty();
+    expect(state.isFormDirty.value).toBe(false);
+    // The saved values are the new baseline.
+    expect(state.getFieldInitialValue("address.city")).toBe("Varna");
+    expect(state.checkFieldDirty("address.city", "Sofia")).toBe(true);
+  });
+
+  it("reverts values and clears errors, touched and dirty flags", async () => {
+    const state = useFormValidation(getFields());
+    edit(state, "name", "");
+    edit(state, "address.city", "Varna");
+    await state.validateField("name", "", state.formFieldsValues);
+    expect(state.formFieldsValidity.name).toBe(false);
+
+    const reverted = state.revertChanges();
+
+    expect(reverted).toEqual({ name: "Ada", address: { city: "Sofia" } });
+    expect(state.formFieldsValues.address.city).toBe("Sofia");
+    expect(state.formFieldsValidity.name).toBeUndefined();
+    expect(state.dirtyFields.value).toEqual([]);
+    expect(state.touchedFields.value).toEqual([]);
+  });
+
+  it("returns a given model reverted without changing it", () => {
+    const state = useFormValidation(getFields());
+    const model = { name: "Grace", address: { city: "Varna" }, note: "kept" };
+
+    expect(state.revertChanges(model)).toEqual({
+      name: "Ada",
+      address: { city: "Sofia" },
+      note: "kept",
+    });
+    expect(model.name).toBe("Grace");
+  });
+
+  it("discards async validations that were running when reverted", async () => {
+    vi.useFakeTimers();
+    const state = useFormValidation([
+      {
+        propertyName: "name",
+        label: "Name",
+        validators: [
+          () =>
+            new Promise((resolve) => setTimeout(() => resolve("Taken."), 50)),
+        ],
+      },
+    ]);
+    state.validateField("name", "Ada", { name: "Ada" });
+    expect(state.formFieldsPendingState.name).toBe(true);
+
+    state.revertChanges();
+    await vi.advanceTimersByTimeAsync(50);
+
+    expect(state.formFieldsPendingState.name).toBe(false);
+    expect(state.formFieldsErrorMessages.name).toBeUndefined();
+    vi.useRealTimers();
+  });
+
+  it("returns a frozen snapshot of values and state", async () => {
+    const state = useFormValidation(getFields());
+    edit(state, "name", "");
+    await state.validateField("name", "", state.formFieldsValues);
+
+    const snapshot = state.getState();
+
+    expect(snapshot).toMatchObject({
+      values: { name: "", address: { city: "Sofia" } },
+      initialValues: { name: "Ada", address: { city: "Sofia" } },
+      isDirty: true,
+      isTouched: true,
+      isPending: false,
+      dirtyFields: ["name"],
+      touchedFields: ["name"],
+      pendingFields: [],
+      errors: { name: "Name is required." },
+      formErrors: [],
+    });
+    expect(Object.isFrozen(snapshot.values.address)).toBe(true);
+    expect(Object.isFrozen(snapshot.dirtyFields)).toBe(true);
+  });
+});
+
+describe("useFormValidation - Setting errors", () => {
+  it("marks fields invalid and sets form-wide errors", async () => {
+    const {
+      setErrors,
+      validateField,
+      triggerValidation,
+      formFieldsValidity,
+      errors,
+      formErrors,
+    } = useFormValidation([
+      { propertyName: "email", label: "Email" },
+      { subForm: "address", fields: [{ propertyName: "zip" }] },
+    ]);
+
+    setErrors({
+      email: "Already registered.",
+      "address.zip": ["Unknown zip code."],
+      _form: "Please try again.",
+    });
+
+    expect(errors.value).toEqual({
+      email: "Already registered.",
+      "address.zip": ["Unknown zip code."],
+    });
+    expect(formErrors.value).toEqual(["Please try again."]);
+
+    // The error outlives validation until the field is edited.
+    await validateField("email", "new@example.com", {});
+    expect(formFieldsValidity.email).toBe(false);
+    triggerValidation("email", "input", { email: "new@example.com" });
+    expect(formFieldsValidity.email).toBeUndefined();
+  });
+
+  it("keeps sticky errors on edit until they are cleared", () => {
+    const { setFieldError, clearErrors, triggerValidation, errors } =
+      useFormValidation([
+        { propertyName: "email", label: "Email" },
+        { propertyName: "name", label: "Name" },
+      ]);
+
+    setFieldError("email", "Blocked domain.", { sticky: true });
+    setFieldError("name", "Reserved name.");
+    triggerValidation("email", "input", { email: "a@b.c" });
+    triggerValidation("name", "input", { name: "Ada" });
+    expect(errors.value).toEqual({ email: "Blocked domain." });
+
+    clearErrors(["email"]);
+    expect(errors.value).toEqual({});
+  });
+
+  it("returns the current errors in the shape setErrors accepts", async () => {
+    const { setErrors, getErrors, clearErrors, validateField } =
+      useFormValidation([
+        { propertyName: "email", label: "Email" },
+        { propertyName: "name", label: "Name" },
+      ]);
+
+    await validateField("name", "", {});
+    setErrors({ email: "Already registered.", _form: "Please try again." });
+    expect(getErrors()).toEqual({
+      name: "Name is required.",
+      email: "Already registered.",
+      _form: ["Please try again."],
+    });
+
+    clearErrors();
+    expect(getErrors()).toEqual({});
+  });
+});
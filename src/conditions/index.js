@@ -0,0 +1,136 @@
+import { isEmpty } from "../validation/helpers";
+
+/**
+ * Declarative conditions for a field's `showIf`. A condition is plain data, so it can be stored as
+ * JSON, e.g. in forms loaded from a CMS:
+ *
+ * - `{ field, op, value }` compares the value at `field` with `value` (`op` defaults to `eq`).
+ * - `{ and: [...] }`, `{ or: [...] }` and `{ not: condition }` combine conditions.
+ *
+ * `field` is a path from the form root (`country`, `address.country`, `contacts[0].type`).
+ * Paths starting with `./` or `../` are relative to the object holding the field: for a field
+ * of a list item, `./type` is a field of the same item and `../country` a field next to the list.
+ */
+
+const isBlank = (value) =>
+  isEmpty(value) || (Array.isArray(value) && value.length === 0);
+
+const toList = (value) => (Array.isArray(value) ? value : [value]);
+
+const OPERATORS = {
+  eq: (actual, expected) => actual === expected,
+  neq: (actual, expected) => actual !== expected,
+  in: (actual, expected) => toList(expected).includes(actual),
+  notIn: (actual, expected) => !toList(expected).includes(actual),
+  gt: (actual, expected) => !isBlank(actual) && actual > expected,
+  gte: (actual, expected) => !isBlank(actual) && actual >= expected,
+  lt: (actual, expected) => !isBlank(actual) && actual < expected,
+  lte: (actual, expected) => !isBlank(actual) && actual <= expected,
+  contains: (actual, expected) =>
+    (Array.isArray(actual) || typeof actual === "string") &&
+    actual.includes(expected),
+  matches: (actual, expected) =>
+    typeof actual === "string" && new RegExp(expected, "u").test(actual),
+  empty: (actual) => isBlank(actual),
+  notEmpty: (actual) => !isBlank(actual),
+};
+
+/** The names of the supported `op`s. */
+export const CONDITION_OPERATORS = Object.keys(OPERATORS);
+
+/**
+ * Splits a path like `contacts[0].email` or `contacts.0.email` into its keys.
+ * @param {string} path - The path.
+ * @returns {string[]} The keys, e.g. `["contacts", "0", "email"]`.
+ */
+const toKeys = (path) =>
+  path
+    .replace(/\[(\d+)\]/g, ".$1")
+    .split(".")
+    .filter((key) => key !== "");
+
+/**
+ * Resolves a condition path against the path of the field it belongs to.
+ * @param {string} path - The condition's `field`, absolute or starting with `./` / `../`.
+ * @param {string} [fieldPath] - The path of the field whose condition it is, e.g. `contacts[0].email`.
+ * @returns {string[]} The keys of the resolved path from the form root.
+ */
+export function resolveConditionPath(path, fieldPath = "") {
+  if (!path.startsWith("./") && !path.startsWith("../")) {
+    return toKeys(path);
+  }
+  // Start from the object holding the field; for a list item field that is the item.
+  const base = fieldPath.split(".").slice(0, -1);
+  let rest = path;
+  if (rest.startsWith("./")) rest = rest.slice(2);
+  while (rest.startsWith("../")) {
+    base.pop();
+    rest = rest.slice(3);
+  }
+  return [...toKeys(base.join(".")), ...toKeys(rest)];
+}
+
+/**
+ * Reads the value at a path of the form model, e.g. for a field's `dependsOn` paths.
+ * @param {Object} model - The form's root model.
+ * @param {string} path - The path, absolute or starting with `./` / `../` (see `resolveConditionPath`).
+ * @param {string} [fieldPath] - The path of the field the path belongs to, for relative paths.
+ * @returns {any} The value, or undefined if the path does not exist.
+ */
+export function getValueAtPath(model, path, fieldPath = "") {
+  return resolveConditionPath(path, fieldPath).reduce(
+    (current, key) =>
+      current === null || current === undefined ? undefined : current[key],
+    model
+  );
+}
+
+/**
+ * Checks whether a value is a declarative condition (rather than a boolean, ref or function).
+ * @param {any} value - The value to check.
+ * @returns {boolean} True for condition objects.
+ */
+export function isCondition(value) {
+  return (
+    !!value &&
+    typeof value === "object" &&
+    ("field" in value || "and" in value || "or" in value || "not" in value)
+  );
+}
+
+/**
+ * Evaluates a declarative condition against the form model.
+ * @param {Object} condition - The condition, e.g. `{ field: "country", op: "in", value: ["US", "CA"] }`.
+ * @param {Object} model - The form's root model.
+ * @param {string} [fieldPath] - The path of the field the condition belongs to, for relative paths.
+ * @returns {boolean} True if the condition is met.
+ * @throws {Error} If the condition has an unknown `op` or no `field`, `and`, `or` or `not`.
+ */
+export function evaluateCondition(condition, model, fieldPath = "") {
+  if (Array.isArray(condition.and)) {
+    return condition.and.every((part) =>
+      evaluateCondition(part, model, fieldPath)
+    );
+  }
+  if (Array.isArray(condition.or)) {
+    return condition.or.some((part) =>
+      evaluateCondition(part, model, fieldPath)
+    );
+  }
+  if (condition.not) {
+    return !evaluateCondition(condition.not, model, fieldPath);
+  }
+  if (typeof condition.field !== "string") {
+    throw new Error(
+      `Invalid condition ${JSON.stringify(condition)}: expected "field", "and", "or" or "not".`
+    );
+  }
+  const op = condition.op || "eq";
+  if (!OPERATORS[op]) {
+    throw new Error(
+      `Unknown condition operator "${op}". Supported: ${CONDITION_OPERATORS.join(", ")}.`
+    );
+  }
+  const actual = getValueAtPath(model, condition.field, fieldPath);
+  return OPERATORS[op](actual, condition.value);
+}
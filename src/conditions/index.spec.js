@@ -0,0 +1,133 @@
+import { describe, it, expect } from "vitest";
+import { evaluateCondition, resolveConditionPath, isCondition } from "./index";
+
+describe("evaluateCondition", () => {
+  const model = {
+    country: "US",
+    age: 17,
+    tags: ["vip"],
+    note: "  ",
+    contacts: [
+      { type: "phone", value: "123" },
+      { type: "email", value: "" },
+    ],
+  };
+
+  it("compares with eq by default and supports the other operators", () => {
+    expect(evaluateCondition({ field: "country", value: "US" }, model)).toBe(
+      true
+    );
+    expect(
+      evaluateCondition({ field: "country", op: "neq", value: "US" }, model)
+    ).toBe(false);
+    expect(
+      evaluateCondition(
+        { field: "country", op: "in", value: ["US", "CA"] },
+        model
+      )
+    ).toBe(true);
+    expect(
+      evaluateCondition({ field: "country", op: "notIn", value: ["CA"] }, model)
+    ).toBe(true);
+    expect(
+      evaluateCondition({ field: "age", op: "gte", value: 18 }, model)
+    ).toBe(false);
+    expect(
+      evaluateCondition({ field: "age", op: "lt", value: 18 }, model)
+    ).toBe(true);
+    expect(
+      evaluateCondition({ field: "tags", op: "contains", value: "vip" }, model)
+    ).toBe(true);
+    expect(
+      evaluateCondition({ field: "country", op: "matches", value: "^U" }, model)
+    ).toBe(true);
+    expect(evaluateCondition({ field: "note", op: "empty" }, model)).toBe(true);
+    expect(evaluateCondition({ field: "missing", op: "notEmpty" }, model)).toBe(
+      false
+    );
+  });
+
+  it("does not treat empty values as comparable numbers", () => {
+    expect(
+      evaluateCondition({ field: "missing", op: "lt", value: 5 }, model)
+    ).toBe(false);
+  });
+
+  it("combines conditions with and, or and not", () => {
+    const condition = {
+      or: [
+        {
+          and: [
+            { field: "country", value: "US" },
+            { not: { field: "age", op: "lt", value: 18 } },
+          ],
+        },
+        { field: "tags", op: "contains", value: "vip" },
+      ],
+    };
+    expect(evaluateCondition(condition, model)).toBe(true);
+    expect(evaluateCondition(condition, { ...model, tags: [] })).toBe(false);
+  });
+
+  it("reads list items by absolute and relative paths", () => {
+    expect(
+      evaluateCondition({ field: "contacts[1].type", value: "email" }, model)
+    ).toBe(true);
+    expect(
+      evaluateCondition(
+        { field: "./type", value: "phone" },
+        model,
+        "contacts[0].value"
+      )
+    ).toBe(true);
+    expect(
+      evaluateCondition(
+        { field: "../country", value: "US" },
+        model,
+        "contacts[1].value"
+      )
+    ).toBe(true);
+  });
+
+  it("throws on unknown operators and malformed conditions", () => {
+    expect(() =>
+      evaluateCondition({ field: "country", op: "like" }, model)
+    ).toThrow('Unknown condition operator "like"');
+    expect(() => evaluateCondition({ value: 1 }, model)).toThrow(
+      "Invalid condition"
+    );
+  });
+});
+
+describe("resolveConditionPath", () => {
+  it("resolves relative paths from the object holding the field", () => {
+    expect(resolveConditionPath("./type", "orders[2].lines[0].qty")).toEqual([
+      "orders",
+      "2",
+      "lines",
+      "0",
+      "type",
+    ]);
+    expect(resolveConditionPath("../vat", "orders[2].lines[0].qty")).toEqual([
+      "orders",
+      "2",
+      "vat",
+    ]);
+    expect(resolveConditionPath("../../vat", "orders[2].lines[0].qty")).toEqual(
+      ["vat"]
+    );
+    expect(resolveConditionPath("address.zip", "contacts[0].email")).toEqual([
+      "address",
+      "zip",
+    ]);
+  });
+});
+
+describe("isCondition", () => {
+  it("recognizes condition objects only", () => {
+    expect(isCondition({ field: "a" })).toBe(true);
+    expect(isCondition({ not: { field: "a" } })).toBe(true);
+    expect(isCondition({ value: true })).toBe(false);
+    expect(isCondition(true)).toBe(false);
+  });
+});
@@ -0,0 +1,132 @@
+import { ref } from "vue";
+import en from "./locales/en";
+import de from "./locales/de";
+import fr from "./locales/fr";
+import es from "./locales/es";
+import bg from "./locales/bg";
+
+/**
+ * Message catalogs and translation. Rules return message descriptors (`message(key, params)`)
+ * instead of finished text; the form translates them for its locale and re-translates
+ * existing errors when the locale changes.
+ *
+ * A catalog maps keys to templates. A template is a string with `{param}` placeholders,
+ * an object of plural forms (`{ one, other, ... }`, chosen by `params.count` with
+ * `Intl.PluralRules`), or a function `(params) => string`.
+ */
+
+/** Locale used when a key is missing from the requested locale's catalog. */
+export const DEFAULT_LOCALE = "en";
+
+/** @type {Object<string, Object<string, string|Object|Function>>} */
+const catalogs = { en, de, fr, es, bg };
+
+const activeLocale = ref(DEFAULT_LOCALE);
+
+/**
+ * A translatable message: a catalog key plus its parameters.
+ * Converting it to a string translates it for the active locale.
+ */
+export class ValidationMessage {
+  /**
+   * @param {string} key - The catalog key.
+   * @param {Object} [params] - Values for the template's placeholders.
+   */
+  constructor(key, params = {}) {
+    this.key = key;
+    this.params = params;
+  }
+
+  toString() {
+    return translate(this);
+  }
+}
+
+/**
+ * Creates a message descriptor.
+ * @param {string} key - The catalog key, e.g. `"required"`.
+ * @param {Object} [params] - Values for the template's placeholders, e.g. `{ label: "Name" }`.
+ * @returns {ValidationMessage} The message descriptor.
+ */
+export function message(key, params) {
+  return new ValidationMessage(key, params);
+}
+
+/**
+ * @param {any} value - The value to check.
+ * @returns {boolean} True if the value is a message descriptor.
+ */
+export function isMessage(value) {
+  return value instanceof ValidationMessage;
+}
+
+/**
+ * Returns the active app-wide locale. Reactive when read inside a computed or render.
+ * @returns {string} The locale, e.g. `"en"`.
+ */
+export function getLocale() {
+  return activeLocale.value;
+}
+
+/**
+ * Sets the app-wide locale used by forms without a `locale` prop.
+ * @param {string} locale - The locale, e.g. `"de"` or `"de-AT"`.
+ */
+export function setLocale(locale) {
+  activeLocale.value = locale || DEFAULT_LOCALE;
+}
+
+/**
+ * Adds a catalog or overrides messages in an existing one.
+ * @param {string} locale - The locale, e.g. `"it"`.
+ * @param {Object<string, string|Object|Function>} messages - Templates by key.
+ */
+export function registerMessages(locale, messages) {
+  catalogs[locale] = { ...(catalogs[locale] || {}), ...messages };
+}
+
+/** Finds a template: exact locale, then its language (`de` for `de-AT`), then the default locale. */
+const findTemplate = (key, locale) => {
+  const candidates = [locale, String(locale).split("-")[0], DEFAULT_LOCALE];
+  for (const candidate of candidates) {
+    const catalog = catalogs[candidate];
+    if (catalog && catalog[key] !== undefined) return catalog[key];
+  }
+  return undefined;
+};
+
+const formatParam = (value, locale) => {
+  if (Array.isArray(value)) {
+    return value.map((item) => formatParam(item, locale)).join(", ");
+  }
+  return String(translate(value, locale));
+};
+
+/**
+ * Translates a message descriptor (or an array of them) for a locale. Strings and other
+ * values are returned unchanged, so custom messages pass through as they are.
+ * Parameters that are themselves descriptors are translated too; arrays are joined with ", ".
+ * @param {ValidationMessage|string|Array|any} value - What to translate.
+ * @param {string} [locale] - The locale; defaults to the active app-wide locale.
+ * @returns {string|Array|any} The translated text.
+ */
+export function translate(value, locale = activeLocale.value) {
+  if (Array.isArray(value)) return value.map((item) => translate(item, locale));
+  if (!isMessage(value)) return value;
+  const { key, params } = value;
+  let template = findTemplate(key, locale);
+  if (typeof template === "function") return template(params);
+  if (template && typeof template === "object") {
+    let category = "other";
+    try {
+      category = new Intl.PluralRules(locale).select(Number(params.count));
+    } catch (e) {
+      // Unknown locale tags fall back to the "other" form.
+    }
+    template = template[category] ?? template.other;
+  }
+  if (typeof template !== "string") return key;
+  return template.replace(/\{(\w+)\}/g, (placeholder, name) =>
+    params[name] !== undefined ? formatParam(params[name], locale) : placeholder
+  );
+}
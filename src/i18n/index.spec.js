@@ -0,0 +1,71 @@
+import { describe, it, expect, afterEach } from "vitest";
+import {
+  message,
+  isMessage,
+  translate,
+  setLocale,
+  getLocale,
+  registerMessages,
+  DEFAULT_LOCALE,
+} from "./index";
+
+describe("i18n", () => {
+  afterEach(() => {
+    setLocale(DEFAULT_LOCALE);
+  });
+
+  it("interpolates params into the template of the requested locale", () => {
+    const required = message("required", { label: "Name" });
+    expect(isMessage(required)).toBe(true);
+    expect(translate(required, "en")).toBe("Field Name is required.");
+    expect(translate(required, "de")).toBe("Das Feld Name ist erforderlich.");
+    expect(translate(required, "bg")).toBe("Полето Name е задължително.");
+  });
+
+  it("picks the plural form from params.count", () => {
+    expect(
+      translate(message("minLength", { label: "Pin", count: 1 }), "en")
+    ).toBe("Field Pin must be at least 1 character long.");
+    expect(
+      translate(message("minLength", { label: "Pin", count: 4 }), "en")
+    ).toBe("Field Pin must be at least 4 characters long.");
+  });
+
+  it("falls back to the language, then to English, then to the key", () => {
+    const required = message("required", { label: "Name" });
+    expect(translate(required, "de-AT")).toBe(
+      "Das Feld Name ist erforderlich."
+    );
+    expect(translate(required, "xx")).toBe("Field Name is required.");
+    expect(translate(message("noSuchKey"), "de")).toBe("noSuchKey");
+  });
+
+  it("translates nested descriptors and leaves plain values alone", () => {
+    const sameAs = message("sameAs", {
+      label: "Confirm",
+      other: message("otherField"),
+    });
+    expect(translate([sameAs, "Custom text"], "en")).toEqual([
+      "Field Confirm must match the other field.",
+      "Custom text",
+    ]);
+    expect(translate(true, "en")).toBe(true);
+    expect(translate(undefined, "en")).toBeUndefined();
+  });
+
+  it("registers catalogs and switches the active locale", () => {
+    registerMessages("it", {
+      required: "Il campo {label} è obbligatorio.",
+      decimalPlaces: (params) => `${params.label}: max ${params.count}`,
+    });
+    setLocale("it");
+
+    expect(getLocale()).toBe("it");
+    expect(String(message("required", { label: "Nome" }))).toBe(
+      "Il campo Nome è obbligatorio."
+    );
+    expect(
+      translate(message("decimalPlaces", { label: "Prezzo", count: 2 }))
+    ).toBe("Prezzo: max 2");
+  });
+});
@@ -0,0 +1,124 @@
+/** Bulgarian messages. */
+export default {
+  required: "Полето {label} е задължително.",
+  notValid: "Полето {label} не е валидно.",
+  invalid: "{label} не е валидно.",
+  validationFailed: "Проверката на {label} не бе успешна.",
+  formatInvalid: "Форматът на {label} не е валиден.",
+  invalidRuleConfig: "{label} има неправилно настроено правило за валидация.",
+  formInvalid: "Формата не е валидна.",
+  formValidationFailed: "Проверката на формата не бе успешна.",
+  string: "{label} трябва да е текст.",
+  oneOf: "Полето {label} трябва да е една от стойностите: {values}.",
+
+  email: "Полето {label} не е валиден имейл адрес.",
+  emailFallback: "{label} не е валиден имейл адрес.",
+  ipv4: "Полето {label} не е валиден IPv4 адрес.",
+  ipv6: "Полето {label} не е валиден IPv6 адрес.",
+  url: "Полето {label} не е валиден URL адрес.",
+  urlProtocol:
+    "Полето {label} трябва да използва някой от протоколите: {protocols}.",
+  e164Phone:
+    "Полето {label} трябва да е телефонен номер в международен формат, напр. +359888123456.",
+  postalCode: "Полето {label} не е валиден пощенски код.",
+  uuid: "Полето {label} не е валиден UUID.",
+  slug: "Полето {label} може да съдържа само малки латински букви, цифри и единични тирета.",
+  hexColor: "Полето {label} не е валиден шестнадесетичен цвят.",
+  cidr: "Полето {label} не е валиден CIDR блок.",
+  macAddress: "Полето {label} не е валиден MAC адрес.",
+  port: "Полето {label} трябва да е номер на порт между 1 и 65535.",
+
+  numeric: "Полето {label} трябва да е число.",
+  integer: "Полето {label} трябва да е цяло число.",
+  min: "Полето {label} трябва да е поне {min}.",
+  max: "Полето {label} трябва да е най-много {max}.",
+  between: "Полето {label} трябва да е между {min} и {max}.",
+  decimal: "Полето {label} трябва да е десетично число.",
+  decimalPlaces: {
+    one: "Полето {label} трябва да има най-много {count} знак след десетичната запетая.",
+    other:
+      "Полето {label} трябва да има най-много {count} знака след десетичната запетая.",
+  },
+  positive: "Полето {label} трябва да е положително число.",
+  greaterThan: "Полето {label} трябва да е по-голямо от {min}.",
+  lessThan: "Полето {label} трябва да е по-малко от {max}.",
+  multipleOf: "Полето {label} трябва да е кратно на {multiple}.",
+
+  minLength: {
+    one: "Полето {label} трябва да е дълго поне {count} символ.",
+    other: "Полето {label} трябва да е дълго поне {count} символа.",
+  },
+  maxLength: {
+    one: "Полето {label} трябва да е дълго най-много {count} символ.",
+    other: "Полето {label} трябва да е дълго най-много {count} символа.",
+  },
+  lengthBetween:
+    "Полето {label} трябва да е дълго между {min} и {max} символа.",
+  minItems: {
+    one: "Полето {label} трябва да съдържа поне {count} елемент.",
+    other: "Полето {label} трябва да съдържа поне {count} елемента.",
+  },
+  maxItems: {
+    one: "Полето {label} трябва да съдържа най-много {count} елемент.",
+    other: "Полето {label} трябва да съдържа най-много {count} елемента.",
+  },
+  itemsBetween:
+    "Полето {label} трябва да съдържа между {min} и {max} елемента.",
+  uniqueItems: "Полето {label} не трябва да съдържа повтарящи се елементи.",
+  duplicateItemValues:
+    "Полето {label} не трябва да съдържа два елемента с една и съща стойност на {field}.",
+
+  date: "Полето {label} трябва да е валидна дата.",
+  dateFormat: "Полето {label} трябва да е валидна дата във формат {format}.",
+  minDate: "Полето {label} трябва да е на или след {date}.",
+  maxDate: "Полето {label} трябва да е на или преди {date}.",
+  dateBetween: "Полето {label} трябва да е между {min} и {max}.",
+  rangeStart: "началото",
+  rangeEnd: "края",
+  time: "Полето {label} трябва да е валиден час (HH:mm).",
+  futureDate: "Полето {label} трябва да е в бъдещето.",
+  pastDate: "Полето {label} трябва да е в миналото.",
+  minAge: {
+    one: "Полето {label} трябва да е дата отпреди поне {count} година.",
+    other: "Полето {label} трябва да е дата отпреди поне {count} години.",
+  },
+
+  iban: "Полето {label} не е валиден IBAN.",
+  bic: "Полето {label} не е валиден BIC.",
+  creditCard: "Полето {label} не е валиден номер на карта.",
+  cardBrand: "Полето {label} трябва да е някоя от тези карти: {brands}.",
+  cvv: "Полето {label} трябва да е от 3 или 4 цифри.",
+  cvvLength: {
+    one: "Полето {label} трябва да е от {count} цифра.",
+    other: "Полето {label} трябва да е от {count} цифри.",
+  },
+  cardExpiry: "Полето {label} трябва да е валидна дата на изтичане (MM/ГГ).",
+  cardExpired: "Полето {label} е с изтекла валидност.",
+  vatNumber: "Полето {label} не е валиден ДДС номер.",
+
+  passwordStrength:
+    "Полето {label} трябва да отговаря на тези изисквания: {requirements}.",
+  passwordMinLength: {
+    one: "поне {count} символ",
+    other: "поне {count} символа",
+  },
+  passwordLowercase: "малка буква",
+  passwordUppercase: "главна буква",
+  passwordDigit: "цифра",
+  passwordSymbol: "специален символ",
+  passwordBlocklist: "да не е често използвана парола",
+  passwordNotContaining: "да не съдържа {field}",
+
+  sameAs: "Полето {label} трябва да съвпада с {other}.",
+  differentFrom: "Полето {label} трябва да се различава от {other}.",
+  before: "Полето {label} трябва да е преди {other}.",
+  after: "Полето {label} трябва да е след {other}.",
+  otherField: "другото поле",
+
+  addItem: "Добави {item}",
+  item: "елемент",
+  removeItem: "Премахни",
+  previousStep: "Назад",
+  nextStep: "Напред",
+  errorAnnouncement: "Моля, коригирайте маркираното поле",
+};
@@ -0,0 +1,125 @@
+/** German messages. */
+export default {
+  required: "Das Feld {label} ist erforderlich.",
+  notValid: "Das Feld {label} ist ungültig.",
+  invalid: "{label} ist ungültig.",
+  validationFailed: "Die Prüfung von {label} ist fehlgeschlagen.",
+  formatInvalid: "Das Format von {label} ist ungültig.",
+  invalidRuleConfig:
+    "Für {label} ist eine ungültige Validierungsregel konfiguriert.",
+  formInvalid: "Das Formular ist ungültig.",
+  formValidationFailed: "Die Prüfung des Formulars ist fehlgeschlagen.",
+  string: "{label} muss ein Text sein.",
+  oneOf: "Das Feld {label} muss einer dieser Werte sein: {values}.",
+
+  email: "Das Feld {label} ist keine gültige E-Mail-Adresse.",
+  emailFallback: "{label} ist keine gültige E-Mail-Adresse.",
+  ipv4: "Das Feld {label} ist keine gültige IPv4-Adresse.",
+  ipv6: "Das Feld {label} ist keine gültige IPv6-Adresse.",
+  url: "Das Feld {label} ist keine gültige URL.",
+  urlProtocol:
+    "Das Feld {label} muss eines dieser Protokolle verwenden: {protocols}.",
+  e164Phone:
+    "Das Feld {label} muss eine Telefonnummer im internationalen Format sein, z. B. +4930123456.",
+  postalCode: "Das Feld {label} ist keine gültige Postleitzahl.",
+  uuid: "Das Feld {label} ist keine gültige UUID.",
+  slug: "Das Feld {label} darf nur Kleinbuchstaben, Ziffern und einzelne Bindestriche enthalten.",
+  hexColor: "Das Feld {label} ist keine gültige Hex-Farbe.",
+  cidr: "Das Feld {label} ist kein gültiger CIDR-Block.",
+  macAddress: "Das Feld {label} ist keine gültige MAC-Adresse.",
+  port: "Das Feld {label} muss eine Portnummer zwischen 1 und 65535 sein.",
+
+  numeric: "Das Feld {label} muss eine Zahl sein.",
+  integer: "Das Feld {label} muss eine ganze Zahl sein.",
+  min: "Das Feld {label} muss mindestens {min} sein.",
+  max: "Das Feld {label} darf höchstens {max} sein.",
+  between: "Das Feld {label} muss zwischen {min} und {max} liegen.",
+  decimal: "Das Feld {label} muss eine Dezimalzahl sein.",
+  decimalPlaces: {
+    one: "Das Feld {label} darf höchstens {count} Nachkommastelle haben.",
+    other: "Das Feld {label} darf höchstens {count} Nachkommastellen haben.",
+  },
+  positive: "Das Feld {label} muss eine positive Zahl sein.",
+  greaterThan: "Das Feld {label} muss größer als {min} sein.",
+  lessThan: "Das Feld {label} muss kleiner als {max} sein.",
+  multipleOf: "Das Feld {label} muss ein Vielfaches von {multiple} sein.",
+
+  minLength: {
+    one: "Das Feld {label} muss mindestens {count} Zeichen lang sein.",
+    other: "Das Feld {label} muss mindestens {count} Zeichen lang sein.",
+  },
+  maxLength: {
+    one: "Das Feld {label} darf höchstens {count} Zeichen lang sein.",
+    other: "Das Feld {label} darf höchstens {count} Zeichen lang sein.",
+  },
+  lengthBetween:
+    "Das Feld {label} muss zwischen {min} und {max} Zeichen lang sein.",
+  minItems: {
+    one: "Das Feld {label} muss mindestens {count} Eintrag enthalten.",
+    other: "Das Feld {label} muss mindestens {count} Einträge enthalten.",
+  },
+  maxItems: {
+    one: "Das Feld {label} darf höchstens {count} Eintrag enthalten.",
+    other: "Das Feld {label} darf höchstens {count} Einträge enthalten.",
+  },
+  itemsBetween:
+    "Das Feld {label} muss zwischen {min} und {max} Einträge enthalten.",
+  uniqueItems: "Das Feld {label} darf keine doppelten Einträge enthalten.",
+  duplicateItemValues:
+    "Das Feld {label} darf keine zwei Einträge mit demselben Wert für {field} enthalten.",
+
+  date: "Das Feld {label} muss ein gültiges Datum sein.",
+  dateFormat:
+    "Das Feld {label} muss ein gültiges Datum im Format {format} sein.",
+  minDate: "Das Feld {label} darf nicht vor {date} liegen.",
+  maxDate: "Das Feld {label} darf nicht nach {date} liegen.",
+  dateBetween: "Das Feld {label} muss zwischen {min} und {max} liegen.",
+  rangeStart: "dem Anfang",
+  rangeEnd: "dem Ende",
+  time: "Das Feld {label} muss eine gültige Uhrzeit sein (HH:mm).",
+  futureDate: "Das Feld {label} muss in der Zukunft liegen.",
+  pastDate: "Das Feld {label} muss in der Vergangenheit liegen.",
+  minAge: {
+    one: "Das Feld {label} muss mindestens {count} Jahr zurückliegen.",
+    other: "Das Feld {label} muss mindestens {count} Jahre zurückliegen.",
+  },
+
+  iban: "Das Feld {label} ist keine gültige IBAN.",
+  bic: "Das Feld {label} ist keine gültige BIC.",
+  creditCard: "Das Feld {label} ist keine gültige Kartennummer.",
+  cardBrand: "Das Feld {label} muss eine dieser Karten sein: {brands}.",
+  cvv: "Das Feld {label} muss aus 3 oder 4 Ziffern bestehen.",
+  cvvLength: {
+    one: "Das Feld {label} muss aus {count} Ziffer bestehen.",
+    other: "Das Feld {label} muss aus {count} Ziffern bestehen.",
+  },
+  cardExpiry: "Das Feld {label} muss ein gültiges Ablaufdatum sein (MM/JJ).",
+  cardExpired: "Das Feld {label} ist abgelaufen.",
+  vatNumber: "Das Feld {label} ist keine gültige USt-IdNr.",
+
+  passwordStrength:
+    "Das Feld {label} muss diese Anforderungen erfüllen: {requirements}.",
+  passwordMinLength: {
+    one: "mindestens {count} Zeichen",
+    other: "mindestens {count} Zeichen",
+  },
+  passwordLowercase: "ein Kleinbuchstabe",
+  passwordUppercase: "ein Großbuchstabe",
+  passwordDigit: "eine Ziffer",
+  passwordSymbol: "ein Sonderzeichen",
+  passwordBlocklist: "kein häufig verwendetes Passwort",
+  passwordNotContaining: "enthält nicht {field}",
+
+  sameAs: "Das Feld {label} muss mit {other} übereinstimmen.",
+  differentFrom: "Das Feld {label} muss sich von {other} unterscheiden.",
+  before: "Das Feld {label} muss vor {other} liegen.",
+  after: "Das Feld {label} muss nach {other} liegen.",
+  otherField: "dem anderen Feld",
+
+  addItem: "{item} hinzufügen",
+  item: "Eintrag",
+  removeItem: "Entfernen",
+  previousStep: "Zurück",
+  nextStep: "Weiter",
+  errorAnnouncement: "Bitte korrigieren Sie das markierte Feld",
+};
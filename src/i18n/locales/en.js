@@ -0,0 +1,131 @@
+/** English messages. This is the default catalog; every key must be present here. */
+export default {
+  // Generic
+  required: "Field {label} is required.",
+  notValid: "Field {label} is not valid.",
+  invalid: "{label} is invalid.",
+  validationFailed: "{label} validation failed.",
+  formatInvalid: "{label} format is invalid.",
+  invalidRuleConfig: "{label} has an invalid validation rule configured.",
+  formInvalid: "Form is invalid.",
+  formValidationFailed: "Form validation failed.",
+  string: "{label} must be a string.",
+  oneOf: "Field {label} must be one of: {values}.",
+
+  // Formats and identifiers
+  email: "Field {label} is not a valid email address.",
+  emailFallback: "{label} is not a valid email.",
+  ipv4: "Field {label} is not a valid IPv4 address.",
+  ipv6: "Field {label} is not a valid IPv6 address.",
+  url: "Field {label} is not a valid URL.",
+  urlProtocol: "Field {label} must use one of the protocols: {protocols}.",
+  e164Phone:
+    "Field {label} must be a phone number in international format, e.g. +14155552671.",
+  postalCode: "Field {label} is not a valid postal code.",
+  uuid: "Field {label} is not a valid UUID.",
+  slug: "Field {label} may only contain lowercase letters, numbers and single hyphens.",
+  hexColor: "Field {label} is not a valid hex color.",
+  cidr: "Field {label} is not a valid CIDR block.",
+  macAddress: "Field {label} is not a valid MAC address.",
+  port: "Field {label} must be a port number between 1 and 65535.",
+
+  // Numbers
+  numeric: "Field {label} must be a number.",
+  integer: "Field {label} must be a whole number.",
+  min: "Field {label} must be at least {min}.",
+  max: "Field {label} must be at most {max}.",
+  between: "Field {label} must be between {min} and {max}.",
+  decimal: "Field {label} must be a decimal number.",
+  decimalPlaces: {
+    one: "Field {label} must be a number with at most {count} decimal place.",
+    other:
+      "Field {label} must be a number with at most {count} decimal places.",
+  },
+  positive: "Field {label} must be a positive number.",
+  greaterThan: "Field {label} must be greater than {min}.",
+  lessThan: "Field {label} must be less than {max}.",
+  multipleOf: "Field {label} must be a multiple of {multiple}.",
+
+  // Lengths
+  minLength: {
+    one: "Field {label} must be at least {count} character long.",
+    other: "Field {label} must be at least {count} characters long.",
+  },
+  maxLength: {
+    one: "Field {label} must be at most {count} character long.",
+    other: "Field {label} must be at most {count} characters long.",
+  },
+  lengthBetween:
+    "Field {label} must be between {min} and {max} characters long.",
+  minItems: {
+    one: "Field {label} must contain at least {count} item.",
+    other: "Field {label} must contain at least {count} items.",
+  },
+  maxItems: {
+    one: "Field {label} must contain at most {count} item.",
+    other: "Field {label} must contain at most {count} items.",
+  },
+  itemsBetween: "Field {label} must contain between {min} and {max} items.",
+  uniqueItems: "Field {label} must not contain duplicate items.",
+  duplicateItemValues:
+    "Field {label} must not contain two items with the same {field}.",
+
+  // Dates and times
+  date: "Field {label} must be a valid date.",
+  dateFormat: "Field {label} must be a valid date in the format {format}.",
+  minDate: "Field {label} must be on or after {date}.",
+  maxDate: "Field {label} must be on or before {date}.",
+  dateBetween: "Field {label} must be between {min} and {max}.",
+  rangeStart: "the start",
+  rangeEnd: "the end",
+  time: "Field {label} must be a valid time (HH:mm).",
+  futureDate: "Field {label} must be in the future.",
+  pastDate: "Field {label} must be in the past.",
+  minAge: {
+    one: "Field {label} must be a date at least {count} year ago.",
+    other: "Field {label} must be a date at least {count} years ago.",
+  },
+
+  // Financial identifiers
+  iban: "Field {label} is not a valid IBAN.",
+  bic: "Field {label} is not a valid BIC.",
+  creditCard: "Field {label} is not a valid card number.",
+  cardBrand: "Field {label} must be one of these cards: {brands}.",
+  cvv: "Field {label} must be 3 or 4 digits.",
+  cvvLength: {
+    one: "Field {label} must be {count} digit.",
+    other: "Field {label} must be {count} digits.",
+  },
+  cardExpiry: "Field {label} must be a valid expiry date (MM/YY).",
+  cardExpired: "Field {label} has expired.",
+  vatNumber: "Field {label} is not a valid VAT number.",
+
+  // Passwords
+  passwordStrength:
+    "Field {label} must meet these requirements: {requirements}.",
+  passwordMinLength: {
+    one: "at least {count} character",
+    other: "at least {count} characters",
+  },
+  passwordLowercase: "a lowercase letter",
+  passwordUppercase: "an uppercase letter",
+  passwordDigit: "a digit",
+  passwordSymbol: "a symbol",
+  passwordBlocklist: "not a commonly used password",
+  passwordNotContaining: "not containing the {field}",
+
+  // Cross-field rules
+  sameAs: "Field {label} must match {other}.",
+  differentFrom: "Field {label} must be different from {other}.",
+  before: "Field {label} must be before {other}.",
+  after: "Field {label} must be after {other}.",
+  otherField: "the other field",
+
+  // Form UI
+  addItem: "Add {item}",
+  item: "Item",
+  removeItem: "Remove",
+  previousStep: "Back",
+  nextStep: "Next",
+  errorAnnouncement: "Please correct the highlighted field",
+};
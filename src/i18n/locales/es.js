@@ -0,0 +1,123 @@
+/** Spanish messages. */
+export default {
+  required: "El campo {label} es obligatorio.",
+  notValid: "El campo {label} no es válido.",
+  invalid: "{label} no es válido.",
+  validationFailed: "La validación de {label} ha fallado.",
+  formatInvalid: "El formato de {label} no es válido.",
+  invalidRuleConfig: "{label} tiene una regla de validación mal configurada.",
+  formInvalid: "El formulario no es válido.",
+  formValidationFailed: "La validación del formulario ha fallado.",
+  string: "{label} debe ser un texto.",
+  oneOf: "El campo {label} debe ser uno de: {values}.",
+
+  email: "El campo {label} no es una dirección de correo válida.",
+  emailFallback: "{label} no es una dirección de correo válida.",
+  ipv4: "El campo {label} no es una dirección IPv4 válida.",
+  ipv6: "El campo {label} no es una dirección IPv6 válida.",
+  url: "El campo {label} no es una URL válida.",
+  urlProtocol:
+    "El campo {label} debe usar uno de estos protocolos: {protocols}.",
+  e164Phone:
+    "El campo {label} debe ser un número de teléfono en formato internacional, p. ej. +34912345678.",
+  postalCode: "El campo {label} no es un código postal válido.",
+  uuid: "El campo {label} no es un UUID válido.",
+  slug: "El campo {label} solo puede contener letras minúsculas, números y guiones simples.",
+  hexColor: "El campo {label} no es un color hexadecimal válido.",
+  cidr: "El campo {label} no es un bloque CIDR válido.",
+  macAddress: "El campo {label} no es una dirección MAC válida.",
+  port: "El campo {label} debe ser un número de puerto entre 1 y 65535.",
+
+  numeric: "El campo {label} debe ser un número.",
+  integer: "El campo {label} debe ser un número entero.",
+  min: "El campo {label} debe ser al menos {min}.",
+  max: "El campo {label} debe ser como máximo {max}.",
+  between: "El campo {label} debe estar entre {min} y {max}.",
+  decimal: "El campo {label} debe ser un número decimal.",
+  decimalPlaces: {
+    one: "El campo {label} debe tener como máximo {count} decimal.",
+    other: "El campo {label} debe tener como máximo {count} decimales.",
+  },
+  positive: "El campo {label} debe ser un número positivo.",
+  greaterThan: "El campo {label} debe ser mayor que {min}.",
+  lessThan: "El campo {label} debe ser menor que {max}.",
+  multipleOf: "El campo {label} debe ser un múltiplo de {multiple}.",
+
+  minLength: {
+    one: "El campo {label} debe tener al menos {count} carácter.",
+    other: "El campo {label} debe tener al menos {count} caracteres.",
+  },
+  maxLength: {
+    one: "El campo {label} debe tener como máximo {count} carácter.",
+    other: "El campo {label} debe tener como máximo {count} caracteres.",
+  },
+  lengthBetween: "El campo {label} debe tener entre {min} y {max} caracteres.",
+  minItems: {
+    one: "El campo {label} debe contener al menos {count} elemento.",
+    other: "El campo {label} debe contener al menos {count} elementos.",
+  },
+  maxItems: {
+    one: "El campo {label} debe contener como máximo {count} elemento.",
+    other: "El campo {label} debe contener como máximo {count} elementos.",
+  },
+  itemsBetween: "El campo {label} debe contener entre {min} y {max} elementos.",
+  uniqueItems: "El campo {label} no debe contener elementos duplicados.",
+  duplicateItemValues:
+    "El campo {label} no debe contener dos elementos con el mismo valor de {field}.",
+
+  date: "El campo {label} debe ser una fecha válida.",
+  dateFormat:
+    "El campo {label} debe ser una fecha válida con el formato {format}.",
+  minDate: "El campo {label} debe ser igual o posterior a {date}.",
+  maxDate: "El campo {label} debe ser igual o anterior a {date}.",
+  dateBetween: "El campo {label} debe estar entre {min} y {max}.",
+  rangeStart: "el inicio",
+  rangeEnd: "el final",
+  time: "El campo {label} debe ser una hora válida (HH:mm).",
+  futureDate: "El campo {label} debe estar en el futuro.",
+  pastDate: "El campo {label} debe estar en el pasado.",
+  minAge: {
+    one: "El campo {label} debe ser una fecha de hace al menos {count} año.",
+    other: "El campo {label} debe ser una fecha de hace al menos {count} años.",
+  },
+
+  iban: "El campo {label} no es un IBAN válido.",
+  bic: "El campo {label} no es un BIC válido.",
+  creditCard: "El campo {label} no es un número de tarjeta válido.",
+  cardBrand: "El campo {label} debe ser una de estas tarjetas: {brands}.",
+  cvv: "El campo {label} debe tener 3 o 4 dígitos.",
+  cvvLength: {
+    one: "El campo {label} debe tener {count} dígito.",
+    other: "El campo {label} debe tener {count} dígitos.",
+  },
+  cardExpiry:
+    "El campo {label} debe ser una fecha de caducidad válida (MM/AA).",
+  cardExpired: "El campo {label} ha caducado.",
+  vatNumber: "El campo {label} no es un número de IVA válido.",
+
+  passwordStrength:
+    "El campo {label} debe cumplir estos requisitos: {requirements}.",
+  passwordMinLength: {
+    one: "al menos {count} carácter",
+    other: "al menos {count} caracteres",
+  },
+  passwordLowercase: "una letra minúscula",
+  passwordUppercase: "una letra mayúscula",
+  passwordDigit: "un dígito",
+  passwordSymbol: "un símbolo",
+  passwordBlocklist: "no ser una contraseña común",
+  passwordNotContaining: "no contener {field}",
+
+  sameAs: "El campo {label} debe coincidir con {other}.",
+  differentFrom: "El campo {label} debe ser distinto de {other}.",
+  before: "El campo {label} debe ser anterior a {other}.",
+  after: "El campo {label} debe ser posterior a {other}.",
+  otherField: "el otro campo",
+
+  addItem: "Añadir {item}",
+  item: "elemento",
+  removeItem: "Eliminar",
+  previousStep: "Atrás",
+  nextStep: "Siguiente",
+  errorAnnouncement: "Corrija el campo resaltado",
+};
@@ -0,0 +1,123 @@
+/** French messages. */
+export default {
+  required: "Le champ {label} est obligatoire.",
+  notValid: "Le champ {label} n'est pas valide.",
+  invalid: "{label} n'est pas valide.",
+  validationFailed: "La validation de {label} a échoué.",
+  formatInvalid: "Le format de {label} n'est pas valide.",
+  invalidRuleConfig: "{label} a une règle de validation mal configurée.",
+  formInvalid: "Le formulaire n'est pas valide.",
+  formValidationFailed: "La validation du formulaire a échoué.",
+  string: "{label} doit être un texte.",
+  oneOf: "Le champ {label} doit être l'une de ces valeurs : {values}.",
+
+  email: "Le champ {label} n'est pas une adresse e-mail valide.",
+  emailFallback: "{label} n'est pas une adresse e-mail valide.",
+  ipv4: "Le champ {label} n'est pas une adresse IPv4 valide.",
+  ipv6: "Le champ {label} n'est pas une adresse IPv6 valide.",
+  url: "Le champ {label} n'est pas une URL valide.",
+  urlProtocol:
+    "Le champ {label} doit utiliser l'un de ces protocoles : {protocols}.",
+  e164Phone:
+    "Le champ {label} doit être un numéro de téléphone au format international, par ex. +33123456789.",
+  postalCode: "Le champ {label} n'est pas un code postal valide.",
+  uuid: "Le champ {label} n'est pas un UUID valide.",
+  slug: "Le champ {label} ne peut contenir que des lettres minuscules, des chiffres et des tirets simples.",
+  hexColor: "Le champ {label} n'est pas une couleur hexadécimale valide.",
+  cidr: "Le champ {label} n'est pas un bloc CIDR valide.",
+  macAddress: "Le champ {label} n'est pas une adresse MAC valide.",
+  port: "Le champ {label} doit être un numéro de port entre 1 et 65535.",
+
+  numeric: "Le champ {label} doit être un nombre.",
+  integer: "Le champ {label} doit être un nombre entier.",
+  min: "Le champ {label} doit être au moins {min}.",
+  max: "Le champ {label} doit être au plus {max}.",
+  between: "Le champ {label} doit être compris entre {min} et {max}.",
+  decimal: "Le champ {label} doit être un nombre décimal.",
+  decimalPlaces: {
+    one: "Le champ {label} doit avoir au plus {count} décimale.",
+    other: "Le champ {label} doit avoir au plus {count} décimales.",
+  },
+  positive: "Le champ {label} doit être un nombre positif.",
+  greaterThan: "Le champ {label} doit être supérieur à {min}.",
+  lessThan: "Le champ {label} doit être inférieur à {max}.",
+  multipleOf: "Le champ {label} doit être un multiple de {multiple}.",
+
+  minLength: {
+    one: "Le champ {label} doit contenir au moins {count} caractère.",
+    other: "Le champ {label} doit contenir au moins {count} caractères.",
+  },
+  maxLength: {
+    one: "Le champ {label} doit contenir au plus {count} caractère.",
+    other: "Le champ {label} doit contenir au plus {count} caractères.",
+  },
+  lengthBetween:
+    "Le champ {label} doit contenir entre {min} et {max} caractères.",
+  minItems: {
+    one: "Le champ {label} doit contenir au moins {count} élément.",
+    other: "Le champ {label} doit contenir au moins {count} éléments.",
+  },
+  maxItems: {
+    one: "Le champ {label} doit contenir au plus {count} élément.",
+    other: "Le champ {label} doit contenir au plus {count} éléments.",
+  },
+  itemsBetween: "Le champ {label} doit contenir entre {min} et {max} éléments.",
+  uniqueItems: "Le champ {label} ne doit pas contenir de doublons.",
+  duplicateItemValues:
+    "Le champ {label} ne doit pas contenir deux éléments avec la même valeur pour {field}.",
+
+  date: "Le champ {label} doit être une date valide.",
+  dateFormat: "Le champ {label} doit être une date valide au format {format}.",
+  minDate: "Le champ {label} doit être le {date} ou après.",
+  maxDate: "Le champ {label} doit être le {date} ou avant.",
+  dateBetween: "Le champ {label} doit être compris entre {min} et {max}.",
+  rangeStart: "le début",
+  rangeEnd: "la fin",
+  time: "Le champ {label} doit être une heure valide (HH:mm).",
+  futureDate: "Le champ {label} doit être dans le futur.",
+  pastDate: "Le champ {label} doit être dans le passé.",
+  minAge: {
+    one: "Le champ {label} doit dater d'au moins {count} an.",
+    other: "Le champ {label} doit dater d'au moins {count} ans.",
+  },
+
+  iban: "Le champ {label} n'est pas un IBAN valide.",
+  bic: "Le champ {label} n'est pas un BIC valide.",
+  creditCard: "Le champ {label} n'est pas un numéro de carte valide.",
+  cardBrand: "Le champ {label} doit être l'une de ces cartes : {brands}.",
+  cvv: "Le champ {label} doit comporter 3 ou 4 chiffres.",
+  cvvLength: {
+    one: "Le champ {label} doit comporter {count} chiffre.",
+    other: "Le champ {label} doit comporter {count} chiffres.",
+  },
+  cardExpiry:
+    "Le champ {label} doit être une date d'expiration valide (MM/AA).",
+  cardExpired: "Le champ {label} est expiré.",
+  vatNumber: "Le champ {label} n'est pas un numéro de TVA valide.",
+
+  passwordStrength:
+    "Le champ {label} doit respecter ces exigences : {requirements}.",
+  passwordMinLength: {
+    one: "au moins {count} caractère",
+    other: "au moins {count} caractères",
+  },
+  passwordLowercase: "une lettre minuscule",
+  passwordUppercase: "une lettre majuscule",
+  passwordDigit: "un chiffre",
+  passwordSymbol: "un symbole",
+  passwordBlocklist: "pas un mot de passe courant",
+  passwordNotContaining: "ne pas contenir {field}",
+
+  sameAs: "Le champ {label} doit correspondre à {other}.",
+  differentFrom: "Le champ {label} doit être différent de {other}.",
+  before: "Le champ {label} doit être avant {other}.",
+  after: "Le champ {label} doit être après {other}.",
+  otherField: "l'autre champ",
+
+  addItem: "Ajouter {item}",
+  item: "un élément",
+  removeItem: "Supprimer",
+  previousStep: "Précédent",
+  nextStep: "Suivant",
+  errorAnnouncement: "Veuillez corriger le champ signalé",
+};
@@ -1,4 +1,65 @@
 /* eslint-disable */
 import PreskoForm from "./components/PreskoForm.vue";
+import { defineRule } from "./validation/ruleRegistry";
+import {
+  setLocale,
+  getLocale,
+  registerMessages,
+  translate,
+  message,
+} from "./i18n";
+import {
+  fieldsFromJsonSchema,
+  jsonSchemaValidator,
+  validateJsonSchema,
+} from "./jsonSchema";
+import {
+  zodAdapter,
+  yupAdapter,
+  valibotAdapter,
+  toFieldPath,
+} from "./schemaAdapters";
+import { evaluateCondition } from "./conditions";
+import { useFormStatus } from "./composables/useFormStatus";
+
+/**
+ * Vue plugin. Registers `PreskoForm` globally and the rules given in `options.rules`
+ * (name to rule function, or to `{ validate, message }`) as if passed to `defineRule`.
+ * `options.messages` (locale to catalog) are passed to `registerMessages`, and
+ * `options.locale` sets the app-wide locale.
+ * @example app.use(PreskoFormPlugin, { rules: { isVatNumber }, locale: "de" })
+ */
+export const PreskoFormPlugin = {
+  install(app, options = {}) {
+    Object.entries(options.rules || {}).forEach(([name, definition]) =>
+      defineRule(name, definition)
+    );
+    Object.entries(options.messages || {}).forEach(([locale, messages]) =>
+      registerMessages(locale, messages)
+    );
+    if (options.locale) {
+      setLocale(options.locale);
+    }
+    app.component("PreskoForm", PreskoForm);
+  },
+};
+
+export {
+  defineRule,
+  setLocale,
+  getLocale,
+  registerMessages,
+  translate,
+  message,
+  fieldsFromJsonSchema,
+  jsonSchemaValidator,
+  validateJsonSchema,
+  zodAdapter,
+  yupAdapter,
+  valibotAdapter,
+  toFieldPath,
+  evaluateCondition,
+  useFormStatus,
+};
 
 export default PreskoForm;
@@ -0,0 +1,382 @@
+import Validation from "../validation";
+import { isEmpty } from "../validation/helpers";
+import { message } from "../i18n";
+import { FORM_ERROR_KEY } from "../composables/useFormValidation";
+
+/**
+ * JSON Schema (draft 2020-12) adapter. `fieldsFromJsonSchema` turns a schema into the `fields`
+ * array `PreskoForm` takes, and `jsonSchemaValidator` checks a model against the same schema,
+ * reporting errors at the paths `useFormValidation` uses, e.g. `contacts[0].email`.
+ *
+ * Both treat empty values (null, undefined, blank strings) as "not provided", like the built-in
+ * rules: only `required` reports them. Supported keywords: `type`, `properties`, `required`,
+ * `items`, `enum`, `const`, `minLength`, `maxLength`, `pattern`, `format`, `minimum`, `maximum`,
+ * `exclusiveMinimum`, `exclusiveMaximum`, `multipleOf`, `minItems`, `maxItems`, `uniqueItems`,
+ * `title`, `default` and local `$ref`s (`#/$defs/...`). Other keywords are ignored.
+ */
+
+/** Built-in rules that check the `format` values the adapter knows. Other formats are ignored. */
+export const FORMAT_RULES = {
+  email: "email",
+  uri: "url",
+  uuid: "uuid",
+  ipv4: "ipv4",
+  ipv6: "ipv6",
+  hostname: "domain",
+  date: { name: "dateFormat", params: { format: "YYYY-MM-DD" } },
+  time: "time",
+  "date-time": "date",
+};
+
+/**
+ * Follows local `$ref`s (JSON pointers into the root schema). Keywords next to `$ref`
+ * are merged over the referenced schema, as draft 2020-12 allows.
+ * @param {Object} schema - The schema, possibly a `{ $ref }`.
+ * @param {Object} root - The root schema `$ref`s point into.
+ * @returns {Object} The resolved schema.
+ */
+const resolveSchema = (schema, root) => {
+  let node = schema || {};
+  const seen = new Set();
+  while (typeof node.$ref === "string") {
+    const { $ref, ...siblings } = node;
+    if (!$ref.startsWith("#")) {
+      throw new Error(
+        `JSON Schema: only local $ref values ("#/...") are supported, got "${$ref}".`
+      );
+    }
+    if (seen.has($ref)) break;
+    seen.add($ref);
+    const target = $ref
+      .slice(1)
+      .split("/")
+      .filter(Boolean)
+      .map((part) =>
+        decodeURIComponent(part).replace(/~1/g, "/").replace(/~0/g, "~")
+      )
+      .reduce((current, part) => (current ? current[part] : undefined), root);
+    if (!target) {
+      throw new Error(`JSON Schema: cannot resolve $ref "${$ref}".`);
+    }
+    node = { ...target, ...siblings };
+  }
+  return node;
+};
+
+/** The schema's type, ignoring `"null"` in type arrays; `object` when only `properties` are given. */
+const getType = (schema) => {
+  const type = Array.isArray(schema.type)
+    ? schema.type.find((candidate) => candidate !== "null")
+    : schema.type;
+  if (!type && schema.properties) return "object";
+  return type;
+};
+
+/** The item schema of an array of objects, or null for other schemas. */
+const getObjectItems = (schema, type, root) => {
+  if (type !== "array" || !schema.items) return null;
+  const items = resolveSchema(schema.items, root);
+  return getType(items) === "object" ? items : null;
+};
+
+/**
+ * Builds the built-in rules that check a value against the schema's keywords.
+ * @param {Object} schema - The resolved property schema.
+ * @param {string} type - The schema's type.
+ * @returns {Array<string|Object>} Rules in the `FieldConfig.rules` format.
+ */
+const rulesForSchema = (schema, type) => {
+  const rules = [];
+  if (type === "integer") rules.push("integer");
+  if (type === "number") rules.push("numeric");
+  // Arrays of primitives are checked by the length rules, which count items.
+  const minLength = type === "array" ? schema.minItems : schema.minLength;
+  const maxLength = type === "array" ? schema.maxItems : schema.maxLength;
+  if (minLength !== undefined) {
+    rules.push({ name: "minLength", params: { min: minLength } });
+  }
+  if (maxLength !== undefined) {
+    rules.push({ name: "maxLength", params: { max: maxLength } });
+  }
+  if (typeof schema.pattern === "string") {
+    rules.push({ name: "pattern", params: { pattern: schema.pattern } });
+  }
+  if (schema.format && FORMAT_RULES[schema.format]) {
+    rules.push(FORMAT_RULES[schema.format]);
+  }
+  if (Array.isArray(schema.enum)) {
+    rules.push({ name: "oneOf", params: { values: schema.enum } });
+  } else if (schema.const !== undefined) {
+    rules.push({ name: "oneOf", params: { values: [schema.const] } });
+  }
+  if (typeof schema.minimum === "number") {
+    rules.push({ name: "min", params: { min: schema.minimum } });
+  }
+  if (typeof schema.maximum === "number") {
+    rules.push({ name: "max", params: { max: schema.maximum } });
+  }
+  return rules;
+};
+
+/** Picks a component by `format`, then `enum`, then `type`, then `default`. */
+const pickComponent = (schema, type, componentMap) =>
+  (schema.format && componentMap[schema.format]) ||
+  (Array.isArray(schema.enum) && componentMap.enum) ||
+  (type && componentMap[type]) ||
+  componentMap.default;
+
+/**
+ * Converts the `properties` of an object schema into field configurations.
+ * @param {Object} objectSchema - The resolved object schema.
+ * @param {Object} root - The root schema.
+ * @param {Object} componentMap - Components by format, `enum`, type or `default`.
+ * @param {Array<string>} refStack - `$ref`s being expanded, to detect recursive schemas.
+ * @returns {Array<Object>} The field configurations.
+ */
+const propertiesToFields = (objectSchema, root, componentMap, refStack) => {
+  const required = objectSchema.required || [];
+  return Object.entries(objectSchema.properties || {}).map(
+    ([name, propertySchema]) => {
+      const ref = propertySchema && propertySchema.$ref;
+      if (ref && refStack.includes(ref)) {
+        throw new Error(
+          `fieldsFromJsonSchema: the recursive $ref "${ref}" at "${name}" cannot be turned into fields.`
+        );
+      }
+      const stack = ref ? [...refStack, ref] : refStack;
+      const schema = resolveSchema(propertySchema, root);
+      const type = getType(schema);
+      const label = schema.title || name;
+
+      if (type === "object") {
+        return {
+          subForm: name,
+          fields: propertiesToFields(schema, root, componentMap, stack),
+        };
+      }
+
+      const items = getObjectItems(schema, type, root);
+      if (items) {
+        const itemRef = schema.items.$ref;
+        if (itemRef && stack.includes(itemRef)) {
+          throw new Error(
+            `fieldsFromJsonSchema: the recursive $ref "${itemRef}" at "${name}" cannot be turned into fields.`
+          );
+        }
+        const field = {
+          propertyName: name,
+          type: "list",
+          label,
+          fields: propertiesToFields(
+            items,
+            root,
+            componentMap,
+            itemRef ? [...stack, itemRef] : stack
+          ),
+        };
+        if (items.title) field.itemLabel = items.title;
+        if (schema.minItems !== undefined) field.minItems = schema.minItems;
+        if (schema.maxItems !== undefined) field.maxItems = schema.maxItems;
+        if (schema.default !== undefined) field.value = schema.default;
+        return field;
+      }
+
+      const rules = rulesForSchema(schema, type);
+      if (required.includes(name)) rules.unshift("required");
+      const field = {
+        propertyName: name,
+        label,
+        component: pickComponent(schema, type, componentMap),
+        rules,
+        props: { label },
+      };
+      if (Array.isArray(schema.enum)) field.props.options = schema.enum;
+      if (schema.default !== undefined) field.value = schema.default;
+      return field;
+    }
+  );
+};
+
+/**
+ * Generates the `fields` array for `PreskoForm` from an object schema. Object properties become
+ * `subForm`s, arrays of objects become `type: 'list'` fields, and the other properties become
+ * fields whose `rules` check `required`, `minLength`, `maxLength`, `pattern`, `format`, `enum`,
+ * `const`, `minimum` and `maximum` (and `minItems` / `maxItems` for arrays of primitives).
+ *
+ * @param {Object} schema - An object schema (draft 2020-12).
+ * @param {Object} [options]
+ * @param {Object<string, any>} [options.componentMap={}] - The component for each field, looked up by
+ *   the property's `format` (e.g. `email`), then `enum` when it has one, then its `type`
+ *   (e.g. `string`, `integer`, `boolean`, `array`), then `default`.
+ * @returns {Array<Object>} The field configurations.
+ * @example
+ * fieldsFromJsonSchema(schema, { componentMap: { string: "AppInput", boolean: "AppCheckbox", enum: "AppSelect" } })
+ */
+export function fieldsFromJsonSchema(schema, options = {}) {
+  const { componentMap = {} } = options;
+  return propertiesToFields(
+    resolveSchema(schema, schema),
+    schema,
+    componentMap,
+    []
+  );
+}
+
+const isSameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+const joinPath = (path, name) => (path ? `${path}.${name}` : name);
+
+/**
+ * Checks a value against a schema and collects the errors.
+ * @param {Object} schemaNode - The schema of the value.
+ * @param {any} value - The value.
+ * @param {string} path - The value's path in the model ('' for the root).
+ * @param {string} label - The label used in messages.
+ * @param {Object} root - The root schema.
+ * @param {Array<{ path: string, message: any }>} errors - Collected errors.
+ */
+const validateNode = (schemaNode, value, path, label, root, errors) => {
+  if (isEmpty(value)) return; // Presence is checked by the parent's `required`.
+  const schema = resolveSchema(schemaNode, root);
+  const type = getType(schema);
+  const report = (error) => errors.push({ path, message: error });
+
+  if (type === "object") {
+    if (typeof value !== "object" || Array.isArray(value)) {
+      report(message("invalid", { label }));
+      return;
+    }
+    const required = schema.required || [];
+    Object.entries(schema.properties || {}).forEach(([name, childSchema]) => {
+      const childPath = joinPath(path, name);
+      const childLabel = resolveSchema(childSchema, root).title || name;
+      if (required.includes(name) && isEmpty(value[name])) {
+        errors.push({
+          path: childPath,
+          message: message("required", { label: childLabel }),
+        });
+        return;
+      }
+      validateNode(
+        childSchema,
+        value[name],
+        childPath,
+        childLabel,
+        root,
+        errors
+      );
+    });
+    return;
+  }
+
+  if (type === "array") {
+    if (!Array.isArray(value)) {
+      report(message("invalid", { label }));
+      return;
+    }
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      report(message("minItems", { label, count: schema.minItems }));
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      report(message("maxItems", { label, count: schema.maxItems }));
+    }
+    if (
+      schema.uniqueItems &&
+      value.some(
+        (item, i) => value.findIndex((other) => isSameValue(item, other)) !== i
+      )
+    ) {
+      report(message("uniqueItems", { label }));
+    }
+    if (schema.items) {
+      const itemLabel = resolveSchema(schema.items, root).title || label;
+      value.forEach((item, index) =>
+        validateNode(
+          schema.items,
+          item,
+          `${path}[${index}]`,
+          itemLabel,
+          root,
+          errors
+        )
+      );
+    }
+    return;
+  }
+
+  if (type === "boolean" && typeof value !== "boolean") {
+    report(message("invalid", { label }));
+    return;
+  }
+  if (type === "string" && typeof value !== "string") {
+    report(message("string", { label }));
+    return;
+  }
+
+  for (const rule of rulesForSchema(schema, type)) {
+    const name = typeof rule === "string" ? rule : rule.name;
+    const result = Validation[name](value, label, undefined, rule.params || {});
+    if (result !== true) {
+      report(result);
+      return;
+    }
+  }
+
+  const number = Number(value);
+  if (
+    typeof schema.exclusiveMinimum === "number" &&
+    !(number > schema.exclusiveMinimum)
+  ) {
+    report(message("greaterThan", { label, min: schema.exclusiveMinimum }));
+  } else if (
+    typeof schema.exclusiveMaximum === "number" &&
+    !(number < schema.exclusiveMaximum)
+  ) {
+    report(message("lessThan", { label, max: schema.exclusiveMaximum }));
+  } else if (
+    typeof schema.multipleOf === "number" &&
+    schema.multipleOf > 0 &&
+    Math.abs(
+      number / schema.multipleOf - Math.round(number / schema.multipleOf)
+    ) > 1e-9
+  ) {
+    report(message("multipleOf", { label, multiple: schema.multipleOf }));
+  }
+};
+
+/**
+ * Validates a value against a schema. Numbers entered as numeric strings are accepted
+ * where the schema expects a number, since form inputs often produce strings.
+ *
+ * @param {Object} schema - The schema (draft 2020-12).
+ * @param {any} value - The value, e.g. the form model.
+ * @returns {Array<{ path: string, message: import("../i18n").ValidationMessage }>} The errors, with
+ *   paths like `contacts[0].email`; errors about the root value have the path `''`.
+ */
+export function validateJsonSchema(schema, value) {
+  const errors = [];
+  validateNode(schema, value, "", schema.title || "Form", schema, errors);
+  return errors;
+}
+
+/**
+ * Creates a form-level validator (for the `formValidators` prop) that checks the model against
+ * a schema. It reports the first error for each path; errors about the root value become
+ * form-wide errors.
+ *
+ * @param {Object} schema - The schema (draft 2020-12).
+ * @returns {(model: Object) => true|Object<string, any>} The form-level validator.
+ * @example
+ * <PreskoForm :fields="fieldsFromJsonSchema(schema)" :formValidators="[jsonSchemaValidator(schema)]" />
+ */
+export function jsonSchemaValidator(schema) {
+  return (model) => {
+    const errors = validateJsonSchema(schema, model);
+    if (!errors.length) return true;
+    return errors.reduce((result, error) => {
+      const key = error.path || FORM_ERROR_KEY;
+      if (!(key in result)) result[key] = error.message;
+      return result;
+    }, {});
+  };
+}
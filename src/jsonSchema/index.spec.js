@@ -0,0 +1,205 @@
+import { describe, it, expect } from "vitest";
+import {
+  fieldsFromJsonSchema,
+  validateJsonSchema,
+  jsonSchemaValidator,
+} from "./index";
+import { useFormValidation } from "../composables/useFormValidation";
+import { translate } from "../i18n";
+
+const schema = {
+  $schema: "https://json-schema.org/draft/2020-12/schema",
+  type: "object",
+  required: ["name", "status"],
+  properties: {
+    name: { type: "string", title: "Name", minLength: 2, maxLength: 40 },
+    status: { enum: ["draft", "published"], default: "draft" },
+    age: { type: "integer", minimum: 18, exclusiveMaximum: 130 },
+    newsletter: { type: "boolean" },
+    tags: { type: "array", items: { type: "string" }, maxItems: 3 },
+    address: {
+      type: "object",
+      required: ["zip"],
+      properties: {
+        zip: { type: "string", pattern: "^\\d{5}$" },
+      },
+    },
+    contacts: {
+      type: "array",
+      minItems: 1,
+      items: { $ref: "#/$defs/contact" },
+    },
+  },
+  $defs: {
+    contact: {
+      type: "object",
+      title: "Contact",
+      required: ["email"],
+      properties: {
+        email: { type: "string", format: "email", title: "Email" },
+      },
+    },
+  },
+};
+
+const componentMap = {
+  email: "AppEmail",
+  enum: "AppSelect",
+  boolean: "AppCheckbox",
+  default: "AppInput",
+};
+
+const errorsByPath = (errors) =>
+  Object.fromEntries(errors.map((e) => [e.path, translate(e.message, "en")]));
+
+describe("fieldsFromJsonSchema", () => {
+  it("maps objects to sub-forms, arrays of objects to lists and keywords to rules", () => {
+    const [name, status, age, newsletter, tags, address, contacts] =
+      fieldsFromJsonSchema(schema, { componentMap });
+
+    expect(name).toEqual({
+      propertyName: "name",
+      label: "Name",
+      component: "AppInput",
+      rules: [
+        "required",
+        { name: "minLength", params: { min: 2 } },
+        { name: "maxLength", params: { max: 40 } },
+      ],
+      props: { label: "Name" },
+    });
+    expect(status).toMatchObject({
+      component: "AppSelect",
+      rules: [
+        "required",
+        { name: "oneOf", params: { values: ["draft", "published"] } },
+      ],
+      props: { options: ["draft", "published"] },
+      value: "draft",
+    });
+    expect(age.rules).toEqual([
+      "integer",
+      { name: "min", params: { min: 18 } },
+    ]);
+    expect(newsletter.component).toBe("AppCheckbox");
+    expect(tags.rules).toEqual([{ name: "maxLength", params: { max: 3 } }]);
+    expect(address).toEqual({
+      subForm: "address",
+      fields: [
+        {
+          propertyName: "zip",
+          label: "zip",
+          component: "AppInput",
+          rules: [
+            "required",
+            { name: "pattern", params: { pattern: "^\\d{5}$" } },
+          ],
+          props: { label: "zip" },
+        },
+      ],
+    });
+    expect(contacts).toMatchObject({
+      propertyName: "contacts",
+      type: "list",
+      itemLabel: "Contact",
+      minItems: 1,
+      fields: [
+        {
+          propertyName: "email",
+          component: "AppEmail",
+          rules: ["required", "email"],
+        },
+      ],
+    });
+  });
+
+  it("rejects recursive and remote $refs", () => {
+    const tree = {
+      type: "object",
+      properties: { root: { $ref: "#/$defs/node" } },
+      $defs: {
+        node: {
+          type: "object",
+          properties: { child: { $ref: "#/$defs/node" } },
+        },
+      },
+    };
+    expect(() => fieldsFromJsonSchema(tree)).toThrow(/recursive \$ref/);
+    expect(() =>
+      fieldsFromJsonSchema({
+        type: "object",
+        properties: { a: { $ref: "https://example.com/a.json" } },
+      })
+    ).toThrow(/only local \$ref/);
+  });
+});
+
+describe("jsonSchemaValidator", () => {
+  it("reports violations at the paths the form uses", () => {
+    const errors = validateJsonSchema(schema, {
+      name: "A",
+      status: "archived",
+      age: 130,
+      tags: ["a", "b", "c", "d"],
+      address: { zip: "" },
+      contacts: [{ email: "ok@example.com" }, { email: "nope" }, { email: "" }],
+    });
+
+    expect(errorsByPath(errors)).toEqual({
+      name: "Field Name must be at least 2 characters long.",
+      status: "Field status must be one of: draft, published.",
+      age: "Field age must be less than 130.",
+      tags: "Field tags must contain at most 3 items.",
+      "address.zip": "Field zip is required.",
+      "contacts[1].email": "Field Email is not a valid email address.",
+      "contacts[2].email": "Field Email is required.",
+    });
+  });
+
+  it("passes valid models and treats empty optional values as not provided", () => {
+    const validator = jsonSchemaValidator(schema);
+    expect(
+      validator({
+        name: "Ann",
+        status: "draft",
+        age: "",
+        address: { zip: "12345" },
+        contacts: [{ email: "ann@example.com" }],
+      })
+    ).toBe(true);
+    expect(
+      translate(
+        validator({
+          name: "Ann",
+          status: "draft",
+          address: { zip: "12345" },
+          contacts: [],
+        }).contacts,
+        "en"
+      )
+    ).toBe("Field contacts must contain at least 1 item.");
+  });
+
+  it("feeds its errors into the form state as a form-level validator", () => {
+    const fields = fieldsFromJsonSchema(schema, { componentMap });
+    const { validateFormPurely, formFieldsErrorMessages } = useFormValidation(
+      fields,
+      { formValidators: [jsonSchemaValidator(schema)] }
+    );
+
+    const isValid = validateFormPurely({
+      name: "Ann",
+      status: "draft",
+      age: "",
+      newsletter: false,
+      tags: [],
+      address: { zip: "12345" },
+      contacts: [{ email: "ann@example.com" }, { email: "bad" }],
+    });
+
+    expect(isValid).toBe(false);
+    expect(formFieldsErrorMessages["contacts[1].email"]).toBe(
+      "Field Email is not a valid email address."
+    );
+  });
+});
@@ -0,0 +1,114 @@
+/**
+ * Adapters that let schema libraries validate a form (`schema` prop / option).
+ *
+ * An adapter is an object `{ validate(value) }` that returns, or resolves to, an array of issues
+ * `{ path, message }`. `path` is an array of keys and indexes (`["contacts", 0, "email"]`),
+ * an array of `{ key }` path items, or a string (`"contacts[0].email"`, `"contacts.0.email"`).
+ * An empty path marks a form-wide issue. Any schema library can be used by writing such an
+ * object; the adapters below cover the common result shapes.
+ */
+
+/**
+ * Converts an issue path into the path format of the form state, e.g. `contacts[0].email`.
+ * @param {string|Array<string|number|{ key: string|number }>} [path] - The issue path.
+ * @returns {string} The field path, or `''` for a form-wide issue.
+ */
+export function toFieldPath(path) {
+  if (path === undefined || path === null) return "";
+  if (typeof path === "string") {
+    return path.replace(/\.(\d+)(?=\.|\[|$)/g, "[$1]").replace(/^\./, "");
+  }
+  return path.reduce((fieldPath, segment) => {
+    const key =
+      segment !== null && typeof segment === "object" ? segment.key : segment;
+    if (typeof key === "number" || /^\d+$/.test(String(key))) {
+      return `${fieldPath}[${key}]`;
+    }
+    return fieldPath ? `${fieldPath}.${key}` : String(key);
+  }, "");
+}
+
+/** Calls `fn` with the value, or once the promise resolves. */
+const whenResolved = (value, fn) =>
+  value instanceof Promise ? value.then(fn) : fn(value);
+
+/**
+ * Adapter for schemas with a Zod-like API: `safeParse(value)` returning
+ * `{ success, error: { issues: [{ path, message }] } }`.
+ * @param {Object} schema - The schema, e.g. `z.object({ ... })`.
+ * @param {{ async?: boolean }} [options] - With `async: true`, `safeParseAsync` is used,
+ *   which async refinements require.
+ * @returns {{ validate: Function }} The adapter.
+ */
+export function zodAdapter(schema, options = {}) {
+  return {
+    validate(value) {
+      const result = options.async
+        ? schema.safeParseAsync(value)
+        : schema.safeParse(value);
+      return whenResolved(result, ({ success, error }) =>
+        success
+          ? []
+          : error.issues.map((issue) => ({
+              path: issue.path,
+              message: issue.message,
+            }))
+      );
+    },
+  };
+}
+
+/**
+ * Adapter for schemas with a Yup-like API: `validateSync(value, { abortEarly: false })` throwing a
+ * `ValidationError` whose `inner` errors have `path` and `message`.
+ * @param {Object} schema - The schema, e.g. `yup.object({ ... })`.
+ * @param {{ async?: boolean }} [options] - With `async: true`, the promise-based `validate` is used,
+ *   which async tests require.
+ * @returns {{ validate: Function }} The adapter.
+ */
+export function yupAdapter(schema, options = {}) {
+  const toIssues = (error) => {
+    if (!error || error.name !== "ValidationError") throw error;
+    const errors = error.inner && error.inner.length ? error.inner : [error];
+    return errors.map((inner) => ({
+      path: inner.path,
+      message: inner.message,
+    }));
+  };
+  return {
+    validate(value) {
+      const validateOptions = { abortEarly: false };
+      if (options.async) {
+        return schema.validate(value, validateOptions).then(() => [], toIssues);
+      }
+      try {
+        schema.validateSync(value, validateOptions);
+        return [];
+      } catch (error) {
+        return toIssues(error);
+      }
+    },
+  };
+}
+
+/**
+ * Adapter for Valibot-like libraries, where parsing is a function taking the schema:
+ * `safeParse(schema, value)` returning `{ success, issues: [{ path: [{ key }], message }] }`.
+ * @param {Object} schema - The schema, e.g. `v.object({ ... })`.
+ * @param {Function} safeParse - The library's `safeParse` (or `safeParseAsync`).
+ * @returns {{ validate: Function }} The adapter.
+ */
+export function valibotAdapter(schema, safeParse) {
+  return {
+    validate(value) {
+      return whenResolved(safeParse(schema, value), ({ success, issues }) =>
+        success
+          ? []
+          : issues.map((issue) => ({
+              path: issue.path || [],
+              message: issue.message,
+            }))
+      );
+    },
+  };
+}
@@ -0,0 +1,130 @@
+import { describe, it, expect } from "vitest";
+import { toFieldPath, zodAdapter, yupAdapter, valibotAdapter } from "./index";
+
+// Fake schemas mimicking the result shapes of the libraries, for a model
+// `{ name, contacts: [{ email }] }`.
+const findProblems = (value) => {
+  const problems = [];
+  if (!value.name || value.name.length < 2) {
+    problems.push({ path: ["name"], message: "Name is too short" });
+  }
+  (value.contacts || []).forEach((contact, index) => {
+    if (!/@/.test(contact.email)) {
+      problems.push({
+        path: ["contacts", index, "email"],
+        message: "Invalid email",
+      });
+    }
+  });
+  return problems;
+};
+
+const fakeZodSchema = {
+  safeParse(value) {
+    const issues = findProblems(value);
+    return issues.length
+      ? { success: false, error: { issues } }
+      : { success: true, data: value };
+  },
+  safeParseAsync(value) {
+    return Promise.resolve(this.safeParse(value));
+  },
+};
+
+class ValidationError extends Error {
+  constructor(inner) {
+    super(`${inner.length} errors occurred`);
+    this.name = "ValidationError";
+    this.inner = inner;
+  }
+}
+
+const fakeYupSchema = {
+  validateSync(value, options) {
+    expect(options).toEqual({ abortEarly: false });
+    const problems = findProblems(value).map((problem) => ({
+      path: toFieldPath(problem.path),
+      message: problem.message,
+    }));
+    if (problems.length) throw new ValidationError(problems);
+    return value;
+  },
+  validate(value, options) {
+    try {
+      return Promise.resolve(this.validateSync(value, options));
+    } catch (error) {
+      return Promise.reject(error);
+    }
+  },
+};
+
+const fakeValibotSchema = { type: "object" };
+const fakeValibotSafeParse = (schema, value) => {
+  expect(schema).toBe(fakeValibotSchema);
+  const issues = findProblems(value).map((problem) => ({
+    message: problem.message,
+    path: problem.path.map((key) => ({ type: "object", key })),
+  }));
+  return issues.length
+    ? { success: false, issues }
+    : { success: true, output: value };
+};
+
+const invalidModel = {
+  name: "A",
+  contacts: [{ email: "a@b.c" }, { email: "x" }],
+};
+const expectedIssues = [
+  { path: "name", message: "Name is too short" },
+  { path: "contacts[1].email", message: "Invalid email" },
+];
+const withFieldPaths = (issues) =>
+  issues.map((issue) => ({ ...issue, path: toFieldPath(issue.path) }));
+
+describe("schemaAdapters", () => {
+  it("toFieldPath converts issue paths into form state paths", () => {
+    expect(toFieldPath(["contacts", 0, "email"])).toBe("contacts[0].email");
+    expect(toFieldPath([{ key: "address" }, { key: "zip" }])).toBe(
+      "address.zip"
+    );
+    expect(toFieldPath("contacts.0.email")).toBe("contacts[0].email");
+    expect(toFieldPath("contacts[0].email")).toBe("contacts[0].email");
+    expect(toFieldPath([])).toBe("");
+    expect(toFieldPath(undefined)).toBe("");
+  });
+
+  it("zodAdapter reports issues from safeParse and safeParseAsync", async () => {
+    expect(
+      withFieldPaths(zodAdapter(fakeZodSchema).validate(invalidModel))
+    ).toEqual(expectedIssues);
+    expect(zodAdapter(fakeZodSchema).validate({ name: "Ann" })).toEqual([]);
+    const issues = await zodAdapter(fakeZodSchema, { async: true }).validate(
+      invalidModel
+    );
+    expect(withFieldPaths(issues)).toEqual(expectedIssues);
+  });
+
+  it("yupAdapter collects the inner errors of a ValidationError", async () => {
+    expect(yupAdapter(fakeYupSchema).validate(invalidModel)).toEqual(
+      expectedIssues
+    );
+    expect(yupAdapter(fakeYupSchema).validate({ name: "Ann" })).toEqual([]);
+    await expect(
+      yupAdapter(fakeYupSchema, { async: true }).validate(invalidModel)
+    ).resolves.toEqual(expectedIssues);
+    const broken = {
+      validateSync() {
+        throw new TypeError("schema bug");
+      },
+    };
+    expect(() => yupAdapter(broken).validate({})).toThrow("schema bug");
+  });
+
+  it("valibotAdapter passes the schema to the library's safeParse", () => {
+    const adapter = valibotAdapter(fakeValibotSchema, fakeValibotSafeParse);
+    expect(withFieldPaths(adapter.validate(invalidModel))).toEqual(
+      expectedIssues
+    );
+    expect(adapter.validate({ name: "Ann" })).toEqual([]);
+  });
+});
@@ -0,0 +1,179 @@
+import isRequired from "../isRequired";
+import { message } from "../../i18n";
+import { isEmpty, errorMessage } from "../helpers";
+
+/**
+ * Cross-field (relational) rules. They compare the validated value with another field's value,
+ * read through `ctx.getValue(params.field)`. Reading it that way also registers the other field
+ * as a dependency, so this field is re-validated when the other one changes.
+ *
+ * All rules share the signature `(value, label, customErrorMsg, params, ctx)`.
+ * Params: `field` - path of the other field, `label` - its display name in messages (defaults to `field`).
+ */
+
+const getOtherValue = (params, ctx) =>
+  ctx && typeof ctx.getValue === "function" && params && params.field
+    ? ctx.getValue(params.field)
+    : undefined;
+
+const getOtherLabel = (params) =>
+  (params && (params.label || params.field)) || message("otherField");
+
+const isSameValue = (a, b) => {
+  if (a instanceof Date && b instanceof Date)
+    return a.getTime() === b.getTime();
+  if (
+    a !== null &&
+    b !== null &&
+    typeof a === "object" &&
+    typeof b === "object"
+  ) {
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+  return a === b;
+};
+
+/**
+ * Checks whether the condition of `requiredIf` / `requiredUnless` is met.
+ * Without `params.value` the condition is "the other field is filled in"; with an array
+ * it is "the other value is one of these"; otherwise it is strict equality.
+ */
+const conditionMet = (params, ctx) => {
+  const otherValue = getOtherValue(params, ctx);
+  if (!params || !Object.prototype.hasOwnProperty.call(params, "value")) {
+    return !isEmpty(otherValue);
+  }
+  if (Array.isArray(params.value)) {
+    return params.value.some((candidate) => isSameValue(candidate, otherValue));
+  }
+  return isSameValue(params.value, otherValue);
+};
+
+const toTime = (value) => {
+  if (isEmpty(value)) return null;
+  return (value instanceof Date ? value : new Date(value)).getTime();
+};
+
+/**
+ * Resolves the point in time `before` / `after` compare against:
+ * another field (`params.field`) or a fixed date (`params.date`).
+ */
+const getComparisonTime = (params, ctx) => {
+  if (params && params.field) return toTime(getOtherValue(params, ctx));
+  if (params && params.date !== undefined) return toTime(params.date);
+  return null;
+};
+
+const getComparisonLabel = (params) =>
+  params && params.field
+    ? getOtherLabel(params)
+    : String(params && params.date);
+
+export function sameAs(
+  value,
+  label = "This field",
+  customErrorMsg,
+  params,
+  ctx
+) {
+  if (isSameValue(value, getOtherValue(params, ctx))) {
+    return true;
+  }
+  return errorMessage(
+    customErrorMsg,
+    message("sameAs", { label, other: getOtherLabel(params) })
+  );
+}
+
+export function differentFrom(
+  value,
+  label = "This field",
+  customErrorMsg,
+  params,
+  ctx
+) {
+  if (isEmpty(value) || !isSameValue(value, getOtherValue(params, ctx))) {
+    return true;
+  }
+  return errorMessage(
+    customErrorMsg,
+    message("differentFrom", { label, other: getOtherLabel(params) })
+  );
+}
+
+export function requiredIf(
+  value,
+  label = "This field",
+  customErrorMsg,
+  params,
+  ctx
+) {
+  if (!conditionMet(params, ctx)) {
+    return true;
+  }
+  return isRequired(value, label, customErrorMsg);
+}
+
+export function requiredUnless(
+  value,
+  label = "This field",
+  customErrorMsg,
+  params,
+  ctx
+) {
+  if (conditionMet(params, ctx)) {
+    return true;
+  }
+  return isRequired(value, label, customErrorMsg);
+}
+
+export function before(
+  value,
+  label = "This field",
+  customErrorMsg,
+  params,
+  ctx
+) {
+  const time = toTime(value);
+  const comparisonTime = getComparisonTime(params, ctx);
+  // Nothing to compare yet; presence is the job of `required`.
+  if (
+    time === null ||
+    comparisonTime === null ||
+    Number.isNaN(comparisonTime)
+  ) {
+    return true;
+  }
+  if (!Number.isNaN(time) && time < comparisonTime) {
+    return true;
+  }
+  return errorMessage(
+    customErrorMsg,
+    message("before", { label, other: getComparisonLabel(params) })
+  );
+}
+
+export function after(
+  value,
+  label = "This field",
+  customErrorMsg,
+  params,
+  ctx
+) {
+  const time = toTime(value);
+  const comparisonTime = getComparisonTime(params, ctx);
+  if (
+    time === null ||
+    comparisonTime === null ||
+    Number.isNaN(comparisonTime)
+  ) {
+    return true;
+  }
+  if (!Number.isNaN(time) && time > comparisonTime) {
+    return true;
+  }
+  return errorMessage(
+    customErrorMsg,
+    message("after", { label, other: getComparisonLabel(params) })
+  );
+}
@@ -0,0 +1,175 @@
+import { describe, it, expect } from "vitest";
+import {
+  sameAs,
+  differentFrom,
+  requiredIf,
+  requiredUnless,
+  before,
+  after,
+} from "./index";
+import { translate } from "../../i18n";
+
+const en = (result) => translate(result, "en");
+
+const ctxFor = (model) => ({ getValue: (path) => model[path] });
+
+describe("crossFieldRules", () => {
+  describe("sameAs", () => {
+    it("passes when both values match and fails otherwise", () => {
+      const ctx = ctxFor({ password: "secret" });
+      const params = { field: "password", label: "Password" };
+      expect(en(sameAs("secret", "Confirm", undefined, params, ctx))).toBe(
+        true
+      );
+      expect(en(sameAs("other", "Confirm", undefined, params, ctx))).toBe(
+        "Field Confirm must match Password."
+      );
+    });
+
+    it("returns the custom error message when provided", () => {
+      const ctx = ctxFor({ password: "secret" });
+      expect(
+        en(
+          sameAs(
+            "x",
+            "Confirm",
+            "Passwords differ.",
+            { field: "password" },
+            ctx
+          )
+        )
+      ).toBe("Passwords differ.");
+    });
+  });
+
+  describe("differentFrom", () => {
+    it("fails when the value equals the other field", () => {
+      const ctx = ctxFor({ oldPassword: "secret" });
+      const params = { field: "oldPassword" };
+      expect(en(differentFrom("secret", "New", undefined, params, ctx))).toBe(
+        "Field New must be different from oldPassword."
+      );
+      expect(en(differentFrom("fresh", "New", undefined, params, ctx))).toBe(
+        true
+      );
+      expect(differentFrom("", "New", undefined, params, ctx)).toBe(true);
+    });
+  });
+
+  describe("requiredIf / requiredUnless", () => {
+    it("requiredIf requires the value only when the condition is met", () => {
+      const params = { field: "contactBy", value: ["phone", "sms"] };
+      expect(
+        en(
+          requiredIf(
+            "",
+            "Phone",
+            undefined,
+            params,
+            ctxFor({ contactBy: "sms" })
+          )
+        )
+      ).toBe("Field Phone is required.");
+      expect(
+        en(
+          requiredIf(
+            "",
+            "Phone",
+            undefined,
+            params,
+            ctxFor({ contactBy: "email" })
+          )
+        )
+      ).toBe(true);
+    });
+
+    it("requiredIf without a value checks that the other field is filled", () => {
+      const params = { field: "company" };
+      expect(
+        en(
+          requiredIf("", "VAT", undefined, params, ctxFor({ company: "ACME" }))
+        )
+      ).toBe("Field VAT is required.");
+      expect(en(requiredIf("", "VAT", undefined, params, ctxFor({})))).toBe(
+        true
+      );
+    });
+
+    it("requiredUnless requires the value unless the condition is met", () => {
+      const params = { field: "country", value: "US" };
+      expect(
+        en(
+          requiredUnless(
+            "",
+            "IBAN",
+            undefined,
+            params,
+            ctxFor({ country: "DE" })
+          )
+        )
+      ).toBe("Field IBAN is required.");
+      expect(
+        en(
+          requiredUnless(
+            "",
+            "IBAN",
+            undefined,
+            params,
+            ctxFor({ country: "US" })
+          )
+        )
+      ).toBe(true);
+    });
+  });
+
+  describe("before / after", () => {
+    const ctx = ctxFor({ startDate: "2024-05-10", endDate: "2024-05-20" });
+
+    it("compares against another field", () => {
+      expect(
+        en(
+          after(
+            "2024-05-12",
+            "End",
+            undefined,
+            { field: "startDate", label: "Start" },
+            ctx
+          )
+        )
+      ).toBe(true);
+      expect(
+        en(
+          after(
+            "2024-05-01",
+            "End",
+            undefined,
+            { field: "startDate", label: "Start" },
+            ctx
+          )
+        )
+      ).toBe("Field End must be after Start.");
+      expect(
+        en(before("2024-05-25", "Start", undefined, { field: "endDate" }, ctx))
+      ).toBe("Field Start must be before endDate.");
+    });
+
+    it("compares against a fixed date and accepts Date objects", () => {
+      const params = { date: "2024-01-01" };
+      expect(before(new Date("2023-12-31"), "Date", undefined, params)).toBe(
+        true
+      );
+      expect(en(after(new Date("2023-12-31"), "Date", undefined, params))).toBe(
+        "Field Date must be after 2024-01-01."
+      );
+    });
+
+    it("passes when either side is empty", () => {
+      expect(en(after("", "End", undefined, { field: "startDate" }, ctx))).toBe(
+        true
+      );
+      expect(
+        after("2024-01-01", "End", undefined, { field: "missing" }, ctx)
+      ).toBe(true);
+    });
+  });
+});
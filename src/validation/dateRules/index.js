@@ -0,0 +1,327 @@
+import { message } from "../../i18n";
+import { isEmpty, errorMessage, invalidConfig } from "../helpers";
+
+/**
+ * Date and time rules. Values may be `Date` objects or ISO 8601 strings
+ * (`2024-05-01`, `2024-05-01T09:30`, `2024-05-01T09:30:00Z`). Date-only strings are read as
+ * local midnight, so they compare by calendar day rather than shifting with the UTC offset.
+ * Empty values pass; combine with `required` to enforce presence.
+ *
+ * All rules share the signature `(value, label, customErrorMsg, params, ctx)`.
+ * A bound (`params.date`, `params.min`, `params.max`) is a date, or `{ field, label }` to compare
+ * against another field's value, read through `ctx.getValue` so it is tracked as a dependency.
+ */
+
+const ISO_DATE_ONLY = /^(\d{4})-(\d{2})-(\d{2})$/;
+const ISO_DATE_TIME =
+  /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(:\d{2}(\.\d{1,3})?)?(Z|[+-]\d{2}:?\d{2})?$/;
+const TIME = /^([01]\d|2[0-3]):([0-5]\d)(:([0-5]\d))?$/;
+
+const buildDate = (year, month, day, hours = 0, minutes = 0, seconds = 0) => {
+  const date = new Date(year, month - 1, day, hours, minutes, seconds);
+  // Reject overflowing parts such as 2023-02-30, which `Date` would roll over to March.
+  if (
+    date.getFullYear() !== year ||
+    date.getMonth() !== month - 1 ||
+    date.getDate() !== day
+  ) {
+    return null;
+  }
+  return date;
+};
+
+/**
+ * Converts a `Date` or an ISO 8601 string to a `Date`.
+ * @param {any} value - The value to convert.
+ * @returns {Date|null} The date, or null if the value is not a valid date.
+ */
+export function parseDate(value) {
+  if (value instanceof Date) {
+    return Number.isNaN(value.getTime()) ? null : value;
+  }
+  if (typeof value !== "string") return null;
+  const trimmed = value.trim();
+  const dateOnly = ISO_DATE_ONLY.exec(trimmed);
+  if (dateOnly) {
+    return buildDate(+dateOnly[1], +dateOnly[2], +dateOnly[3]);
+  }
+  if (!ISO_DATE_TIME.test(trimmed)) return null;
+  const [year, month, day] = trimmed.slice(0, 10).split("-").map(Number);
+  if (!buildDate(year, month, day)) return null;
+  const date = new Date(trimmed.replace(" ", "T"));
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+const startOfToday = () => {
+  const now = new Date();
+  return new Date(now.getFullYear(), now.getMonth(), now.getDate());
+};
+
+const isDateOnly = (value) =>
+  typeof value === "string" && ISO_DATE_ONLY.test(value.trim());
+
+const formatDate = (date) =>
+  [
+    date.getFullYear(),
+    String(date.getMonth() + 1).padStart(2, "0"),
+    String(date.getDate()).padStart(2, "0"),
+  ].join("-");
+
+/**
+ * Resolves a bound to a date and the text used for it in messages.
+ * Returns null when the bound is not set or is another field that is still empty.
+ */
+const resolveBound = (bound, ctx) => {
+  if (bound === undefined || bound === null) return null;
+  if (typeof bound === "object" && !(bound instanceof Date)) {
+    if (!bound.field) return null;
+    const otherValue =
+      ctx && typeof ctx.getValue === "function"
+        ? ctx.getValue(bound.field)
+        : undefined;
+    if (isEmpty(otherValue)) return null;
+    return {
+      date: parseDate(otherValue),
+      text: bound.label || bound.field,
+    };
+  }
+  return {
+    date: parseDate(bound),
+    text: bound instanceof Date ? formatDate(bound) : String(bound),
+  };
+};
+
+const invalidDate = (label) => message("date", { label });
+
+/** True if the params name a bound: a `date`, or the `field` to read it from. */
+const hasBound = (params) =>
+  !!params &&
+  (!!params.field || (params.date !== undefined && params.date !== null));
+
+const getBound = (params, ctx) =>
+  params && params.field
+    ? resolveBound(params, ctx)
+    : resolveBound(params && params.date, ctx);
+
+export function date(value, label = "This field", customErrorMsg) {
+  if (isEmpty(value) || parseDate(value)) return true;
+  return errorMessage(customErrorMsg, invalidDate(label));
+}
+
+const FORMAT_TOKENS = {
+  YYYY: { pattern: "(\\d{4})", part: "year" },
+  MM: { pattern: "(\\d{2})", part: "month" },
+  DD: { pattern: "(\\d{2})", part: "day" },
+  HH: { pattern: "(\\d{2})", part: "hours" },
+  mm: { pattern: "(\\d{2})", part: "minutes" },
+  ss: { pattern: "(\\d{2})", part: "seconds" },
+};
+
+/**
+ * Checks a date string against a format made of the tokens `YYYY`, `MM`, `DD`, `HH`, `mm`
+ * and `ss`; any other character must appear literally. The parts must form a real date.
+ * `Date` objects have no textual format and pass if they are valid.
+ * Params: `format` (e.g. `"DD.MM.YYYY"`).
+ */
+export function dateFormat(
+  value,
+  label = "This field",
+  customErrorMsg,
+  params = {}
+) {
+  if (typeof params.format !== "string" || params.format === "") {
+    return invalidConfig(label);
+  }
+  if (isEmpty(value)) return true;
+  if (value instanceof Date) {
+    return parseDate(value)
+      ? true
+      : errorMessage(customErrorMsg, invalidDate(label));
+  }
+  const parts = [];
+  const source = params.format.replace(
+    /YYYY|MM|DD|HH|mm|ss|[.*+?^${}()|[\]\\]/g,
+    (token) => {
+      if (!FORMAT_TOKENS[token]) return `\\${token}`;
+      parts.push(FORMAT_TOKENS[token].part);
+      return FORMAT_TOKENS[token].pattern;
+    }
+  );
+  const match = new RegExp(`^${source}$`).exec(String(value).trim());
+  if (match) {
+    const found = {
+      year: 2000,
+      month: 1,
+      day: 1,
+      hours: 0,
+      minutes: 0,
+      seconds: 0,
+    };
+    parts.forEach((part, index) => {
+      found[part] = Number(match[index + 1]);
+    });
+    if (
+      found.hours <= 23 &&
+      found.minutes <= 59 &&
+      found.seconds <= 59 &&
+      buildDate(found.year, found.month, found.day)
+    ) {
+      return true;
+    }
+  }
+  return errorMessage(
+    customErrorMsg,
+    message("dateFormat", { label, format: params.format })
+  );
+}
+
+/**
+ * The value must be on or after a date. Params: `date`, or `field` (and `label`) of another field.
+ */
+export function minDate(
+  value,
+  label = "This field",
+  customErrorMsg,
+  params,
+  ctx
+) {
+  if (!hasBound(params)) return invalidConfig(label);
+  if (isEmpty(value)) return true;
+  const parsed = parseDate(value);
+  if (!parsed) return errorMessage(customErrorMsg, invalidDate(label));
+  const bound = getBound(params, ctx);
+  if (!bound || !bound.date || parsed >= bound.date) return true;
+  return errorMessage(
+    customErrorMsg,
+    message("minDate", { label, date: bound.text })
+  );
+}
+
+/**
+ * The value must be on or before a date. Params: `date`, or `field` (and `label`) of another field.
+ */
+export function maxDate(
+  value,
+  label = "This field",
+  customErrorMsg,
+  params,
+  ctx
+) {
+  if (!hasBound(params)) return invalidConfig(label);
+  if (isEmpty(value)) return true;
+  const parsed = parseDate(value);
+  if (!parsed) return errorMessage(customErrorMsg, invalidDate(label));
+  const bound = getBound(params, ctx);
+  if (!bound || !bound.date || parsed <= bound.date) return true;
+  return errorMessage(
+    customErrorMsg,
+    message("maxDate", { label, date: bound.text })
+  );
+}
+
+/**
+ * The value must fall within `params.min` and `params.max` (inclusive). Each bound is a date
+ * or `{ field, label }`.
+ */
+export function dateBetween(
+  value,
+  label = "This field",
+  customErrorMsg,
+  params,
+  ctx
+) {
+  if (!params || params.min === undefined || params.max === undefined) {
+    return invalidConfig(label);
+  }
+  if (isEmpty(value)) return true;
+  const parsed = parseDate(value);
+  if (!parsed) return errorMessage(customErrorMsg, invalidDate(label));
+  const lower = resolveBound(params.min, ctx);
+  const upper = resolveBound(params.max, ctx);
+  if (
+    (!lower || !lower.date || parsed >= lower.date) &&
+    (!upper || !upper.date || parsed <= upper.date)
+  ) {
+    return true;
+  }
+  return errorMessage(
+    customErrorMsg,
+    message("dateBetween", {
+      label,
+      min: lower ? lower.text : message("rangeStart"),
+      max: upper ? upper.text : message("rangeEnd"),
+    })
+  );
+}
+
+/**
+ * The value must be a 24-hour time, `HH:mm` or `HH:mm:ss`. `Date` objects pass if valid.
+ */
+export function time(value, label = "This field", customErrorMsg) {
+  if (isEmpty(value)) return true;
+  if (
+    value instanceof Date ? parseDate(value) : TIME.test(String(value).trim())
+  ) {
+    return true;
+  }
+  return errorMessage(customErrorMsg, message("time", { label }));
+}
+
+/**
+ * The value must lie in the future. A date-only value must be after today.
+ */
+export function futureDate(value, label = "This field", customErrorMsg) {
+  if (isEmpty(value)) return true;
+  const parsed = parseDate(value);
+  if (!parsed) return errorMessage(customErrorMsg, invalidDate(label));
+  const isFuture = isDateOnly(value)
+    ? parsed > startOfToday()
+    : parsed.getTime() > Date.now();
+  if (isFuture) return true;
+  return errorMessage(customErrorMsg, message("futureDate", { label }));
+}
+
+/**
+ * The value must lie in the past. A date-only value must be before today.
+ */
+export function pastDate(value, label = "This field", customErrorMsg) {
+  if (isEmpty(value)) return true;
+  const parsed = parseDate(value);
+  if (!parsed) return errorMessage(customErrorMsg, invalidDate(label));
+  const isPast = isDateOnly(value)
+    ? parsed < startOfToday()
+    : parsed.getTime() < Date.now();
+  if (isPast) return true;
+  return errorMessage(customErrorMsg, message("pastDate", { label }));
+}
+
+/**
+ * The value is a birth date; the person must be at least `params.years` old today.
+ */
+export function minAge(
+  value,
+  label = "This field",
+  customErrorMsg,
+  params = {}
+) {
+  if (!Number.isInteger(params.years) || params.years < 0) {
+    return invalidConfig(label);
+  }
+  if (isEmpty(value)) return true;
+  const parsed = parseDate(value);
+  if (!parsed) return errorMessage(customErrorMsg, invalidDate(label));
+  const today = startOfToday();
+  let age = today.getFullYear() - parsed.getFullYear();
+  if (
+    today.getMonth() < parsed.getMonth() ||
+    (today.getMonth() === parsed.getMonth() &&
+      today.getDate() < parsed.getDate())
+  ) {
+    age -= 1;
+  }
+  if (age >= params.years) return true;
+  return errorMessage(
+    customErrorMsg,
+    message("minAge", { label, count: params.years })
+  );
+}
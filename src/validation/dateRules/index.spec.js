@@ -0,0 +1,157 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import {
+  parseDate,
+  date,
+  dateFormat,
+  minDate,
+  maxDate,
+  dateBetween,
+  time,
+  futureDate,
+  pastDate,
+  minAge,
+} from "./index";
+import { translate } from "../../i18n";
+
+const en = (result) => translate(result, "en");
+
+const ctxFor = (model) => ({ getValue: vi.fn((path) => model[path]) });
+
+describe("dateRules", () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date(2024, 5, 15, 12, 0, 0));
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it("parseDate reads ISO strings and Date objects", () => {
+    expect(parseDate("2024-02-29")).toEqual(new Date(2024, 1, 29));
+    expect(parseDate("2024-02-29T10:15").getHours()).toBe(10);
+    expect(parseDate(new Date(2024, 0, 1))).toEqual(new Date(2024, 0, 1));
+    expect(parseDate("2023-02-29")).toBeNull();
+    expect(parseDate("15/06/2024")).toBeNull();
+    expect(parseDate(new Date("nope"))).toBeNull();
+  });
+
+  it("date accepts valid dates and empty values", () => {
+    expect(date("2024-06-01", "Start")).toBe(true);
+    expect(date(new Date(), "Start")).toBe(true);
+    expect(date("", "Start")).toBe(true);
+    expect(en(date("2024-13-01", "Start"))).toBe(
+      "Field Start must be a valid date."
+    );
+  });
+
+  it("dateFormat checks the pattern and the calendar", () => {
+    const params = { format: "DD.MM.YYYY" };
+    expect(dateFormat("29.02.2024", "Start", undefined, params)).toBe(true);
+    expect(en(dateFormat("30.02.2024", "Start", undefined, params))).toBe(
+      "Field Start must be a valid date in the format DD.MM.YYYY."
+    );
+    expect(en(dateFormat("2024-02-01", "Start", "Wrong format", params))).toBe(
+      "Wrong format"
+    );
+    expect(
+      en(
+        dateFormat("2024-02-01 25:00", "Start", undefined, {
+          format: "YYYY-MM-DD HH:mm",
+        })
+      )
+    ).toBe("Field Start must be a valid date in the format YYYY-MM-DD HH:mm.");
+    expect(en(dateFormat("01.02.2024", "Start"))).toBe(
+      "Start has an invalid validation rule configured."
+    );
+  });
+
+  it("minDate and maxDate compare inclusively against a fixed date", () => {
+    expect(
+      minDate("2024-06-01", "Start", undefined, { date: "2024-06-01" })
+    ).toBe(true);
+    expect(
+      en(minDate("2024-05-31", "Start", undefined, { date: "2024-06-01" }))
+    ).toBe("Field Start must be on or after 2024-06-01.");
+    expect(
+      en(
+        maxDate(new Date(2024, 6, 2), "Start", undefined, {
+          date: new Date(2024, 6, 1),
+        })
+      )
+    ).toBe("Field Start must be on or before 2024-07-01.");
+  });
+
+  it("minDate and maxDate report a misconfigured rule without a date or field", () => {
+    expect(en(minDate("2024-06-01", "Start"))).toBe(
+      "Start has an invalid validation rule configured."
+    );
+    expect(en(minDate("", "Start", undefined, {}))).toBe(
+      "Start has an invalid validation rule configured."
+    );
+    expect(en(maxDate("2024-06-01", "End", undefined, { label: "x" }))).toBe(
+      "End has an invalid validation rule configured."
+    );
+  });
+
+  it("minDate reads another field through the context", () => {
+    const ctx = ctxFor({ checkIn: "2024-07-10" });
+    const params = { field: "checkIn", label: "the check-in date" };
+    expect(en(minDate("2024-07-09", "Check-out", undefined, params, ctx))).toBe(
+      "Field Check-out must be on or after the check-in date."
+    );
+    expect(en(minDate("2024-07-12", "Check-out", undefined, params, ctx))).toBe(
+      true
+    );
+    expect(ctx.getValue).toHaveBeenCalledWith("checkIn");
+    expect(
+      minDate("2024-07-09", "Check-out", undefined, params, ctxFor({}))
+    ).toBe(true);
+  });
+
+  it("dateBetween mixes fixed and field bounds", () => {
+    const ctx = ctxFor({ end: "2024-07-31" });
+    const params = { min: "2024-07-01", max: { field: "end", label: "End" } };
+    expect(en(dateBetween("2024-07-15", "Day", undefined, params, ctx))).toBe(
+      true
+    );
+    expect(en(dateBetween("2024-08-01", "Day", undefined, params, ctx))).toBe(
+      "Field Day must be between 2024-07-01 and End."
+    );
+    expect(
+      en(dateBetween("2024-08-01", "Day", undefined, { min: "2024-07-01" }))
+    ).toBe("Day has an invalid validation rule configured.");
+  });
+
+  it("time accepts HH:mm and HH:mm:ss", () => {
+    expect(time("09:30", "Arrival")).toBe(true);
+    expect(time("23:59:59", "Arrival")).toBe(true);
+    expect(en(time("24:00", "Arrival"))).toBe(
+      "Field Arrival must be a valid time (HH:mm)."
+    );
+  });
+
+  it("futureDate and pastDate compare with today", () => {
+    expect(futureDate("2024-06-16", "Trip")).toBe(true);
+    expect(en(futureDate("2024-06-15", "Trip"))).toBe(
+      "Field Trip must be in the future."
+    );
+    expect(futureDate("2024-06-15T13:00", "Trip")).toBe(true);
+    expect(pastDate("2024-06-14", "Visit")).toBe(true);
+    expect(en(pastDate("2024-06-15", "Visit"))).toBe(
+      "Field Visit must be in the past."
+    );
+  });
+
+  it("minAge counts full years up to today", () => {
+    expect(minAge("2006-06-15", "Birth date", undefined, { years: 18 })).toBe(
+      true
+    );
+    expect(
+      en(minAge("2006-06-16", "Birth date", undefined, { years: 18 }))
+    ).toBe("Field Birth date must be a date at least 18 years ago.");
+    expect(en(minAge("2006-06-16", "Birth date"))).toBe(
+      "Birth date has an invalid validation rule configured."
+    );
+  });
+});
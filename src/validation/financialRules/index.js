@@ -0,0 +1,339 @@
+import { message } from "../../i18n";
+import { isEmpty, errorMessage } from "../helpers";
+
+/**
+ * Financial identifier rules: IBAN, BIC, payment cards and EU VAT numbers.
+ * Spaces (and, where common, hyphens or dots) are ignored; letters are case-insensitive.
+ * Empty values pass; combine with `required` to enforce presence.
+ *
+ * All rules share the signature `(value, label, customErrorMsg, params, ctx)`.
+ * `creditCard` reports the detected brand through `ctx.setMeta("cardBrand", brand)`,
+ * which the form passes on to the field component.
+ */
+
+/** IBAN lengths by ISO 3166-1 alpha-2 country code. */
+export const IBAN_LENGTHS = {
+  AD: 24,
+  AE: 23,
+  AL: 28,
+  AT: 20,
+  AZ: 28,
+  BA: 20,
+  BE: 16,
+  BG: 22,
+  BH: 22,
+  BR: 29,
+  CH: 21,
+  CR: 22,
+  CY: 28,
+  CZ: 24,
+  DE: 22,
+  DK: 18,
+  DO: 28,
+  EE: 20,
+  EG: 29,
+  ES: 24,
+  FI: 18,
+  FO: 18,
+  FR: 27,
+  GB: 22,
+  GE: 22,
+  GI: 23,
+  GL: 18,
+  GR: 27,
+  GT: 28,
+  HR: 21,
+  HU: 28,
+  IE: 22,
+  IL: 23,
+  IS: 26,
+  IT: 27,
+  JO: 30,
+  KW: 30,
+  KZ: 20,
+  LB: 28,
+  LI: 21,
+  LT: 20,
+  LU: 20,
+  LV: 21,
+  MC: 27,
+  MD: 24,
+  ME: 22,
+  MK: 19,
+  MR: 27,
+  MT: 31,
+  MU: 30,
+  NL: 18,
+  NO: 15,
+  PK: 24,
+  PL: 28,
+  PS: 29,
+  PT: 25,
+  QA: 29,
+  RO: 24,
+  RS: 22,
+  SA: 24,
+  SE: 24,
+  SI: 19,
+  SK: 24,
+  SM: 27,
+  TN: 24,
+  TR: 26,
+  UA: 29,
+  VA: 22,
+  VG: 24,
+  XK: 20,
+};
+
+/**
+ * Card brands in detection order: the first brand whose prefix matches wins,
+ * so narrower ranges (Discover's 622126-622925) come before wider ones (UnionPay's 62).
+ */
+export const CARD_BRANDS = [
+  { name: "amex", prefix: /^3[47]/, lengths: [15], cvvLength: 4 },
+  {
+    name: "diners",
+    prefix: /^3(0[0-5]|[689])/,
+    lengths: [14, 16, 19],
+    cvvLength: 3,
+  },
+  {
+    name: "jcb",
+    prefix: /^35(2[89]|[3-8])/,
+    lengths: [16, 17, 18, 19],
+    cvvLength: 3,
+  },
+  { name: "visa", prefix: /^4/, lengths: [13, 16, 19], cvvLength: 3 },
+  {
+    name: "mastercard",
+    prefix: /^(5[1-5]|2(2[2-9]|[3-6]|7[01]|720))/,
+    lengths: [16],
+    cvvLength: 3,
+  },
+  {
+    name: "maestro",
+    prefix: /^(5018|5020|5038|5893|6304|6759|676[1-3])/,
+    lengths: [12, 13, 14, 15, 16, 17, 18, 19],
+    cvvLength: 3,
+  },
+  {
+    name: "discover",
+    prefix:
+      /^(6011|64[4-9]|65|622(12[6-9]|1[3-9]\d|[2-8]\d\d|9[01]\d|92[0-5]))/,
+    lengths: [16, 17, 18, 19],
+    cvvLength: 3,
+  },
+  { name: "unionpay", prefix: /^62/, lengths: [16, 17, 18, 19], cvvLength: 3 },
+];
+
+/** EU VAT number formats (without the country prefix) by VAT country code. */
+export const VAT_PATTERNS = {
+  AT: /^U\d{8}$/,
+  BE: /^[01]\d{9}$/,
+  BG: /^\d{9,10}$/,
+  CY: /^\d{8}[A-Z]$/,
+  CZ: /^\d{8,10}$/,
+  DE: /^\d{9}$/,
+  DK: /^\d{8}$/,
+  EE: /^\d{9}$/,
+  EL: /^\d{9}$/,
+  ES: /^[A-Z\d]\d{7}[A-Z\d]$/,
+  FI: /^\d{8}$/,
+  FR: /^[A-HJ-NP-Z\d]{2}\d{9}$/,
+  HR: /^\d{11}$/,
+  HU: /^\d{8}$/,
+  IE: /^(\d{7}[A-W][A-I]?|\d[A-Z+*]\d{5}[A-W])$/,
+  IT: /^\d{11}$/,
+  LT: /^(\d{9}|\d{12})$/,
+  LU: /^\d{8}$/,
+  LV: /^\d{11}$/,
+  MT: /^\d{8}$/,
+  NL: /^\d{9}B\d{2}$/,
+  PL: /^\d{10}$/,
+  PT: /^\d{9}$/,
+  RO: /^\d{2,10}$/,
+  SE: /^\d{10}01$/,
+  SI: /^\d{8}$/,
+  SK: /^\d{10}$/,
+  XI: /^(\d{9}|\d{12}|GD\d{3}|HA\d{3})$/,
+};
+
+const compact = (value, separators = /\s/g) =>
+  String(value).replace(separators, "").toUpperCase();
+
+const setMeta = (ctx, key, value) => {
+  if (ctx && typeof ctx.setMeta === "function") ctx.setMeta(key, value);
+};
+
+/**
+ * Detects the card brand from the leading digits of a card number.
+ * @param {string|number} cardNumber - The card number; spaces and hyphens are ignored.
+ * @returns {string|null} The brand name (e.g. `"visa"`), or null if unknown.
+ */
+export function detectCardBrand(cardNumber) {
+  if (isEmpty(cardNumber)) return null;
+  const digits = compact(cardNumber, /[\s-]/g);
+  if (!/^\d+$/.test(digits)) return null;
+  const brand = CARD_BRANDS.find((candidate) => candidate.prefix.test(digits));
+  return brand ? brand.name : null;
+}
+
+const passesLuhn = (digits) => {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+};
+
+/**
+ * Validates an IBAN: the country's length and the ISO 7064 mod-97 checksum.
+ * Params: `country` - if set, the IBAN must belong to that country.
+ */
+export function iban(value, label = "This field", customErrorMsg, params = {}) {
+  if (isEmpty(value)) return true;
+  const text = compact(value);
+  const country = text.slice(0, 2);
+  let isValid =
+    /^[A-Z]{2}\d{2}[A-Z\d]+$/.test(text) &&
+    IBAN_LENGTHS[country] === text.length &&
+    (!params.country || params.country.toUpperCase() === country);
+  if (isValid) {
+    // Move the country code and check digits to the end, turn letters into numbers
+    // (A = 10 ... Z = 35) and compute the remainder piecewise to stay within safe integers.
+    const rearranged = text.slice(4) + text.slice(0, 4);
+    let remainder = 0;
+    for (const char of rearranged) {
+      const chunk = /\d/.test(char) ? char : String(char.charCodeAt(0) - 55);
+      remainder = Number(`${remainder}${chunk}`) % 97;
+    }
+    isValid = remainder === 1;
+  }
+  if (isValid) return true;
+  return errorMessage(customErrorMsg, message("iban", { label }));
+}
+
+/**
+ * Validates a BIC (SWIFT code): 8 or 11 characters.
+ */
+export function bic(value, label = "This field", customErrorMsg) {
+  if (
+    isEmpty(value) ||
+    /^[A-Z]{4}[A-Z]{2}[A-Z\d]{2}([A-Z\d]{3})?$/.test(compact(value))
+  ) {
+    return true;
+  }
+  return errorMessage(customErrorMsg, message("bic", { label }));
+}
+
+/**
+ * Validates a card number: digits only (spaces and hyphens allowed), a length valid for the
+ * detected brand and the Luhn checksum. Params: `brands` - if set, only these brands are accepted.
+ * The detected brand (or null) is stored as the `cardBrand` metadata of the field.
+ */
+export function creditCard(
+  value,
+  label = "This field",
+  customErrorMsg,
+  params = {},
+  ctx
+) {
+  const brandName = detectCardBrand(value);
+  setMeta(ctx, "cardBrand", brandName);
+  if (isEmpty(value)) return true;
+  const digits = compact(value, /[\s-]/g);
+  const brand = CARD_BRANDS.find((candidate) => candidate.name === brandName);
+  const isValid =
+    /^\d+$/.test(digits) &&
+    (brand
+      ? brand.lengths.includes(digits.length)
+      : digits.length >= 12 && digits.length <= 19) &&
+    passesLuhn(digits);
+  if (!isValid) {
+    return errorMessage(customErrorMsg, message("creditCard", { label }));
+  }
+  if (Array.isArray(params.brands) && !params.brands.includes(brandName)) {
+    return errorMessage(
+      customErrorMsg,
+      message("cardBrand", { label, brands: params.brands })
+    );
+  }
+  return true;
+}
+
+/**
+ * Validates a card security code. Params: `field` - path of the card number field; its brand
+ * decides the length (4 digits for American Express, 3 otherwise). Without it, 3 or 4 digits pass.
+ */
+export function cvv(
+  value,
+  label = "This field",
+  customErrorMsg,
+  params = {},
+  ctx
+) {
+  if (isEmpty(value)) return true;
+  const cardNumber =
+    params.field && ctx && typeof ctx.getValue === "function"
+      ? ctx.getValue(params.field)
+      : undefined;
+  const brandName = detectCardBrand(cardNumber);
+  const brand = CARD_BRANDS.find((candidate) => candidate.name === brandName);
+  const text = String(value).trim();
+  if (brand) {
+    if (new RegExp(`^\\d{${brand.cvvLength}}$`).test(text)) return true;
+    return errorMessage(
+      customErrorMsg,
+      message("cvvLength", { label, count: brand.cvvLength })
+    );
+  }
+  if (/^\d{3,4}$/.test(text)) return true;
+  return errorMessage(customErrorMsg, message("cvv", { label }));
+}
+
+/**
+ * Validates a card expiry date given as `MM/YY` or `MM/YYYY`. The card is valid through
+ * the last day of the expiry month.
+ */
+export function cardExpiry(value, label = "This field", customErrorMsg) {
+  if (isEmpty(value)) return true;
+  const match = /^(0[1-9]|1[0-2])\s?\/\s?(\d{2}|\d{4})$/.exec(
+    String(value).trim()
+  );
+  if (!match) {
+    return errorMessage(customErrorMsg, message("cardExpiry", { label }));
+  }
+  const year =
+    match[2].length === 2 ? 2000 + Number(match[2]) : Number(match[2]);
+  // Day 1 of the month after the expiry month, local time.
+  const expiresAt = new Date(year, Number(match[1]), 1);
+  if (Date.now() < expiresAt.getTime()) return true;
+  return errorMessage(customErrorMsg, message("cardExpired", { label }));
+}
+
+/**
+ * Checks the format of an EU VAT number, including its country prefix (e.g. `DE123456789`).
+ * Params: `country` - if set, the number must belong to that VAT country code.
+ */
+export function vatNumber(
+  value,
+  label = "This field",
+  customErrorMsg,
+  params = {}
+) {
+  if (isEmpty(value)) return true;
+  const text = compact(value, /[\s.-]/g);
+  const country = text.slice(0, 2);
+  const pattern = VAT_PATTERNS[country];
+  const isValid =
+    !!pattern &&
+    pattern.test(text.slice(2)) &&
+    (!params.country || params.country.toUpperCase() === country);
+  if (isValid) return true;
+  return errorMessage(customErrorMsg, message("vatNumber", { label }));
+}
@@ -0,0 +1,129 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import {
+  detectCardBrand,
+  iban,
+  bic,
+  creditCard,
+  cvv,
+  cardExpiry,
+  vatNumber,
+} from "./index";
+import { translate } from "../../i18n";
+
+const en = (result) => translate(result, "en");
+
+describe("financialRules", () => {
+  it("iban checks the country length and mod-97 checksum", () => {
+    expect(iban("DE89 3704 0044 0532 0130 00", "IBAN")).toBe(true);
+    expect(iban("gb82west12345698765432", "IBAN")).toBe(true);
+    expect(en(iban("DE89 3704 0044 0532 0130 01", "IBAN"))).toBe(
+      "Field IBAN is not a valid IBAN."
+    );
+    expect(en(iban("DE89 3704 0044 0532 0130", "IBAN"))).toBe(
+      "Field IBAN is not a valid IBAN."
+    );
+    expect(
+      en(
+        iban("GB82WEST12345698765432", "IBAN", "Wrong IBAN", { country: "DE" })
+      )
+    ).toBe("Wrong IBAN");
+  });
+
+  it("bic accepts 8 and 11 character codes", () => {
+    expect(bic("DEUTDEFF", "BIC")).toBe(true);
+    expect(bic("deutdeff500", "BIC")).toBe(true);
+    expect(en(bic("DEUTDEF", "BIC"))).toBe("Field BIC is not a valid BIC.");
+  });
+
+  it("detectCardBrand recognises brands by prefix", () => {
+    expect(detectCardBrand("4111 1111 1111 1111")).toBe("visa");
+    expect(detectCardBrand("5500000000000004")).toBe("mastercard");
+    expect(detectCardBrand("2221000000000009")).toBe("mastercard");
+    expect(detectCardBrand("378282246310005")).toBe("amex");
+    expect(detectCardBrand("6011111111111117")).toBe("discover");
+    expect(detectCardBrand("6200000000000005")).toBe("unionpay");
+    expect(detectCardBrand("9999")).toBeNull();
+  });
+
+  it("creditCard validates Luhn and length and reports the brand", () => {
+    const ctx = { setMeta: vi.fn() };
+    expect(creditCard("4111-1111-1111-1111", "Card", undefined, {}, ctx)).toBe(
+      true
+    );
+    expect(ctx.setMeta).toHaveBeenLastCalledWith("cardBrand", "visa");
+
+    expect(en(creditCard("4111111111111112", "Card", undefined, {}, ctx))).toBe(
+      "Field Card is not a valid card number."
+    );
+    expect(en(creditCard("37828224631000", "Card", undefined, {}, ctx))).toBe(
+      "Field Card is not a valid card number."
+    );
+    expect(ctx.setMeta).toHaveBeenLastCalledWith("cardBrand", "amex");
+
+    expect(creditCard("", "Card", undefined, {}, ctx)).toBe(true);
+    expect(ctx.setMeta).toHaveBeenLastCalledWith("cardBrand", null);
+  });
+
+  it("creditCard restricts accepted brands", () => {
+    expect(
+      en(
+        creditCard("378282246310005", "Card", undefined, {
+          brands: ["visa", "mastercard"],
+        })
+      )
+    ).toBe("Field Card must be one of these cards: visa, mastercard.");
+  });
+
+  it("cvv length follows the brand of the card number field", () => {
+    const model = { cardNumber: "378282246310005" };
+    const ctx = { getValue: vi.fn((path) => model[path]) };
+    const params = { field: "cardNumber" };
+    expect(cvv("1234", "CVV", undefined, params, ctx)).toBe(true);
+    expect(en(cvv("123", "CVV", undefined, params, ctx))).toBe(
+      "Field CVV must be 4 digits."
+    );
+    model.cardNumber = "4111111111111111";
+    expect(en(cvv("1234", "CVV", undefined, params, ctx))).toBe(
+      "Field CVV must be 3 digits."
+    );
+    expect(ctx.getValue).toHaveBeenCalledWith("cardNumber");
+    expect(en(cvv("12", "CVV"))).toBe("Field CVV must be 3 or 4 digits.");
+  });
+
+  describe("cardExpiry", () => {
+    beforeEach(() => {
+      vi.useFakeTimers();
+      vi.setSystemTime(new Date(2024, 5, 15));
+    });
+
+    afterEach(() => {
+      vi.useRealTimers();
+    });
+
+    it("accepts the current and future months", () => {
+      expect(cardExpiry("06/24", "Expiry")).toBe(true);
+      expect(cardExpiry("01/2030", "Expiry")).toBe(true);
+      expect(en(cardExpiry("05/24", "Expiry"))).toBe(
+        "Field Expiry has expired."
+      );
+      expect(en(cardExpiry("13/24", "Expiry"))).toBe(
+        "Field Expiry must be a valid expiry date (MM/YY)."
+      );
+    });
+  });
+
+  it("vatNumber checks EU formats", () => {
+    expect(vatNumber("DE123456789", "VAT")).toBe(true);
+    expect(vatNumber("BG 123 456 789", "VAT")).toBe(true);
+    expect(vatNumber("NL123456789B01", "VAT")).toBe(true);
+    expect(en(vatNumber("DE12345678", "VAT"))).toBe(
+      "Field VAT is not a valid VAT number."
+    );
+    expect(en(vatNumber("US123456789", "VAT"))).toBe(
+      "Field VAT is not a valid VAT number."
+    );
+    expect(
+      en(vatNumber("DE123456789", "VAT", undefined, { country: "AT" }))
+    ).toBe("Field VAT is not a valid VAT number.");
+  });
+});
@@ -0,0 +1,38 @@
+import { message } from "../../i18n";
+
+/**
+ * Checks whether a value counts as "not provided": null, undefined or a blank string.
+ * Most rules let such values pass and leave presence checks to `required`.
+ * @param {any} value - The value to check.
+ * @returns {boolean} True if the value is empty.
+ */
+export function isEmpty(value) {
+  return (
+    value === null ||
+    value === undefined ||
+    (typeof value === "string" && value.trim() === "")
+  );
+}
+
+/**
+ * Picks the message a failing rule returns: the custom one if configured, otherwise the default.
+ * @param {string} [customErrorMsg] - The custom error message from the rule configuration.
+ * @param {import("../../i18n").ValidationMessage} defaultMsg - The rule's default message, translated by the form.
+ * @returns {string|import("../../i18n").ValidationMessage} The error message.
+ */
+export function errorMessage(customErrorMsg, defaultMsg) {
+  if (!!customErrorMsg && typeof customErrorMsg == "string") {
+    return customErrorMsg;
+  }
+  return defaultMsg;
+}
+
+/**
+ * The message for a rule whose params are missing or invalid. It ignores custom messages,
+ * since it points at a configuration mistake rather than at the user's input.
+ * @param {string} label - The field label.
+ * @returns {import("../../i18n").ValidationMessage} The message.
+ */
+export function invalidConfig(label) {
+  return message("invalidRuleConfig", { label });
+}
@@ -1,4 +1,5 @@
 import isRequired from "./isRequired";
+import oneOf from "./oneOf";
 import {
   matchRegex,
   isEmail,
@@ -6,7 +7,55 @@ import {
   isIPv4Address,
   isIPv6Address,
   isString,
+  isUrl,
+  isE164Phone,
+  isPostalCode,
+  isUUID,
+  isSlug,
+  isHexColor,
+  isCIDR,
+  isMacAddress,
+  isPort,
+  matchPattern,
 } from "./regexValidations";
+import {
+  sameAs,
+  differentFrom,
+  requiredIf,
+  requiredUnless,
+  before,
+  after,
+} from "./crossFieldRules";
+import {
+  isNumeric,
+  isInteger,
+  min,
+  max,
+  between,
+  decimal,
+  positive,
+} from "./numberRules";
+import { minLength, maxLength, lengthBetween } from "./lengthRules";
+import {
+  date,
+  dateFormat,
+  minDate,
+  maxDate,
+  dateBetween,
+  time,
+  futureDate,
+  pastDate,
+  minAge,
+} from "./dateRules";
+import {
+  iban,
+  bic,
+  creditCard,
+  cvv,
+  cardExpiry,
+  vatNumber,
+} from "./financialRules";
+import { passwordStrength } from "./passwordRules";
 
 export default {
   isRequired: isRequired,
@@ -17,4 +66,47 @@ export default {
   ipv4: isIPv4Address,
   ipv6: isIPv6Address,
   matchRegex,
+  pattern: matchPattern,
+  oneOf,
+  url: isUrl,
+  e164Phone: isE164Phone,
+  postalCode: isPostalCode,
+  uuid: isUUID,
+  slug: isSlug,
+  hexColor: isHexColor,
+  cidr: isCIDR,
+  macAddress: isMacAddress,
+  port: isPort,
+  numeric: isNumeric,
+  integer: isInteger,
+  min,
+  max,
+  between,
+  decimal,
+  positive,
+  minLength,
+  maxLength,
+  lengthBetween,
+  date,
+  dateFormat,
+  minDate,
+  maxDate,
+  dateBetween,
+  time,
+  futureDate,
+  pastDate,
+  minAge,
+  iban,
+  bic,
+  creditCard,
+  cvv,
+  cardExpiry,
+  vatNumber,
+  passwordStrength,
+  sameAs,
+  differentFrom,
+  requiredIf,
+  requiredUnless,
+  before,
+  after,
 };
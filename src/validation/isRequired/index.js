@@ -1,3 +1,5 @@
+import { message } from "../../i18n";
+
 /**
  * Checks if a value is provided (not null, not an empty string, not undefined).
  * For strings, it trims whitespace before checking for emptiness.
@@ -5,7 +7,8 @@
  * @param {any} value - The value to check.
  * @param {string} [label="This field"] - The label of the field, used in the default error message.
  * @param {string} [customErrorMsg] - A custom error message to return if validation fails.
- * @returns {boolean|string} True if the value is provided, otherwise an error message string.
+ * @returns {boolean|string|import("../../i18n").ValidationMessage} True if the value is provided, otherwise
+ *   the custom error message or the `required` message.
  */
 export default function isRequired(
   value,
@@ -20,5 +23,5 @@ export default function isRequired(
   if (!!customErrorMsg && typeof customErrorMsg == "string") {
     return customErrorMsg;
   }
-  return `Field ${label} is required.`;
+  return message("required", { label });
 }
@@ -0,0 +1,70 @@
+import { message } from "../../i18n";
+import { isEmpty, errorMessage, invalidConfig } from "../helpers";
+
+/**
+ * Length rules. Strings are measured in characters, arrays in items;
+ * other values are converted to strings first.
+ * Empty values pass `maxLength` and `lengthBetween`; combine with `required` to enforce presence.
+ * `minLength` counts an empty value as 0 characters long, so it fails a positive `min`
+ * (as the built-in `minLength` always did). A missing or invalid bound is a configuration
+ * error and reported as such, whatever the value.
+ *
+ * All rules share the signature `(value, label, customErrorMsg, params)`.
+ */
+
+const getLength = (value) =>
+  Array.isArray(value) ? value.length : String(value).length;
+
+const isValidBound = (bound) => Number.isInteger(bound) && bound >= 0;
+
+export function minLength(
+  value,
+  label = "This field",
+  customErrorMsg,
+  params = {}
+) {
+  if (!isValidBound(params.min)) return invalidConfig(label);
+  if (getLength(value ?? "") >= params.min) return true;
+  return errorMessage(
+    customErrorMsg,
+    Array.isArray(value)
+      ? message("minItems", { label, count: params.min })
+      : message("minLength", { label, count: params.min })
+  );
+}
+
+export function maxLength(
+  value,
+  label = "This field",
+  customErrorMsg,
+  params = {}
+) {
+  if (!isValidBound(params.max)) return invalidConfig(label);
+  if (isEmpty(value) || getLength(value) <= params.max) return true;
+  return errorMessage(
+    customErrorMsg,
+    Array.isArray(value)
+      ? message("maxItems", { label, count: params.max })
+      : message("maxLength", { label, count: params.max })
+  );
+}
+
+export function lengthBetween(
+  value,
+  label = "This field",
+  customErrorMsg,
+  params = {}
+) {
+  if (!isValidBound(params.min) || !isValidBound(params.max)) {
+    return invalidConfig(label);
+  }
+  if (isEmpty(value)) return true;
+  const length = getLength(value);
+  if (length >= params.min && length <= params.max) return true;
+  return errorMessage(
+    customErrorMsg,
+    Array.isArray(value)
+      ? message("itemsBetween", { label, min: params.min, max: params.max })
+      : message("lengthBetween", { label, min: params.min, max: params.max })
+  );
+}
@@ -0,0 +1,55 @@
+import { describe, it, expect } from "vitest";
+import { minLength, maxLength, lengthBetween } from "./index";
+import { translate } from "../../i18n";
+
+const en = (result) => translate(result, "en");
+
+describe("lengthRules", () => {
+  it("minLength checks the string length", () => {
+    expect(minLength("abc", "Name", undefined, { min: 3 })).toBe(true);
+    expect(en(minLength("ab", "Name", undefined, { min: 3 }))).toBe(
+      "Field Name must be at least 3 characters long."
+    );
+  });
+
+  it("minLength counts empty values as 0 characters long", () => {
+    expect(en(minLength("", "Name", undefined, { min: 3 }))).toBe(
+      "Field Name must be at least 3 characters long."
+    );
+    expect(en(minLength(null, "Name", undefined, { min: 1 }))).toBe(
+      "Field Name must be at least 1 character long."
+    );
+    expect(minLength("", "Name", undefined, { min: 0 })).toBe(true);
+    expect(maxLength("", "Name", undefined, { max: 3 })).toBe(true);
+  });
+
+  it("maxLength checks the string length and honours custom messages", () => {
+    expect(en(maxLength("abcd", "Code", undefined, { max: 3 }))).toBe(
+      "Field Code must be at most 3 characters long."
+    );
+    expect(en(maxLength("abcd", "Code", "Too long", { max: 3 }))).toBe(
+      "Too long"
+    );
+  });
+
+  it("lengthBetween counts array items", () => {
+    expect(
+      en(lengthBetween(["a"], "Tags", undefined, { min: 2, max: 4 }))
+    ).toBe("Field Tags must contain between 2 and 4 items.");
+    expect(en(lengthBetween("abc", "Pin", undefined, { min: 2, max: 4 }))).toBe(
+      true
+    );
+  });
+
+  it("reports a misconfigured rule when bounds are missing", () => {
+    expect(en(minLength("abc", "Name"))).toBe(
+      "Name has an invalid validation rule configured."
+    );
+    expect(en(minLength("", "Name", undefined, {}))).toBe(
+      "Name has an invalid validation rule configured."
+    );
+    expect(en(minLength("abc", "Name", undefined, { min: -1 }))).toBe(
+      "Name has an invalid validation rule configured."
+    );
+  });
+});
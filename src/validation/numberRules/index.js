@@ -0,0 +1,117 @@
+import { message } from "../../i18n";
+import { isEmpty, errorMessage, invalidConfig } from "../helpers";
+
+/**
+ * Numeric rules. Values may be numbers or numeric strings (e.g. from a text input).
+ * Empty values pass; combine with `required` to enforce presence.
+ *
+ * All rules share the signature `(value, label, customErrorMsg, params)`.
+ */
+
+const NUMERIC_REGEX = /^[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/;
+
+const toNumber = (value) => {
+  if (typeof value === "number") {
+    return Number.isFinite(value) ? value : NaN;
+  }
+  if (typeof value === "string" && NUMERIC_REGEX.test(value.trim())) {
+    return Number(value.trim());
+  }
+  return NaN;
+};
+
+const isValidBound = (bound) =>
+  typeof bound === "number" && !Number.isNaN(bound);
+
+export function isNumeric(value, label = "This field", customErrorMsg) {
+  if (isEmpty(value) || !Number.isNaN(toNumber(value))) {
+    return true;
+  }
+  return errorMessage(customErrorMsg, message("numeric", { label }));
+}
+
+export function isInteger(value, label = "This field", customErrorMsg) {
+  if (isEmpty(value) || Number.isInteger(toNumber(value))) {
+    return true;
+  }
+  return errorMessage(customErrorMsg, message("integer", { label }));
+}
+
+export function min(value, label = "This field", customErrorMsg, params = {}) {
+  if (!isValidBound(params.min)) return invalidConfig(label);
+  if (isEmpty(value)) return true;
+  const number = toNumber(value);
+  if (Number.isNaN(number)) return isNumeric(value, label, customErrorMsg);
+  if (number >= params.min) return true;
+  return errorMessage(
+    customErrorMsg,
+    message("min", { label, min: params.min })
+  );
+}
+
+export function max(value, label = "This field", customErrorMsg, params = {}) {
+  if (!isValidBound(params.max)) return invalidConfig(label);
+  if (isEmpty(value)) return true;
+  const number = toNumber(value);
+  if (Number.isNaN(number)) return isNumeric(value, label, customErrorMsg);
+  if (number <= params.max) return true;
+  return errorMessage(
+    customErrorMsg,
+    message("max", { label, max: params.max })
+  );
+}
+
+export function between(
+  value,
+  label = "This field",
+  customErrorMsg,
+  params = {}
+) {
+  if (!isValidBound(params.min) || !isValidBound(params.max)) {
+    return invalidConfig(label);
+  }
+  if (isEmpty(value)) return true;
+  const number = toNumber(value);
+  if (Number.isNaN(number)) return isNumeric(value, label, customErrorMsg);
+  if (number >= params.min && number <= params.max) return true;
+  return errorMessage(
+    customErrorMsg,
+    message("between", { label, min: params.min, max: params.max })
+  );
+}
+
+/**
+ * Accepts plain decimal numbers. With `params.places`, allows at most that many decimal places.
+ */
+export function decimal(
+  value,
+  label = "This field",
+  customErrorMsg,
+  params = {}
+) {
+  const { places } = params;
+  if (places !== undefined && !(Number.isInteger(places) && places >= 0)) {
+    return invalidConfig(label);
+  }
+  if (isEmpty(value)) return true;
+  const text = String(value).trim();
+  const fraction = places === undefined ? "\\d+" : `\\d{1,${places}}`;
+  const pattern =
+    places === 0
+      ? /^[+-]?\d+$/
+      : new RegExp(`^[+-]?(\\d+(\\.${fraction})?|\\.${fraction})$`);
+  if (pattern.test(text)) return true;
+  return errorMessage(
+    customErrorMsg,
+    places === undefined
+      ? message("decimal", { label })
+      : message("decimalPlaces", { label, count: places })
+  );
+}
+
+export function positive(value, label = "This field", customErrorMsg) {
+  if (isEmpty(value)) return true;
+  const number = toNumber(value);
+  if (number > 0) return true;
+  return errorMessage(customErrorMsg, message("positive", { label }));
+}
@@ -0,0 +1,82 @@
+import { describe, it, expect } from "vitest";
+import {
+  isNumeric,
+  isInteger,
+  min,
+  max,
+  between,
+  decimal,
+  positive,
+} from "./index";
+import { translate } from "../../i18n";
+
+const en = (result) => translate(result, "en");
+
+describe("numberRules", () => {
+  it("isNumeric accepts numbers and numeric strings", () => {
+    expect(isNumeric(12.5, "Amount")).toBe(true);
+    expect(isNumeric(" -3e2 ", "Amount")).toBe(true);
+    expect(isNumeric("", "Amount")).toBe(true);
+    expect(en(isNumeric("12a", "Amount"))).toBe(
+      "Field Amount must be a number."
+    );
+    expect(en(isNumeric(NaN, "Amount", "Numbers only"))).toBe("Numbers only");
+  });
+
+  it("isInteger rejects fractions", () => {
+    expect(isInteger("42", "Qty")).toBe(true);
+    expect(en(isInteger(4.2, "Qty"))).toBe("Field Qty must be a whole number.");
+  });
+
+  it("min / max / between compare against their params", () => {
+    expect(en(min("5", "Age", undefined, { min: 18 }))).toBe(
+      "Field Age must be at least 18."
+    );
+    expect(min(18, "Age", undefined, { min: 18 })).toBe(true);
+    expect(en(max(101, "Age", undefined, { max: 100 }))).toBe(
+      "Field Age must be at most 100."
+    );
+    expect(en(between(7, "Rating", undefined, { min: 1, max: 5 }))).toBe(
+      "Field Rating must be between 1 and 5."
+    );
+    expect(en(between("3", "Rating", undefined, { min: 1, max: 5 }))).toBe(
+      true
+    );
+    expect(en(min("abc", "Age", undefined, { min: 1 }))).toBe(
+      "Field Age must be a number."
+    );
+  });
+
+  it("reports a misconfigured rule when bounds are missing", () => {
+    expect(en(min(5, "Age"))).toBe(
+      "Age has an invalid validation rule configured."
+    );
+    expect(en(between(5, "Age", undefined, { min: 1 }))).toBe(
+      "Age has an invalid validation rule configured."
+    );
+  });
+
+  it("decimal limits the number of decimal places", () => {
+    expect(decimal("12.34", "Price", undefined, { places: 2 })).toBe(true);
+    expect(en(decimal("12.345", "Price", undefined, { places: 2 }))).toBe(
+      "Field Price must be a number with at most 2 decimal places."
+    );
+    expect(en(decimal("12.5", "Price", undefined, { places: 0 }))).toBe(
+      "Field Price must be a number with at most 0 decimal places."
+    );
+    expect(decimal("1.23456", "Price")).toBe(true);
+    expect(en(decimal("1.2.3", "Price"))).toBe(
+      "Field Price must be a decimal number."
+    );
+  });
+
+  it("positive requires a number greater than zero", () => {
+    expect(positive("0.01", "Amount")).toBe(true);
+    expect(en(positive(0, "Amount"))).toBe(
+      "Field Amount must be a positive number."
+    );
+    expect(en(positive(-1, "Amount", "Must be positive"))).toBe(
+      "Must be positive"
+    );
+  });
+});
@@ -0,0 +1,26 @@
+import { message } from "../../i18n";
+import { isEmpty, errorMessage, invalidConfig } from "../helpers";
+
+/**
+ * Checks that the value is one of the allowed values (strict equality), e.g. a JSON Schema `enum`.
+ * Empty values pass; combine with `required` to enforce presence.
+ *
+ * @param {any} value - The value to check.
+ * @param {string} [label="This field"] - The label of the field, used in the default error message.
+ * @param {string} [customErrorMsg] - A custom error message to return if validation fails.
+ * @param {{ values: Array }} params - The allowed values.
+ * @returns {boolean|string|import("../../i18n").ValidationMessage} True if allowed, otherwise the error message.
+ */
+export default function oneOf(
+  value,
+  label = "This field",
+  customErrorMsg,
+  params = {}
+) {
+  if (!Array.isArray(params.values)) return invalidConfig(label);
+  if (isEmpty(value) || params.values.includes(value)) return true;
+  return errorMessage(
+    customErrorMsg,
+    message("oneOf", { label, values: params.values.map(String) })
+  );
+}
@@ -0,0 +1,24 @@
+import { describe, it, expect } from "vitest";
+import oneOf from "./index";
+import { translate } from "../../i18n";
+
+describe("oneOf", () => {
+  it("accepts the listed values and empty values", () => {
+    const params = { values: ["draft", "published", 3] };
+    expect(oneOf("draft", "Status", undefined, params)).toBe(true);
+    expect(oneOf(3, "Status", undefined, params)).toBe(true);
+    expect(oneOf("", "Status", undefined, params)).toBe(true);
+    expect(translate(oneOf("3", "Status", undefined, params), "en")).toBe(
+      "Field Status must be one of: draft, published, 3."
+    );
+    expect(oneOf("archived", "Status", "Pick a status", params)).toBe(
+      "Pick a status"
+    );
+  });
+
+  it("reports a misconfigured rule when values are missing", () => {
+    expect(translate(oneOf("draft", "Status"), "en")).toBe(
+      "Status has an invalid validation rule configured."
+    );
+  });
+});
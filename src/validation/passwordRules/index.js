@@ -0,0 +1,171 @@
+import { message, translate } from "../../i18n";
+import { isEmpty, errorMessage } from "../helpers";
+
+/**
+ * Password strength rule. Besides returning `true` or a message like every rule, it reports
+ * structured feedback through `ctx.setMeta("passwordStrength", { score, maxScore, unmet })`,
+ * which PreskoFormItem passes to the field component (by default as the `passwordStrength` prop).
+ * The `unmet` messages are translated for `ctx.locale` when the rule runs.
+ */
+
+/** A small built-in list of very common passwords, used when no `blocklist` is configured. */
+export const COMMON_PASSWORDS = [
+  "123456",
+  "12345678",
+  "123456789",
+  "1234567890",
+  "111111",
+  "000000",
+  "password",
+  "password1",
+  "password123",
+  "qwerty",
+  "qwerty123",
+  "qwertyuiop",
+  "abc123",
+  "letmein",
+  "welcome",
+  "admin",
+  "iloveyou",
+  "monkey",
+  "dragon",
+  "sunshine",
+  "football",
+  "princess",
+];
+
+const CHARACTER_CLASSES = {
+  lowercase: { pattern: /[a-z]/, messageKey: "passwordLowercase" },
+  uppercase: { pattern: /[A-Z]/, messageKey: "passwordUppercase" },
+  digit: { pattern: /\d/, messageKey: "passwordDigit" },
+  symbol: { pattern: /[^A-Za-z\d\s]/, messageKey: "passwordSymbol" },
+};
+
+/** Maximum strength score. */
+export const MAX_PASSWORD_SCORE = 4;
+
+/**
+ * Lists the parts of another field's value a password must not contain: the whole value
+ * and, for an email address, its local part. Parts shorter than 3 characters are ignored.
+ */
+const getForbiddenParts = (otherValue) => {
+  if (isEmpty(otherValue)) return [];
+  const text = String(otherValue).trim().toLowerCase();
+  const parts = [text];
+  if (text.includes("@")) parts.push(text.split("@")[0]);
+  return parts.filter((part) => part.length >= 3);
+};
+
+/**
+ * Checks a password against each configured requirement.
+ * @returns {Array<{ requirement: string, message: import("../../i18n").ValidationMessage, met: boolean }>} The checks.
+ */
+const runChecks = (value, params, ctx) => {
+  const password = isEmpty(value) ? "" : String(value);
+  const {
+    minLength = 8,
+    require = ["lowercase", "uppercase", "digit"],
+    blocklist = COMMON_PASSWORDS,
+    notContaining = [],
+  } = params;
+
+  const checks = [
+    {
+      requirement: "minLength",
+      message: message("passwordMinLength", { count: minLength }),
+      met: password.length >= minLength,
+    },
+    ...require
+      .filter((name) => CHARACTER_CLASSES[name])
+      .map((name) => ({
+        requirement: name,
+        message: message(CHARACTER_CLASSES[name].messageKey),
+        met: CHARACTER_CLASSES[name].pattern.test(password),
+      })),
+  ];
+  if (blocklist.length > 0) {
+    const lowered = password.toLowerCase();
+    checks.push({
+      requirement: "blocklist",
+      message: message("passwordBlocklist"),
+      met:
+        password !== "" &&
+        !blocklist.some((blocked) => String(blocked).toLowerCase() === lowered),
+    });
+  }
+  notContaining.forEach((entry) => {
+    const field = typeof entry === "string" ? entry : entry.field;
+    const otherValue =
+      ctx && typeof ctx.getValue === "function"
+        ? ctx.getValue(field)
+        : undefined;
+    const lowered = password.toLowerCase();
+    checks.push({
+      requirement: `notContaining:${field}`,
+      message: message("passwordNotContaining", {
+        field: (typeof entry === "object" && entry.label) || field,
+      }),
+      met:
+        password !== "" &&
+        !getForbiddenParts(otherValue).some((part) => lowered.includes(part)),
+    });
+  });
+  return checks;
+};
+
+const toStrength = (checks, locale) => {
+  const unmet = checks
+    .filter((check) => !check.met)
+    .map(({ requirement, message: unmetMessage }) => ({
+      requirement,
+      message: translate(unmetMessage, locale),
+    }));
+  const score = Math.floor(
+    ((checks.length - unmet.length) / checks.length) * MAX_PASSWORD_SCORE
+  );
+  return { score, maxScore: MAX_PASSWORD_SCORE, unmet };
+};
+
+/**
+ * Evaluates a password against the configured requirements.
+ * @param {string} value - The password.
+ * @param {Object} [params] - The rule params.
+ * @param {number} [params.minLength=8] - Minimum number of characters.
+ * @param {Array<'lowercase'|'uppercase'|'digit'|'symbol'>} [params.require=['lowercase','uppercase','digit']] - Required character classes.
+ * @param {string[]} [params.blocklist=COMMON_PASSWORDS] - Passwords that are rejected (case-insensitive).
+ * @param {Array<string|{field: string, label?: string}>} [params.notContaining=[]] - Paths of fields whose value
+ *   must not appear in the password, e.g. `['email', 'username']`.
+ * @param {Object} [ctx] - The validation context; `ctx.getValue` reads the `notContaining` fields and
+ *   `ctx.locale` selects the language of the `unmet` messages.
+ * @returns {{ score: number, maxScore: number, unmet: Array<{ requirement: string, message: string }> }}
+ *   The score from 0 to `maxScore` (the share of met requirements) and the unmet requirements.
+ */
+export function evaluatePasswordStrength(value, params = {}, ctx) {
+  return toStrength(runChecks(value, params, ctx), ctx && ctx.locale);
+}
+
+/**
+ * Fails while any requirement of `evaluatePasswordStrength` is unmet. Params: see there.
+ * Empty values pass (with a score of 0 reported); combine with `required` to enforce presence.
+ */
+export function passwordStrength(
+  value,
+  label = "This field",
+  customErrorMsg,
+  params = {},
+  ctx
+) {
+  const checks = runChecks(value, params, ctx);
+  if (ctx && typeof ctx.setMeta === "function") {
+    ctx.setMeta("passwordStrength", toStrength(checks, ctx.locale));
+  }
+  const unmet = checks.filter((check) => !check.met);
+  if (isEmpty(value) || unmet.length === 0) return true;
+  return errorMessage(
+    customErrorMsg,
+    message("passwordStrength", {
+      label,
+      requirements: unmet.map((check) => check.message),
+    })
+  );
+}
@@ -0,0 +1,78 @@
+import { describe, it, expect, vi } from "vitest";
+import { evaluatePasswordStrength, passwordStrength } from "./index";
+import { translate } from "../../i18n";
+
+const en = (result) => translate(result, "en");
+
+const ctxFor = (model) => ({
+  getValue: vi.fn((path) => model[path]),
+  setMeta: vi.fn(),
+});
+
+describe("passwordRules", () => {
+  it("scores a password by the share of met requirements", () => {
+    expect(evaluatePasswordStrength("Tr0ub4dor&3")).toEqual({
+      score: 4,
+      maxScore: 4,
+      unmet: [],
+    });
+    expect(evaluatePasswordStrength("abcdefgh")).toEqual({
+      score: 2,
+      maxScore: 4,
+      unmet: [
+        { requirement: "uppercase", message: "an uppercase letter" },
+        { requirement: "digit", message: "a digit" },
+      ],
+    });
+    expect(evaluatePasswordStrength("").score).toBe(0);
+  });
+
+  it("honours minLength, required classes and a custom blocklist", () => {
+    const params = {
+      minLength: 4,
+      require: ["symbol"],
+      blocklist: ["hunter2!"],
+    };
+    expect(evaluatePasswordStrength("a!bc", params).unmet).toEqual([]);
+    expect(evaluatePasswordStrength("Hunter2!", params).unmet).toEqual([
+      { requirement: "blocklist", message: "not a commonly used password" },
+    ]);
+  });
+
+  it("rejects passwords containing sibling field values", () => {
+    const ctx = ctxFor({ email: "jane.doe@example.com", username: "jd" });
+    const params = { notContaining: ["email", "username"] };
+    expect(evaluatePasswordStrength("MyJane.Doe99", params, ctx).unmet).toEqual(
+      [
+        {
+          requirement: "notContaining:email",
+          message: "not containing the email",
+        },
+      ]
+    );
+    // Values shorter than 3 characters are ignored.
+    expect(evaluatePasswordStrength("Xjd12345", params, ctx).unmet).toEqual([]);
+    expect(ctx.getValue).toHaveBeenCalledWith("username");
+  });
+
+  it("passwordStrength reports feedback via ctx.setMeta and returns a message", () => {
+    const ctx = ctxFor({});
+    expect(
+      en(passwordStrength("password", "Password", undefined, {}, ctx))
+    ).toBe(
+      "Field Password must meet these requirements: an uppercase letter, a digit, not a commonly used password."
+    );
+    expect(ctx.setMeta).toHaveBeenCalledWith("passwordStrength", {
+      score: 1,
+      maxScore: 4,
+      unmet: expect.any(Array),
+    });
+    expect(
+      passwordStrength("Sup3rSecret", "Password", "Too weak", {}, ctx)
+    ).toBe(true);
+    expect(en(passwordStrength("weak", "Password", "Too weak", {}, ctx))).toBe(
+      "Too weak"
+    );
+    expect(passwordStrength("", "Password", undefined, {}, ctx)).toBe(true);
+  });
+});
@@ -1,8 +1,14 @@
+import { message } from "../../i18n";
+import { isEmpty, errorMessage, invalidConfig } from "../helpers";
+import { POSTAL_CODE_PATTERNS } from "./postalCodes";
+
 export function matchRegex(value, label = "This field", customErrorMsg, regex) {
-  if (!(regex instanceof RegExp)) {
-    return `${label} has an invalid validation rule configured.`;
+  // Accept the regex directly or as `params.regex` of a `{ name: "matchRegex" }` rule.
+  const pattern = regex instanceof RegExp ? regex : regex && regex.regex;
+  if (!(pattern instanceof RegExp)) {
+    return invalidConfig(label);
   }
-  const isValid = regex.test(value);
+  const isValid = pattern.test(value);
 
   if (isValid == true) {
     return true;
@@ -11,7 +17,7 @@ export function matchRegex(value, label = "This field", customErrorMsg, regex) {
     return customErrorMsg;
   }
   // Default message for generic regex failures, to match test expectations
-  return `Field ${label} is not valid.`;
+  return message("notValid", { label });
 }
 
 export function isEmail(value, label, customErrorMsg) {
@@ -25,7 +31,7 @@ export function isEmail(value, label, customErrorMsg) {
     return customErrorMsg;
   }
   // Specific default message for email validation, to match test expectations
-  return `Field ${label} is not a valid email address.`;
+  return message("email", { label });
 }
 
 export function isDomain(value, label, customErrorMsg) {
@@ -47,7 +53,7 @@ export function isIPv4Address(value, label, customErrorMsg) {
   if (!!customErrorMsg && typeof customErrorMsg == "string") {
     return customErrorMsg;
   }
-  return `Field ${label} is not a valid IPv4 address.`; // Specific default message
+  return message("ipv4", { label }); // Specific default message
 }
 
 export function isIPv6Address(value, label, customErrorMsg) {
@@ -60,12 +66,198 @@ export function isIPv6Address(value, label, customErrorMsg) {
   if (!!customErrorMsg && typeof customErrorMsg == "string") {
     return customErrorMsg;
   }
-  return `Field ${label} is not a valid IPv6 address.`; // Specific default message
+  return message("ipv6", { label }); // Specific default message
 }
 
 export function isString(value, label = "This field", customErrorMsg) {
   if (value === null || value === undefined || typeof value === "string") {
     return true;
   }
-  return customErrorMsg || `${label} must be a string.`;
+  return customErrorMsg || message("string", { label });
+}
+
+/*
+ * The rules below let empty values pass; combine them with `required` to enforce presence.
+ */
+
+/**
+ * Validates an absolute URL. Params: `protocols` - allowed schemes without the colon
+ * (default `["http", "https"]`).
+ */
+export function isUrl(
+  value,
+  label = "This field",
+  customErrorMsg,
+  params = {}
+) {
+  if (isEmpty(value)) return true;
+  const protocols = params.protocols || ["http", "https"];
+  const text = String(value).trim();
+  let url = null;
+  if (/^[a-z][a-z\d+.-]*:\/\/\S+$/i.test(text)) {
+    try {
+      url = new URL(text);
+    } catch (e) {
+      url = null;
+    }
+  }
+  if (!url || (/^https?:$/.test(url.protocol) && !url.hostname)) {
+    return errorMessage(customErrorMsg, message("url", { label }));
+  }
+  if (!protocols.includes(url.protocol.slice(0, -1).toLowerCase())) {
+    return errorMessage(
+      customErrorMsg,
+      message("urlProtocol", { label, protocols })
+    );
+  }
+  return true;
+}
+
+export function isE164Phone(value, label = "This field", customErrorMsg) {
+  if (isEmpty(value) || /^\+[1-9]\d{1,14}$/.test(String(value).trim())) {
+    return true;
+  }
+  return errorMessage(
+    customErrorMsg,
+    message("e164Phone", { label })
+  );
+}
+
+/**
+ * Validates a postal code for `params.country`, an ISO 3166-1 alpha-2 code listed in
+ * `POSTAL_CODE_PATTERNS`.
+ */
+export function isPostalCode(
+  value,
+  label = "This field",
+  customErrorMsg,
+  params = {}
+) {
+  const pattern =
+    typeof params.country === "string" &&
+    POSTAL_CODE_PATTERNS[params.country.toUpperCase()];
+  if (!pattern) {
+    return invalidConfig(label);
+  }
+  if (isEmpty(value) || pattern.test(String(value).trim())) return true;
+  return errorMessage(
+    customErrorMsg,
+    message("postalCode", { label })
+  );
+}
+
+/**
+ * Validates a UUID in its canonical 8-4-4-4-12 form. Params: `version` - if set, the UUID
+ * must have that version (1-8).
+ */
+export function isUUID(
+  value,
+  label = "This field",
+  customErrorMsg,
+  params = {}
+) {
+  if (isEmpty(value)) return true;
+  const text = String(value).trim();
+  const isValid =
+    /^[\da-f]{8}-[\da-f]{4}-[\da-f]{4}-[\da-f]{4}-[\da-f]{12}$/i.test(text) &&
+    (params.version === undefined || text[14] === String(params.version));
+  if (isValid) return true;
+  return errorMessage(customErrorMsg, message("uuid", { label }));
+}
+
+export function isSlug(value, label = "This field", customErrorMsg) {
+  if (isEmpty(value) || /^[a-z\d]+(?:-[a-z\d]+)*$/.test(value)) return true;
+  return errorMessage(
+    customErrorMsg,
+    message("slug", { label })
+  );
+}
+
+/**
+ * Validates a hex color: `#rgb`, `#rgba`, `#rrggbb` or `#rrggbbaa`.
+ */
+export function isHexColor(value, label = "This field", customErrorMsg) {
+  if (
+    isEmpty(value) ||
+    /^#([\da-f]{3,4}|[\da-f]{6}|[\da-f]{8})$/i.test(String(value).trim())
+  ) {
+    return true;
+  }
+  return errorMessage(
+    customErrorMsg,
+    message("hexColor", { label })
+  );
+}
+
+/**
+ * Validates an IPv4 (`10.0.0.0/8`) or IPv6 (`2001:db8::/32`) CIDR block.
+ */
+export function isCIDR(value, label = "This field", customErrorMsg) {
+  if (isEmpty(value)) return true;
+  const [address, prefix, ...rest] = String(value).trim().split("/");
+  let isValid = false;
+  if (rest.length === 0 && /^\d{1,3}$/.test(prefix || "")) {
+    const bits = Number(prefix);
+    if (isIPv4Address(address) === true) isValid = bits <= 32;
+    else if (isIPv6Address(address) === true) isValid = bits <= 128;
+  }
+  if (isValid) return true;
+  return errorMessage(
+    customErrorMsg,
+    message("cidr", { label })
+  );
+}
+
+/**
+ * Validates a MAC address as six hex pairs separated by `:` or `-`.
+ */
+export function isMacAddress(value, label = "This field", customErrorMsg) {
+  if (
+    isEmpty(value) ||
+    /^[\da-f]{2}([:-])(?:[\da-f]{2}\1){4}[\da-f]{2}$/i.test(
+      String(value).trim()
+    )
+  ) {
+    return true;
+  }
+  return errorMessage(
+    customErrorMsg,
+    message("macAddress", { label })
+  );
+}
+
+/**
+ * Validates a TCP/UDP port number from 1 to 65535, given as a number or numeric string.
+ */
+export function isPort(value, label = "This field", customErrorMsg) {
+  if (isEmpty(value)) return true;
+  const text = String(value).trim();
+  if (/^\d{1,5}$/.test(text) && Number(text) >= 1 && Number(text) <= 65535) {
+    return true;
+  }
+  return errorMessage(
+    customErrorMsg,
+    message("port", { label })
+  );
+}
+
+/**
+ * Matches the value against a pattern given as a string, e.g. a JSON Schema `pattern`.
+ * Unlike `matchRegex`, empty values pass. Params: `pattern`, optional `flags` (default `"u"`).
+ */
+export function matchPattern(
+  value,
+  label = "This field",
+  customErrorMsg,
+  params = {}
+) {
+  if (typeof params.pattern !== "string") return invalidConfig(label);
+  let regex;
+  try {
+    regex = new RegExp(params.pattern, params.flags ?? "u");
+  } catch (e) {
+    return invalidConfig(label);
+  }
+  if (isEmpty(value) || regex.test(String(value))) return true;
+  return errorMessage(customErrorMsg, message("formatInvalid", { label }));
 }
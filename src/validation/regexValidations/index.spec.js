@@ -0,0 +1,125 @@
+import { describe, it, expect } from "vitest";
+import {
+  isUrl,
+  isE164Phone,
+  isPostalCode,
+  isUUID,
+  isSlug,
+  isHexColor,
+  isCIDR,
+  isMacAddress,
+  isPort,
+  matchPattern,
+} from "./index";
+import { translate } from "../../i18n";
+
+const en = (result) => translate(result, "en");
+
+describe("regexValidations - identifier rules", () => {
+  it("isUrl accepts http(s) URLs by default", () => {
+    expect(isUrl("https://example.com/path?q=1", "Website")).toBe(true);
+    expect(isUrl("", "Website")).toBe(true);
+    expect(en(isUrl("example.com", "Website"))).toBe(
+      "Field Website is not a valid URL."
+    );
+    expect(en(isUrl("ftp://files.example.com", "Website"))).toBe(
+      "Field Website must use one of the protocols: http, https."
+    );
+  });
+
+  it("isUrl honours allowed protocols and custom messages", () => {
+    expect(
+      en(
+        isUrl("ftp://files.example.com", "Mirror", undefined, {
+          protocols: ["ftp"],
+        })
+      )
+    ).toBe(true);
+    expect(en(isUrl("http://", "Website", "Enter a link"))).toBe(
+      "Enter a link"
+    );
+  });
+
+  it("isE164Phone requires a leading + and up to 15 digits", () => {
+    expect(isE164Phone("+359888123456", "Phone")).toBe(true);
+    expect(en(isE164Phone("0888 123 456", "Phone"))).toBe(
+      "Field Phone must be a phone number in international format, e.g. +14155552671."
+    );
+    expect(en(isE164Phone("+0123", "Phone", "Bad phone"))).toBe("Bad phone");
+  });
+
+  it("isPostalCode uses the country table", () => {
+    expect(en(isPostalCode("1000", "Zip", undefined, { country: "bg" }))).toBe(
+      true
+    );
+    expect(isPostalCode("SW1A 1AA", "Zip", undefined, { country: "GB" })).toBe(
+      true
+    );
+    expect(en(isPostalCode("1234", "Zip", undefined, { country: "US" }))).toBe(
+      "Field Zip is not a valid postal code."
+    );
+    expect(en(isPostalCode("1234", "Zip", undefined, { country: "XX" }))).toBe(
+      "Zip has an invalid validation rule configured."
+    );
+  });
+
+  it("isUUID checks the format and optional version", () => {
+    const v4 = "3b241101-e2bb-4255-8caf-4136c566a962";
+    expect(isUUID(v4, "Id")).toBe(true);
+    expect(isUUID(v4, "Id", undefined, { version: 4 })).toBe(true);
+    expect(en(isUUID(v4, "Id", undefined, { version: 1 }))).toBe(
+      "Field Id is not a valid UUID."
+    );
+    expect(en(isUUID("3b241101e2bb42558caf4136c566a962", "Id"))).toBe(
+      "Field Id is not a valid UUID."
+    );
+  });
+
+  it("isSlug, isHexColor and isMacAddress check their formats", () => {
+    expect(isSlug("my-first-post", "Slug")).toBe(true);
+    expect(en(isSlug("My--post", "Slug"))).toBe(
+      "Field Slug may only contain lowercase letters, numbers and single hyphens."
+    );
+    expect(isHexColor("#0af", "Color")).toBe(true);
+    expect(isHexColor("#00aaff80", "Color")).toBe(true);
+    expect(en(isHexColor("00aaff", "Color"))).toBe(
+      "Field Color is not a valid hex color."
+    );
+    expect(isMacAddress("00:1A:2b:3C:4d:5E", "MAC")).toBe(true);
+    expect(en(isMacAddress("00:1A-2b:3C:4d:5E", "MAC"))).toBe(
+      "Field MAC is not a valid MAC address."
+    );
+  });
+
+  it("isCIDR accepts IPv4 and IPv6 blocks", () => {
+    expect(isCIDR("10.0.0.0/8", "Network")).toBe(true);
+    expect(isCIDR("2001:db8::/32", "Network")).toBe(true);
+    expect(en(isCIDR("10.0.0.0/33", "Network"))).toBe(
+      "Field Network is not a valid CIDR block."
+    );
+    expect(en(isCIDR("10.0.0.0", "Network"))).toBe(
+      "Field Network is not a valid CIDR block."
+    );
+  });
+
+  it("isPort accepts 1-65535", () => {
+    expect(isPort(443, "Port")).toBe(true);
+    expect(isPort("65535", "Port")).toBe(true);
+    expect(en(isPort("0", "Port"))).toBe(
+      "Field Port must be a port number between 1 and 65535."
+    );
+    expect(en(isPort("70000", "Port", "Invalid port"))).toBe("Invalid port");
+  });
+
+  it("matchPattern compiles a string pattern and lets empty values pass", () => {
+    const params = { pattern: "^[A-Z]{2}\\d{3}$" };
+    expect(matchPattern("AB123", "Code", undefined, params)).toBe(true);
+    expect(matchPattern("", "Code", undefined, params)).toBe(true);
+    expect(en(matchPattern("ab123", "Code", undefined, params))).toBe(
+      "Code format is invalid."
+    );
+    expect(en(matchPattern("AB123", "Code", undefined, { pattern: "(" }))).toBe(
+      "Code has an invalid validation rule configured."
+    );
+  });
+});
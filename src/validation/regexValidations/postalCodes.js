@@ -0,0 +1,32 @@
+/**
+ * Postal code formats by ISO 3166-1 alpha-2 country code, used by the `postalCode` rule.
+ * Patterns describe the format only; they do not check that a code is actually assigned.
+ */
+export const POSTAL_CODE_PATTERNS = {
+  AT: /^\d{4}$/,
+  AU: /^\d{4}$/,
+  BE: /^\d{4}$/,
+  BG: /^\d{4}$/,
+  BR: /^\d{5}-?\d{3}$/,
+  CA: /^[ABCEGHJ-NPRSTVXY]\d[ABCEGHJ-NPRSTV-Z] ?\d[ABCEGHJ-NPRSTV-Z]\d$/i,
+  CH: /^\d{4}$/,
+  CZ: /^\d{3} ?\d{2}$/,
+  DE: /^\d{5}$/,
+  DK: /^\d{4}$/,
+  ES: /^(?:0[1-9]|[1-4]\d|5[0-2])\d{3}$/,
+  FI: /^\d{5}$/,
+  FR: /^\d{2} ?\d{3}$/,
+  GB: /^(GIR ?0AA|[A-Z]{1,2}\d[A-Z\d]? ?\d[A-Z]{2})$/i,
+  GR: /^\d{3} ?\d{2}$/,
+  IE: /^[AC-FHKNPRTV-Y]\d{2}[0-9W] ?[0-9AC-FHKNPRTV-Y]{4}$/i,
+  IN: /^[1-9]\d{2} ?\d{3}$/,
+  IT: /^\d{5}$/,
+  JP: /^\d{3}-?\d{4}$/,
+  NL: /^\d{4} ?[A-Z]{2}$/i,
+  NO: /^\d{4}$/,
+  PL: /^\d{2}-\d{3}$/,
+  PT: /^\d{4}-\d{3}$/,
+  RO: /^\d{6}$/,
+  SE: /^\d{3} ?\d{2}$/,
+  US: /^\d{5}(-\d{4})?$/,
+};
@@ -0,0 +1,129 @@
+import { message as createMessage } from "../../i18n";
+
+/**
+ * App-wide registry of custom rules. Rules defined here can be used by name in any form's
+ * `rules`, just like the built-in ones, and take precedence over rules with the same name
+ * passed to a form or built into the library.
+ */
+
+/** @type {Object<string, Function>} */
+const appRules = {};
+
+/** Names already reported by `warnUnknownRule`, so each is reported once. */
+const reportedUnknownRules = new Set();
+
+/**
+ * Whether the library runs in development mode. Relies on the consumer's bundler replacing
+ * `process.env.NODE_ENV`; without it, the library behaves as in production.
+ * @returns {boolean} True in development mode.
+ */
+export function isDevMode() {
+  try {
+    return process.env.NODE_ENV !== "production";
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Builds a rule's default message. A string may contain `{label}` and `{<param>}` placeholders;
+ * a function receives `(label, params)`.
+ */
+const formatMessage = (message, label, params = {}) => {
+  if (typeof message === "function") return message(label, params);
+  if (typeof message === "string") {
+    return message.replace(/\{(\w+)\}/g, (placeholder, key) => {
+      if (key === "label") return label;
+      return params[key] !== undefined ? String(params[key]) : placeholder;
+    });
+  }
+  return createMessage("notValid", { label });
+};
+
+/**
+ * Turns a rule definition into a rule function with the built-in signature
+ * `(value, label, customErrorMsg, params, ctx)`. When the rule returns `false`, the
+ * configured `customErrorMsg` or the definition's default message is returned instead.
+ * @param {Function|{ validate: Function, message?: string|Function }} definition - A rule function,
+ *   or an object with the function as `validate` and a default `message`.
+ * @param {{ message?: string|Function }} [options] - Options; `message` is used when the definition has none.
+ * @returns {Function|null} The rule function, or null if the definition is not usable.
+ */
+export function normalizeRule(definition, options = {}) {
+  const validate =
+    typeof definition === "function" ? definition : definition?.validate;
+  if (typeof validate !== "function") return null;
+  const message =
+    (typeof definition === "object" && definition.message) || options.message;
+  return (value, label = "This field", customErrorMsg, params, ctx) => {
+    const result = validate(value, label, customErrorMsg, params, ctx);
+    if (result !== false) return result;
+    if (!!customErrorMsg && typeof customErrorMsg == "string") {
+      return customErrorMsg;
+    }
+    return formatMessage(message, label, params);
+  };
+}
+
+/**
+ * Registers a rule app-wide, so it can be used by name in any form:
+ * `rules: ['isVatNumber']` or `rules: [{ name: 'isVatNumber', params: { ... } }]`.
+ * Rules must be synchronous; use `validators` for asynchronous checks.
+ *
+ * @param {string} name - The rule name.
+ * @param {Function} fn - Called as `fn(value, label, customErrorMsg, params, ctx)`. Returns `true` when
+ *   valid, and `false` or an error message when invalid.
+ * @param {{ message?: string|Function }} [options] - `message` is the default message used when `fn`
+ *   returns `false`. It may contain `{label}` and `{<param>}` placeholders, or be a function `(label, params)`.
+ */
+export function defineRule(name, fn, options = {}) {
+  if (typeof name !== "string" || name === "") {
+    throw new TypeError(
+      "defineRule: the rule name must be a non-empty string."
+    );
+  }
+  const rule = normalizeRule(fn, options);
+  if (!rule) {
+    throw new TypeError(`defineRule: the rule "${name}" must be a function.`);
+  }
+  appRules[name] = rule;
+}
+
+/**
+ * Returns a rule registered with `defineRule`.
+ * @param {string} name - The rule name.
+ * @returns {Function|undefined} The rule function, if defined.
+ */
+export function getDefinedRule(name) {
+  return Object.prototype.hasOwnProperty.call(appRules, name)
+    ? appRules[name]
+    : undefined;
+}
+
+/**
+ * Removes a rule registered with `defineRule`, or all of them when no name is given.
+ * @param {string} [name] - The rule name.
+ */
+export function removeDefinedRule(name) {
+  if (name === undefined) {
+    Object.keys(appRules).forEach((key) => delete appRules[key]);
+  } else {
+    delete appRules[name];
+  }
+}
+
+/**
+ * Warns (once per name, in development mode) about a rule name that is neither defined,
+ * passed to the form nor built in. Such a rule does not run, so the field is not checked by it.
+ * @param {string} name - The unknown rule name.
+ * @param {string} fieldPath - The path of the field that uses it.
+ */
+export function warnUnknownRule(name, fieldPath) {
+  if (!isDevMode() || reportedUnknownRules.has(name)) return;
+  reportedUnknownRules.add(name);
+  console.warn(
+    `[PreskoForm] Unknown validation rule "${name}" on field "${fieldPath}". ` +
+      `Register it with defineRule(), pass it in the form's \`rules\` prop, or check the name for typos. ` +
+      `The rule is skipped until then.`
+  );
+}
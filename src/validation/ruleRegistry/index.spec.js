@@ -0,0 +1,62 @@
+import { describe, it, expect, afterEach, vi } from "vitest";
+import {
+  defineRule,
+  getDefinedRule,
+  removeDefinedRule,
+  normalizeRule,
+  warnUnknownRule,
+} from "./index";
+import { translate } from "../../i18n";
+
+describe("ruleRegistry", () => {
+  afterEach(() => {
+    removeDefinedRule();
+    vi.restoreAllMocks();
+  });
+
+  it("defineRule registers a rule with a default message", () => {
+    defineRule("isEven", (value) => Number(value) % 2 === 0, {
+      message: "Field {label} must be even, not {value}.",
+    });
+    const rule = getDefinedRule("isEven");
+    expect(rule(4, "Count")).toBe(true);
+    expect(rule(3, "Count", undefined, { value: 3 })).toBe(
+      "Field Count must be even, not 3."
+    );
+    expect(rule(3, "Count", "Even numbers only")).toBe("Even numbers only");
+  });
+
+  it("keeps messages returned by the rule itself", () => {
+    defineRule("notAdmin", (value) => value !== "admin" || "Reserved name.");
+    expect(getDefinedRule("notAdmin")("admin", "User")).toBe("Reserved name.");
+  });
+
+  it("normalizeRule accepts { validate, message } with a message function", () => {
+    const rule = normalizeRule({
+      validate: (value, label, customErrorMsg, params) => value >= params.min,
+      message: (label, params) => `${label} needs ${params.min}+`,
+    });
+    expect(rule(1, "Age", undefined, { min: 18 })).toBe("Age needs 18+");
+    expect(translate(normalizeRule(() => false)(1, "Age"), "en")).toBe(
+      "Field Age is not valid."
+    );
+    expect(normalizeRule({})).toBeNull();
+  });
+
+  it("rejects invalid definitions", () => {
+    expect(() => defineRule("", () => true)).toThrow(TypeError);
+    expect(() => defineRule("broken", "nope")).toThrow(
+      'defineRule: the rule "broken" must be a function.'
+    );
+  });
+
+  it("warnUnknownRule warns once per rule name", () => {
+    const warn = vi.spyOn(console, "warn").mockImplementation(() => {});
+    warnUnknownRule("isVatNumbr", "vat");
+    warnUnknownRule("isVatNumbr", "otherVat");
+    expect(warn).toHaveBeenCalledTimes(1);
+    expect(warn.mock.calls[0][0]).toContain(
+      'Unknown validation rule "isVatNumbr" on field "vat"'
+    );
+  });
+});